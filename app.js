@@ -1,9 +1,15 @@
 import express from 'express';
 import cors from 'cors';
-import databaseConnection from './src/database/connection.js';
+import openDatabase from './src/database/connection.js';
+import { runMigrations } from './src/database/migrator.js';
 import { routes } from './src/routes/index.js';
 import { initializeMQTTClient } from './src/mqtt/mqttClient.js';
 import { handleMQTTMessages } from './src/mqtt/mqttHandler.js';
+import { getSubscriptionTopics } from './src/mqtt/topics.js';
+import { startRolloutScheduler } from './src/ota/rollouts.js';
+import { startCommandTimeoutScheduler } from './src/control/deviceCommands.js';
+import { startAlertScheduler } from './src/alerts/alertEngine.js';
+import { getRetentionDays, startRetentionScheduler } from './src/telemetry/retention.js';
 import dotenv from 'dotenv';
 
 // Load environment variables from the .env file
@@ -15,8 +21,12 @@ const app = express();
 // Use CORS middleware
 app.use(cors());
 
-// Initialize the SQLite database and store the connection in app locals
-app.locals.db = databaseConnection();
+// Open the SQLite database and store the connection in app locals
+app.locals.db = await openDatabase();
+
+// Bring the schema up to date before anything reads or writes, so the server only starts
+// listening once it has; a failed or refused migration stops the app
+await runMigrations(app.locals.db);
 
 // Use JSON middleware to parse JSON requests
 app.use(express.json());
@@ -35,12 +45,31 @@ const mqttOptions = {
 
 // Initialize the MQTT client
 const mqttClient = initializeMQTTClient(mqttOptions);
+
+// Store the MQTT client in app locals so routes can publish commands to devices
+app.locals.mqttClient = mqttClient;
     
-// Define the MQTT topic(s) you want to subscribe to
-const mqttTopic = 'esp32'; // Replace with your desired MQTT topic
+// Subscribe to the per-device topics (e.g. devices/+/telemetry) and the legacy topic, if configured
+const mqttTopics = getSubscriptionTopics();
+
+// Handle incoming MQTT messages on the specified topics
+handleMQTTMessages(mqttClient, app.locals.db, mqttTopics);
+
+// Periodically advance staged rollouts and update devices that joined a rollout cohort
+startRolloutScheduler(app.locals.db, mqttClient, Number(process.env.ROLLOUT_CHECK_INTERVAL_MS) || 60000);
+
+// Mark device commands that were not acknowledged in time as timed out
+startCommandTimeoutScheduler(app.locals.db, Number(process.env.COMMAND_TIMEOUT_CHECK_INTERVAL_MS) || 5000);
+
+// Evaluate the alert rules, notice offline devices and re-notify open alerts
+startAlertScheduler(app.locals.db, Number(process.env.ALERT_CHECK_INTERVAL_MS) || 60000);
 
-// Handle incoming MQTT messages on the specified topic(s)
-handleMQTTMessages(mqttClient, app.locals.db, mqttTopic);
+// Roll up and delete expired sensor data at startup and periodically when a retention period is
+// configured
+const retentionDays = getRetentionDays();
+if (retentionDays) {
+    startRetentionScheduler(app.locals.db, retentionDays, Number(process.env.RETENTION_CHECK_INTERVAL_MS) || 3600000);
+}
 
 // Export the app for use in server.js
 export default app;
@@ -0,0 +1,232 @@
+import { promisify } from 'util';
+import { fetchDevices, fetchDeviceById } from '../database/deviceQueries.js';
+import {
+    ALERT_METRICS,
+    ALERT_OPERATORS,
+    fetchAlertRules,
+    fetchAlertRulesForDevice,
+    fetchAlertRuleById,
+    fetchConditionStreak,
+    fetchActiveAlert,
+    fetchAlertById,
+    fetchAlertsDueForRenotify,
+    createAlert,
+    resolveAlert,
+    markAlertNotified
+} from '../database/alertQueries.js';
+import { validateNotifiers, deliverNotification } from './notifiers.js';
+import { publishLiveEvent } from '../live/liveEvents.js';
+import { toSqliteTimestamp } from '../telemetry/timeRange.js';
+
+/**
+ * Types of alert rules:
+ * - 'threshold': a temperature or humidity reading beyond a threshold for `durationSeconds`.
+ * - 'offline': a device not heard from for `durationSeconds`.
+ * - 'heater-stuck': the heater reported on in every reading for `durationSeconds`.
+ */
+export const ALERT_RULE_TYPES = ['threshold', 'offline', 'heater-stuck'];
+
+/**
+ * The timed evaluation in progress, if any.
+ */
+let activeEvaluation = null;
+
+/**
+ * Validates an alert rule.
+ *
+ * @param {Object} rule - The rule with `name`, `type`, `deviceID`, `metric`, `operator`,
+ *                        `threshold`, `durationSeconds`, `renotifyMinutes`, `notifiers` and `enabled`.
+ * @returns {string|null} An error message, or null if the rule is valid.
+ */
+export function validateAlertRule(rule) {
+    if (typeof rule.name !== 'string' || rule.name.trim().length === 0) {
+        return 'Rule name is required';
+    }
+    if (!ALERT_RULE_TYPES.includes(rule.type)) {
+        return `type must be one of: ${ALERT_RULE_TYPES.join(', ')}`;
+    }
+    if (rule.deviceID !== null && (typeof rule.deviceID !== 'string' || rule.deviceID.length === 0)) {
+        return 'deviceID must be a device ID or null for every device';
+    }
+    if (rule.type === 'threshold') {
+        if (!ALERT_METRICS.includes(rule.metric)) {
+            return `metric must be one of: ${ALERT_METRICS.join(', ')}`;
+        }
+        if (!ALERT_OPERATORS.includes(rule.operator)) {
+            return `operator must be one of: ${ALERT_OPERATORS.join(', ')}`;
+        }
+        if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+            return 'threshold must be a number';
+        }
+    }
+    if (!Number.isInteger(rule.durationSeconds) || rule.durationSeconds < (rule.type === 'threshold' ? 0 : 1)) {
+        return rule.type === 'threshold'
+            ? 'durationSeconds must be a non-negative integer'
+            : `durationSeconds must be a positive integer for ${rule.type} rules`;
+    }
+    if (rule.renotifyMinutes !== null && (!Number.isInteger(rule.renotifyMinutes) || rule.renotifyMinutes < 1)) {
+        return 'renotifyMinutes must be a positive integer or null';
+    }
+    if (typeof rule.enabled !== 'boolean') {
+        return 'enabled must be a boolean';
+    }
+    return validateNotifiers(rule.notifiers);
+}
+
+/**
+ * Evaluates the alert rules watching a device, e.g. after it sent a reading.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @returns {Promise<void>}
+ */
+export async function evaluateDeviceAlerts(db, deviceID) {
+    const rules = await promisify(fetchAlertRulesForDevice)(db, deviceID);
+    for (const rule of rules) {
+        await evaluateRule(db, rule, deviceID);
+    }
+}
+
+/**
+ * Evaluates every enabled alert rule for every device it watches and re-notifies open alerts
+ * whose re-notify interval has passed. Offline conditions are only noticed here, as an offline
+ * device sends no messages. If an evaluation is already in progress, its promise is returned.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @returns {Promise<void>}
+ */
+export function evaluateAlerts(db) {
+    if (!activeEvaluation) {
+        activeEvaluation = runEvaluation(db).finally(() => {
+            activeEvaluation = null;
+        });
+    }
+    return activeEvaluation;
+}
+
+/**
+ * Starts evaluating the alert rules on a fixed interval.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} intervalMs - The interval between evaluations in milliseconds.
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+export function startAlertScheduler(db, intervalMs) {
+    return setInterval(() => {
+        evaluateAlerts(db).catch((error) => {
+            console.error('Failed to evaluate alert rules:', error);
+        });
+    }, intervalMs);
+}
+
+/**
+ * Evaluates all rules and sends the due re-notifications.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @returns {Promise<void>}
+ */
+async function runEvaluation(db) {
+    const rules = await promisify(fetchAlertRules)(db, true);
+    const fleet = rules.some((rule) => rule.deviceID === null)
+        ? (await promisify(fetchDevices)(db)).map((device) => device.deviceID)
+        : [];
+
+    for (const rule of rules) {
+        for (const deviceID of rule.deviceID === null ? fleet : [rule.deviceID]) {
+            await evaluateRule(db, rule, deviceID);
+        }
+    }
+
+    const dueAlerts = await promisify(fetchAlertsDueForRenotify)(db);
+    for (const alert of dueAlerts) {
+        const rule = await promisify(fetchAlertRuleById)(db, alert.ruleId);
+        await notify(db, rule, alert, 'renotify');
+    }
+}
+
+/**
+ * Evaluates a rule for a device: opens an alert when its condition holds and none is open yet,
+ * and resolves the unresolved alert once the condition no longer holds.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} rule - The rule.
+ * @param {string} deviceID - The device ID.
+ * @returns {Promise<void>}
+ */
+async function evaluateRule(db, rule, deviceID) {
+    const condition = await checkCondition(db, rule, deviceID);
+    const active = await promisify(fetchActiveAlert)(db, rule.id, deviceID);
+
+    if (condition && !active) {
+        const alertId = await promisify(createAlert)(db, { ruleId: rule.id, deviceID, ...condition });
+        if (alertId) {
+            console.log(`Alert ${alertId} opened: ${condition.message}`);
+            await notify(db, rule, await promisify(fetchAlertById)(db, alertId), 'opened');
+        }
+    } else if (!condition && active) {
+        const changes = await promisify(resolveAlert)(db, active.id);
+        if (changes > 0) {
+            console.log(`Alert ${active.id} resolved: ${active.message}`);
+            await notify(db, rule, await promisify(fetchAlertById)(db, active.id), 'resolved');
+        }
+    }
+}
+
+/**
+ * Checks whether the condition of a rule currently holds for a device.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} rule - The rule.
+ * @param {string} deviceID - The device ID.
+ * @returns {Promise<Object|null>} - `{ message, value }` describing the condition, or null if it
+ *                                   does not hold.
+ */
+async function checkCondition(db, rule, deviceID) {
+    const cutoff = toSqliteTimestamp(Date.now() - rule.durationSeconds * 1000);
+
+    if (rule.type === 'offline') {
+        const device = await promisify(fetchDeviceById)(db, deviceID);
+        // Pre-registered devices that have never been heard from are not offline
+        if (!device || !device.lastSeen || device.lastSeen > cutoff) {
+            return null;
+        }
+        return { message: `${deviceID} has been offline since ${device.lastSeen}`, value: null };
+    }
+
+    const streak = await promisify(fetchConditionStreak)(db, deviceID, rule, cutoff);
+    if (!streak || streak.since > cutoff) {
+        return null;
+    }
+    if (rule.type === 'heater-stuck') {
+        return { message: `The heater of ${deviceID} has been on since ${streak.since}`, value: null };
+    }
+    return {
+        message: `${rule.metric} of ${deviceID} has been ${rule.operator} ${rule.threshold} since ${streak.since} (latest ${streak.value})`,
+        value: streak.value,
+    };
+}
+
+/**
+ * Sends a notification about an alert through the notifiers of its rule and to live event
+ * subscribers, and records it on the alert. Failed deliveries are logged and not retried
+ * before the next re-notification.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object|null} rule - The rule of the alert, or null if it was deleted meanwhile.
+ * @param {Object} alert - The alert.
+ * @param {string} event - 'opened', 'renotify' or 'resolved'.
+ * @returns {Promise<void>}
+ */
+async function notify(db, rule, alert, event) {
+    const notification = {
+        event,
+        alert,
+        rule: rule ? { id: rule.id, name: rule.name, type: rule.type } : null,
+    };
+
+    publishLiveEvent('alert', alert.deviceID, notification);
+    if (rule) {
+        await deliverNotification(rule.notifiers, notification);
+    }
+    await promisify(markAlertNotified)(db, alert.id);
+}
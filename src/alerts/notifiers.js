@@ -0,0 +1,86 @@
+/**
+ * Time a webhook receiver has to answer a notification.
+ */
+const WEBHOOK_TIMEOUT_MS = Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000;
+
+/**
+ * Notifiers that can deliver alert notifications, keyed by the `type` of a notifier
+ * configuration. Each one validates its configuration and sends a notification.
+ */
+export const NOTIFIERS = {
+    /**
+     * POSTs the notification as JSON to `url`, with the optional extra `headers`.
+     */
+    webhook: {
+        validate(config) {
+            let url;
+            try {
+                url = new URL(config.url);
+            } catch {
+                return 'webhook notifiers need a valid url';
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                return 'webhook url must use http or https';
+            }
+            if (config.headers !== undefined && (typeof config.headers !== 'object' || config.headers === null
+                || Object.values(config.headers).some((value) => typeof value !== 'string'))) {
+                return 'webhook headers must be an object of strings';
+            }
+            return null;
+        },
+        async send(config, notification) {
+            const response = await fetch(config.url, {
+                method: 'POST',
+                headers: { ...config.headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify(notification),
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            });
+            if (!response.ok) {
+                throw new Error(`Webhook responded with ${response.status}`);
+            }
+        },
+    },
+};
+
+/**
+ * Validates the notifier configurations of an alert rule.
+ *
+ * @param {Object[]} notifiers - The notifier configurations, e.g. `[{ type: 'webhook', url }]`.
+ * @returns {string|null} An error message, or null if the configurations are valid.
+ */
+export function validateNotifiers(notifiers) {
+    if (!Array.isArray(notifiers)) {
+        return 'notifiers must be an array';
+    }
+    for (const config of notifiers) {
+        const notifier = config && Object.hasOwn(NOTIFIERS, config.type) ? NOTIFIERS[config.type] : null;
+        if (!notifier) {
+            return `notifier type must be one of: ${Object.keys(NOTIFIERS).join(', ')}`;
+        }
+        const error = notifier.validate(config);
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Delivers a notification through each configured notifier.
+ *
+ * @param {Object[]} notifiers - The notifier configurations of the rule.
+ * @param {Object} notification - The notification payload.
+ * @returns {Promise<number>} - The number of notifiers that delivered the notification. Failures
+ *                              are logged and do not stop the other notifiers.
+ */
+export async function deliverNotification(notifiers, notification) {
+    const results = await Promise.allSettled(
+        notifiers.map((config) => NOTIFIERS[config.type].send(config, notification))
+    );
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Failed to deliver alert notification via ${notifiers[index].type}:`, result.reason.message);
+        }
+    });
+    return results.filter((result) => result.status === 'fulfilled').length;
+}
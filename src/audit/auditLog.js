@@ -0,0 +1,85 @@
+import { insertAuditEntry } from '../database/auditQueries.js';
+
+/**
+ * Actions recorded in the audit log, by what they change.
+ */
+export const AUDIT_ACTIONS = [
+    'firmware.upload',
+    'firmware.overwrite',
+    'firmware.promote',
+    'firmware.update',
+    'deployment.create',
+    'rollout.create',
+    'rollout.advance',
+    'rollout.pause',
+    'rollout.resume',
+    'rollout.abort',
+    'rollout.rollback',
+    'device.command',
+    'device-group.command',
+    'device.register',
+    'device.provision',
+    'device.revoke',
+    'claim-code.create',
+    'claim-code.delete',
+    'user.register',
+    'user.create',
+    'user.update',
+    'user.delete',
+    'user.change-password',
+    'api-key.create',
+    'api-key.revoke',
+];
+
+/**
+ * Appends an action taken through the API to the audit log. The entry is written in the
+ * background; a failure to write it is logged but does not fail the request.
+ *
+ * @param {express.Request} req - The request that took the action. Its authenticated user, API
+ *                                key or device is recorded as the actor, together with its IP
+ *                                address.
+ * @param {string} action - The action, one of `AUDIT_ACTIONS`.
+ * @param {Object} details - The `targetType` and `targetId` of what changed, its `before` and
+ *                           `after` values if known, and the `actor` if the request is not
+ *                           authenticated, e.g. when a user registers.
+ */
+export function recordAudit(req, action, details) {
+    const { actor, targetType, targetId, before, after } = details;
+    insertAuditEntry(req.app.locals.db, {
+        actor: actor ?? getActor(req),
+        action,
+        targetType,
+        targetId,
+        before,
+        after,
+        ip: req.ip,
+    });
+}
+
+/**
+ * Appends an action the backend took on its own, such as a scheduled rollout step, to the audit
+ * log with 'system' as the actor. The entry is written in the background; a failure to write it
+ * is logged.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} action - The action, one of `AUDIT_ACTIONS`.
+ * @param {Object} details - The `targetType` and `targetId` of what changed and its `before`
+ *                           and `after` values if known.
+ */
+export function recordSystemAudit(db, action, details) {
+    const { targetType, targetId, before, after } = details;
+    insertAuditEntry(db, { actor: 'system', action, targetType, targetId, before, after, ip: null });
+}
+
+/**
+ * Names whoever made an authenticated request.
+ *
+ * @param {express.Request} req - The request.
+ * @returns {string|null} The username, 'api-key:<name>' or 'device:<deviceID>', or null.
+ */
+function getActor(req) {
+    if (req.user) {
+        return req.user.username;
+    }
+    return req.device ? `device:${req.device.deviceID}` : null;
+}
@@ -0,0 +1,67 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { fetchApiKeyByHash, touchApiKey } from '../database/apiKeyQueries.js';
+import { toSqliteTimestamp } from '../telemetry/timeRange.js';
+
+/**
+ * Prefix of every API key, which tells keys apart from JWTs in the `Authorization` header.
+ */
+export const API_KEY_PREFIX = 'iotk_';
+
+/**
+ * Capabilities an API key can be scoped to: 'read', which allows GET requests, and the role
+ * permissions (see `ROLE_PERMISSIONS`) except user and API key management.
+ */
+export const API_KEY_SCOPES = ['read', 'firmware:upload', 'firmware:release', 'devices:control', 'operations:manage'];
+
+/**
+ * Generates a new API key.
+ *
+ * @returns {Object} `{ key, keyPrefix, keyHash }`: the key to hand out once, its start shown
+ *                   in listings and the hash to store.
+ */
+export function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashApiKey(key) };
+}
+
+/**
+ * Tells whether a credential is an API key rather than a JWT.
+ *
+ * @param {string} credential - The credential.
+ * @returns {boolean} True for API keys.
+ */
+export function isApiKey(credential) {
+    return credential.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Looks up an API key and records its use.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} key - The API key.
+ * @returns {Promise<Object>} - `{ apiKey }` with the stored key, or `{ error }` if the key is
+ *                              unknown, revoked or expired.
+ */
+export async function authenticateApiKey(db, key) {
+    const apiKey = await promisify(fetchApiKeyByHash)(db, hashApiKey(key));
+    if (!apiKey || apiKey.revokedAt) {
+        return { error: 'Invalid API key' };
+    }
+    if (apiKey.expiresAt && apiKey.expiresAt <= toSqliteTimestamp(Date.now())) {
+        return { error: 'API key expired' };
+    }
+
+    touchApiKey(db, apiKey.id);
+    return { apiKey };
+}
+
+/**
+ * Hashes an API key for storage and lookup.
+ *
+ * @param {string} key - The API key.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { fetchDeviceCredential, setDeviceCredential } from '../database/deviceQueries.js';
+import { fetchClaimCodeByHash, consumeClaimCode } from '../database/claimCodeQueries.js';
+import { toSqliteTimestamp } from '../telemetry/timeRange.js';
+
+/**
+ * Prefix of every device token, which tells them apart from JWTs and API keys in the
+ * `Authorization` header.
+ */
+export const DEVICE_TOKEN_PREFIX = 'iotd_';
+
+/**
+ * Returns how device messages and update checks are authenticated.
+ *
+ * @returns {string} The value of `DEVICE_AUTH_MODE`: 'permissive' (default), which only
+ *                   requires a valid device token from provisioned devices and accepts and
+ *                   logs requests and MQTT messages from the others, so devices keep reporting
+ *                   until they are provisioned; 'enforce', which rejects requests without a
+ *                   valid device token and quarantines such MQTT messages; or 'off', which
+ *                   accepts them as before provisioning existed.
+ */
+export function getDeviceAuthMode() {
+    const mode = process.env.DEVICE_AUTH_MODE;
+    return mode === 'enforce' || mode === 'off' ? mode : 'permissive';
+}
+
+/**
+ * Generates a one-time claim code.
+ *
+ * @returns {Object} `{ code, codeHash }`: the code to hand out once and the hash to store.
+ */
+export function generateClaimCode() {
+    // Short enough to be typed in or printed as a QR code on the device label
+    const code = crypto.randomBytes(10).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+    return { code, codeHash: hashClaimCode(code) };
+}
+
+/**
+ * Tells whether a credential is a device token rather than a JWT or an API key.
+ *
+ * @param {string} credential - The credential.
+ * @returns {boolean} True for device tokens.
+ */
+export function isDeviceToken(credential) {
+    return credential.startsWith(DEVICE_TOKEN_PREFIX);
+}
+
+/**
+ * Issues a device its credential in exchange for a claim code. Without a claim code, only a
+ * device that an operator pre-registered and that has never been provisioned gets one.
+ * Provisioning again with a claim code replaces the credential and lifts a revocation.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {string} [claimCode] - The claim code.
+ * @returns {Promise<Object>} - `{ deviceToken }` with the token to hand to the device once, or
+ *                              `{ error }` if the device cannot be provisioned.
+ */
+export async function provisionDevice(db, deviceID, claimCode) {
+    const deviceToken = `${DEVICE_TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const credentialHash = hashDeviceToken(deviceToken);
+
+    if (claimCode === undefined) {
+        const changes = await promisify(setDeviceCredential)(db, deviceID, credentialHash, true);
+        if (changes === 0) {
+            return { error: 'A claim code is required to provision this device' };
+        }
+        return { deviceToken };
+    }
+
+    const stored = await promisify(fetchClaimCodeByHash)(db, hashClaimCode(claimCode));
+    if (!stored || stored.usedAt || (stored.deviceID && stored.deviceID !== deviceID)) {
+        return { error: 'Invalid claim code' };
+    }
+    if (stored.expiresAt <= toSqliteTimestamp(Date.now())) {
+        return { error: 'Claim code expired' };
+    }
+    if (await promisify(consumeClaimCode)(db, stored.id, deviceID) === 0) {
+        return { error: 'Invalid claim code' };
+    }
+
+    await promisify(setDeviceCredential)(db, deviceID, credentialHash, false);
+    return { deviceToken };
+}
+
+/**
+ * Checks the token a device presents against its stored credential.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {string} [deviceToken] - The device token.
+ * @returns {Promise<Object>} - An empty object if the device is authenticated, otherwise
+ *                              `{ error }` with the reason and, for unknown and unprovisioned
+ *                              devices, `provisioned: false`.
+ */
+export async function authenticateDevice(db, deviceID, deviceToken) {
+    const device = await promisify(fetchDeviceCredential)(db, deviceID);
+    if (!device) {
+        return { error: 'Unknown device', provisioned: false };
+    }
+    if (device.revokedAt) {
+        return { error: 'Device has been revoked' };
+    }
+    if (!device.credentialHash) {
+        return { error: 'Device is not provisioned', provisioned: false };
+    }
+    if (typeof deviceToken !== 'string' || deviceToken.length === 0) {
+        return { error: 'Missing device token' };
+    }
+
+    const presented = Buffer.from(hashDeviceToken(deviceToken), 'hex');
+    if (!crypto.timingSafeEqual(presented, Buffer.from(device.credentialHash, 'hex'))) {
+        return { error: 'Invalid device token' };
+    }
+    return {};
+}
+
+/**
+ * Hashes a device token for storage and comparison.
+ *
+ * @param {string} deviceToken - The device token.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function hashDeviceToken(deviceToken) {
+    return crypto.createHash('sha256').update(deviceToken).digest('hex');
+}
+
+/**
+ * Hashes a claim code for storage and lookup. Codes are compared case-insensitively and
+ * without their dashes, so they survive being typed in.
+ *
+ * @param {string} code - The claim code.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function hashClaimCode(code) {
+    return crypto.createHash('sha256').update(code.replace(/-/g, '').toUpperCase()).digest('hex');
+}
@@ -0,0 +1,49 @@
+import bcrypt from 'bcryptjs';
+
+/**
+ * A hash compared against when a login names an unknown user, so the response takes as long
+ * as for a wrong password and does not reveal which usernames exist.
+ */
+const UNKNOWN_USER_HASH = bcrypt.hashSync('unknown-user', 10);
+
+/**
+ * Returns the configured bcrypt cost factor.
+ *
+ * @returns {number} The value of `BCRYPT_ROUNDS`, or 10.
+ */
+export function getBcryptRounds() {
+    const rounds = Number(process.env.BCRYPT_ROUNDS);
+    return Number.isInteger(rounds) && rounds >= 4 && rounds <= 31 ? rounds : 10;
+}
+
+/**
+ * Hashes a password for storage.
+ *
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} - The bcrypt hash.
+ */
+export function hashPassword(password) {
+    return bcrypt.hash(password, getBcryptRounds());
+}
+
+/**
+ * Checks a password against a stored hash.
+ *
+ * @param {string} password - The plain-text password.
+ * @param {string|null} hash - The stored bcrypt hash, or null if the user does not exist.
+ * @returns {Promise<boolean>} - True if the password matches.
+ */
+export async function verifyPassword(password, hash) {
+    const matches = await bcrypt.compare(password, hash ?? UNKNOWN_USER_HASH);
+    return matches && hash !== null;
+}
+
+/**
+ * Tells whether a stored password is a bcrypt hash rather than plain text.
+ *
+ * @param {string} value - The stored password.
+ * @returns {boolean} True for a bcrypt hash.
+ */
+export function isPasswordHash(value) {
+    return /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/.test(value);
+}
@@ -0,0 +1,35 @@
+/**
+ * Roles a user can have, from the most to the least privileged.
+ */
+export const ROLES = ['admin', 'release-manager', 'operator', 'viewer'];
+
+/**
+ * Permissions of each role. Every role can read fleet, telemetry and firmware data; the
+ * permissions guard the operations that change something, and the audit log:
+ * - 'firmware:upload': upload firmware images to the release catalog.
+ * - 'firmware:release': promote stable versions, change release statuses and run deployments
+ *   and staged rollouts.
+ * - 'devices:control': edit devices and device groups and send commands to devices.
+ * - 'operations:manage': manage alert rules and alerts, replay or delete dead letters and
+ *   apply the retention policy.
+ * - 'users:manage': create, edit and delete users and assign their roles.
+ * - 'api-keys:manage': create, list and revoke API keys.
+ * - 'audit:read': read the audit log.
+ */
+export const ROLE_PERMISSIONS = {
+    admin: ['firmware:upload', 'firmware:release', 'devices:control', 'operations:manage', 'users:manage', 'api-keys:manage', 'audit:read'],
+    'release-manager': ['firmware:upload', 'firmware:release'],
+    operator: ['devices:control', 'operations:manage'],
+    viewer: [],
+};
+
+/**
+ * Tells whether a role grants a permission.
+ *
+ * @param {string} role - The role, e.g. 'operator'.
+ * @param {string} permission - The permission, e.g. 'devices:control'.
+ * @returns {boolean} True if the role has the permission.
+ */
+export function hasPermission(role, permission) {
+    return Object.hasOwn(ROLE_PERMISSIONS, role) && ROLE_PERMISSIONS[role].includes(permission);
+}
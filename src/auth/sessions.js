@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { promisify } from 'util';
+import {
+    insertRefreshToken,
+    fetchRefreshTokenByHash,
+    revokeRefreshToken,
+    revokeRefreshTokens
+} from '../database/refreshTokenQueries.js';
+import { findUserById } from '../database/userQueries.js';
+import { toSqliteTimestamp } from '../telemetry/timeRange.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the lifetime of access tokens.
+ *
+ * @returns {string} The value of `JWT_EXPIRES_IN` in `jsonwebtoken` notation, or '15m'.
+ */
+export function getAccessTokenLifetime() {
+    return process.env.JWT_EXPIRES_IN || '15m';
+}
+
+/**
+ * Returns the number of days a refresh token can be used.
+ *
+ * @returns {number} The value of `REFRESH_TOKEN_TTL_DAYS`, or 30.
+ */
+export function getRefreshTokenTtlDays() {
+    const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+    return days > 0 ? days : 30;
+}
+
+/**
+ * Starts a login session, or continues one after its refresh token was rotated, by issuing an
+ * access token and a refresh token.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} user - The user with its `id`, `username` and `role`, which the access
+ *                        token carries.
+ * @param {string} [familyId] - The ID of the session being continued.
+ * @returns {Promise<Object>} - `{ token, tokenExpiresAt, refreshToken, refreshTokenExpiresAt }`.
+ */
+export async function createSession(db, user, familyId = crypto.randomUUID()) {
+    const token = jwt.sign({ id: user.id, username: user.username, role: user.role }, process.env.JWT_SECRET, { expiresIn: getAccessTokenLifetime() });
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = toSqliteTimestamp(Date.now() + getRefreshTokenTtlDays() * DAY_MS);
+
+    await promisify(insertRefreshToken)(db, {
+        userId: user.id,
+        tokenHash: hashRefreshToken(refreshToken),
+        familyId,
+        expiresAt,
+    });
+    return {
+        token,
+        tokenExpiresAt: new Date(jwt.decode(token).exp * 1000).toISOString(),
+        refreshToken,
+        refreshTokenExpiresAt: new Date(`${expiresAt}Z`).toISOString(),
+    };
+}
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token. Each refresh token can
+ * be used once; presenting one that was already rotated means it was stolen or replayed, so
+ * the whole session is revoked. The new access token carries the user's current role.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} refreshToken - The refresh token.
+ * @returns {Promise<Object>} - `{ session }` with the new tokens, or `{ error }` if the
+ *                              refresh token cannot be used.
+ */
+export async function rotateSession(db, refreshToken) {
+    const stored = await promisify(fetchRefreshTokenByHash)(db, hashRefreshToken(refreshToken));
+    if (!stored) {
+        return { error: 'Invalid refresh token' };
+    }
+    if (stored.revokedAt) {
+        if (stored.revokedReason === 'rotated') {
+            await revokeReusedSession(db, stored);
+        }
+        return { error: 'Invalid refresh token' };
+    }
+    if (stored.expiresAt <= toSqliteTimestamp(Date.now())) {
+        return { error: 'Refresh token has expired' };
+    }
+
+    const changes = await promisify(revokeRefreshToken)(db, stored.id, 'rotated');
+    if (changes === 0) {
+        await revokeReusedSession(db, stored);
+        return { error: 'Invalid refresh token' };
+    }
+
+    const user = await promisify(findUserById)(db, stored.userId);
+    if (!user) {
+        return { error: 'Invalid refresh token' };
+    }
+    return { session: await createSession(db, user, stored.familyId) };
+}
+
+/**
+ * Ends the login session a refresh token belongs to.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} refreshToken - The refresh token.
+ * @returns {Promise<boolean>} - False if the refresh token is unknown.
+ */
+export async function endSession(db, refreshToken) {
+    const stored = await promisify(fetchRefreshTokenByHash)(db, hashRefreshToken(refreshToken));
+    if (!stored) {
+        return false;
+    }
+    await promisify(revokeRefreshTokens)(db, { familyId: stored.familyId }, 'logout');
+    return true;
+}
+
+/**
+ * Ends all login sessions of a user, e.g. after a password change.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} userId - The user ID.
+ * @param {string} reason - The reason, e.g. 'password-change'.
+ * @returns {Promise<number>} - The number of revoked refresh tokens.
+ */
+export function endUserSessions(db, userId, reason) {
+    return promisify(revokeRefreshTokens)(db, { userId }, reason);
+}
+
+/**
+ * Revokes the session of a refresh token that was presented after it had been rotated.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} stored - The stored refresh token.
+ */
+async function revokeReusedSession(db, stored) {
+    console.warn(`Refresh token reuse detected for user ${stored.userId}, revoking the session`);
+    await promisify(revokeRefreshTokens)(db, { familyId: stored.familyId }, 'reuse');
+}
+
+/**
+ * Hashes a refresh token for storage and lookup.
+ *
+ * @param {string} refreshToken - The refresh token.
+ * @returns {string} The hex SHA-256 digest.
+ */
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
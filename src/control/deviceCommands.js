@@ -0,0 +1,143 @@
+import { randomUUID } from 'crypto';
+import { promisify } from 'util';
+import { publishToDevice } from '../mqtt/mqttClient.js';
+import {
+    createDeviceCommand,
+    fetchDeviceCommand,
+    setDeviceCommandStatus,
+    timeOutDeviceCommands
+} from '../database/commandQueries.js';
+
+/**
+ * Number of fans and heaters of an incubator, numbered from 1.
+ */
+export const FAN_COUNT = 2;
+export const HEATER_COUNT = 4;
+
+/**
+ * Commands that can be sent to a device.
+ */
+export const DEVICE_COMMANDS = ['set-fan', 'set-heater', 'set-setpoint'];
+
+/**
+ * Statuses a device may report in an 'ack' message and the command status each one sets.
+ */
+export const ACK_STATUSES = {
+    ok: 'acknowledged',
+    error: 'failed',
+};
+
+/**
+ * Accepted setpoint ranges, in °C and % relative humidity.
+ */
+const SETPOINT_RANGES = {
+    temperature: { min: 0, max: 60 },
+    humidity: { min: 0, max: 100 },
+};
+
+/**
+ * Validates a command request and extracts its parameters.
+ *
+ * - 'set-fan' takes a `fan` number (1 to `FAN_COUNT`) and a boolean `state`.
+ * - 'set-heater' takes a `heater` number (1 to `HEATER_COUNT`) and a boolean `state`.
+ * - 'set-setpoint' takes a `temperature` and/or a `humidity` setpoint.
+ *
+ * @param {Object} body - The request body with the `command` and its parameters.
+ * @returns {Object} `{ error }` if the command is invalid, otherwise `{ command, params }`.
+ */
+export function validateDeviceCommand(body) {
+    const { command } = body;
+
+    if (command === 'set-fan' || command === 'set-heater') {
+        const unit = command === 'set-fan' ? 'fan' : 'heater';
+        const count = command === 'set-fan' ? FAN_COUNT : HEATER_COUNT;
+        const number = body[unit];
+
+        if (!Number.isInteger(number) || number < 1 || number > count) {
+            return { error: `${unit} must be an integer between 1 and ${count}` };
+        }
+        if (typeof body.state !== 'boolean') {
+            return { error: 'state must be a boolean' };
+        }
+        return { command, params: { [unit]: number, state: body.state } };
+    }
+
+    if (command === 'set-setpoint') {
+        const params = {};
+        for (const [name, range] of Object.entries(SETPOINT_RANGES)) {
+            const value = body[name];
+            if (value === undefined) {
+                continue;
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max) {
+                return { error: `${name} must be a number between ${range.min} and ${range.max}` };
+            }
+            params[name] = value;
+        }
+        if (Object.keys(params).length === 0) {
+            return { error: 'set-setpoint requires a temperature or humidity setpoint' };
+        }
+        return { command, params };
+    }
+
+    return { error: `command must be one of: ${DEVICE_COMMANDS.join(', ')}` };
+}
+
+/**
+ * Returns the time a device has to acknowledge a command by default.
+ *
+ * @returns {number} The value of `COMMAND_TIMEOUT_SECONDS`, or 30 seconds.
+ */
+export function getDefaultCommandTimeout() {
+    const seconds = Number(process.env.COMMAND_TIMEOUT_SECONDS);
+    return Number.isInteger(seconds) && seconds > 0 ? seconds : 30;
+}
+
+/**
+ * Stores a command and publishes it to the device's command topic.
+ *
+ * The published payload is `{ command, correlationId, ...params }`; the device answers with an
+ * 'ack' message carrying the same `correlationId`. The command is published in the background
+ * and moves from 'pending' to 'sent' once the broker has accepted it, or to 'failed' with the
+ * error 'PUBLISH_FAILED'.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client.
+ * @param {string} deviceID - The target device.
+ * @param {string} command - The command type.
+ * @param {Object} params - The validated command parameters.
+ * @param {number} timeoutSeconds - The time the device has to acknowledge the command.
+ * @returns {Promise<Object>} - The stored command.
+ */
+export async function sendDeviceCommand(db, mqttClient, deviceID, command, params, timeoutSeconds) {
+    const correlationId = randomUUID();
+    await promisify(createDeviceCommand)(db, { correlationId, deviceID, command, params, timeoutSeconds });
+
+    publishToDevice(mqttClient, deviceID, { command, correlationId, ...params }, (err) => {
+        if (err) {
+            console.error(`Failed to publish ${command} command to ${deviceID}:`, err.message);
+            setDeviceCommandStatus(db, correlationId, 'failed', 'PUBLISH_FAILED');
+        } else {
+            setDeviceCommandStatus(db, correlationId, 'sent', null);
+        }
+    });
+
+    return promisify(fetchDeviceCommand)(db, correlationId);
+}
+
+/**
+ * Starts marking commands that were not acknowledged in time as 'timed-out' on a fixed interval.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} intervalMs - The interval between checks in milliseconds.
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+export function startCommandTimeoutScheduler(db, intervalMs) {
+    return setInterval(() => {
+        timeOutDeviceCommands(db, (err, changes) => {
+            if (!err && changes > 0) {
+                console.log(`Timed out ${changes} unacknowledged device command(s)`);
+            }
+        });
+    }, intervalMs);
+}
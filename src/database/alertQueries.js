@@ -0,0 +1,457 @@
+/**
+ * Readings a 'threshold' alert rule can watch and the comparisons it can use.
+ */
+export const ALERT_METRICS = ['temperature', 'humidity'];
+export const ALERT_OPERATORS = ['>', '>=', '<', '<='];
+
+/**
+ * Statuses of an alert.
+ */
+export const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+/**
+ * Columns of an alert rule that can be set when creating or updating it.
+ */
+const ruleColumns = [
+    'name', 'type', 'deviceID', 'metric', 'operator', 'threshold', 'durationSeconds', 'renotifyMinutes',
+    'notifiers', 'enabled',
+];
+
+/**
+ * Creates an alert rule.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} rule - The rule with `name`, `type`, `deviceID`, `metric`, `operator`,
+ *                        `threshold`, `durationSeconds`, `renotifyMinutes`, `notifiers` and `enabled`.
+ * @param {function} callback - The callback function receiving the new rule ID.
+ */
+export function createAlertRule(db, rule, callback) {
+    const query = `
+        INSERT INTO AlertRules (${ruleColumns.join(', ')})
+        VALUES (${ruleColumns.map(() => '?').join(', ')});
+    `;
+    db.run(query, toRuleValues(rule), function(err) {
+        if (err) {
+            console.error('Failed to create alert rule:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Replaces the settings of an alert rule.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} ruleId - The rule ID.
+ * @param {Object} rule - The complete rule, as for `createAlertRule`.
+ * @param {function} callback - The callback function receiving the number of updated rules.
+ */
+export function updateAlertRule(db, ruleId, rule, callback) {
+    const query = `
+        UPDATE AlertRules
+        SET ${ruleColumns.map((column) => `${column} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?;
+    `;
+    db.run(query, [...toRuleValues(rule), ruleId], function(err) {
+        if (err) {
+            console.error('Failed to update alert rule:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Deletes an alert rule. Its alerts are kept.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} ruleId - The rule ID.
+ * @param {function} callback - The callback function receiving the number of deleted rules.
+ */
+export function deleteAlertRule(db, ruleId, callback) {
+    db.run(`DELETE FROM AlertRules WHERE id = ?`, [ruleId], function(err) {
+        if (err) {
+            console.error('Failed to delete alert rule:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Fetches all alert rules, or only the enabled ones.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {boolean} enabledOnly - Only return enabled rules.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * The `notifiers` column is parsed into an array and `enabled` into a boolean.
+ */
+export function fetchAlertRules(db, enabledOnly, callback) {
+    const query = `
+        SELECT *
+        FROM AlertRules
+        ${enabledOnly ? 'WHERE enabled = 1' : ''}
+        ORDER BY id;
+    `;
+    db.all(query, [], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch alert rules:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(parseAlertRule));
+        }
+    });
+}
+
+/**
+ * Fetches the enabled alert rules that watch a device, including the fleet-wide ones.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchAlertRulesForDevice(db, deviceID, callback) {
+    const query = `
+        SELECT *
+        FROM AlertRules
+        WHERE enabled = 1 AND (deviceID IS NULL OR deviceID = ?)
+        ORDER BY id;
+    `;
+    db.all(query, [deviceID], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch alert rules:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(parseAlertRule));
+        }
+    });
+}
+
+/**
+ * Fetches a single alert rule by its ID.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} ruleId - The rule ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchAlertRuleById(db, ruleId, callback) {
+    db.get(`SELECT * FROM AlertRules WHERE id = ?`, [ruleId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch alert rule:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ? parseAlertRule(row) : null);
+        }
+    });
+}
+
+/**
+ * Finds the current streak of `SensorData` rows of a device that match the condition of a rule,
+ * looking back no further than the latest row at or before `cutoff`.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {Object} rule - A 'threshold' or 'heater-stuck' rule.
+ * @param {string} cutoff - SQLite timestamp the streak must reach back to for the condition to
+ *                          have held for the duration of the rule.
+ * @param {function} callback - The callback function receiving `{ since, value }`, where `since`
+ *                              is the timestamp of the first row of the streak within the window
+ *                              and `value` the watched reading of the latest row, or null if the
+ *                              latest row does not match.
+ *
+ * Rows with a missing reading break the streak. Only the rule window is read, through the
+ * (`deviceID`, `timestamp`) index, since this runs after every ingested batch.
+ */
+export function fetchConditionStreak(db, deviceID, rule, cutoff, callback) {
+    const valueColumn = rule.type === 'threshold' ? rule.metric : 'heaterState';
+    const condition = rule.type === 'threshold'
+        ? `${rule.metric} ${rule.operator} ?`
+        : `(heaterState = 1 OR UPPER(heaterState) = 'ON')`;
+    const conditionParams = rule.type === 'threshold' ? [rule.threshold] : [];
+
+    const query = `
+        SELECT timestamp, ${valueColumn} AS value, COALESCE(${condition}, 0) AS matches
+        FROM SensorData
+        WHERE deviceID = ? AND timestamp >= COALESCE((
+            SELECT MAX(timestamp) FROM SensorData WHERE deviceID = ? AND timestamp <= ?
+        ), ?)
+        ORDER BY timestamp DESC, id DESC;
+    `;
+    db.all(query, [...conditionParams, deviceID, deviceID, cutoff, cutoff], (err, rows) => {
+        if (err) {
+            console.error('Failed to evaluate alert condition:', err.message);
+            return callback(err, null);
+        }
+
+        const streakLength = rows.findIndex((row) => !row.matches);
+        const streak = streakLength === -1 ? rows : rows.slice(0, streakLength);
+        if (streak.length === 0) {
+            callback(null, null);
+        } else {
+            callback(null, { since: streak[streak.length - 1].timestamp, value: streak[0].value });
+        }
+    });
+}
+
+/**
+ * Fetches the unresolved alert of a rule for a device, if any.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} ruleId - The rule ID.
+ * @param {string} deviceID - The device ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchActiveAlert(db, ruleId, deviceID, callback) {
+    const query = `
+        SELECT *
+        FROM Alerts
+        WHERE ruleId = ? AND deviceID = ? AND status != 'resolved';
+    `;
+    db.get(query, [ruleId, deviceID], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch active alert:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Opens an alert.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} alert - The alert with `ruleId`, `deviceID`, `message` and `value`.
+ * @param {function} callback - The callback function receiving the new alert ID, or null if the
+ *                              rule already has an unresolved alert for the device.
+ */
+export function createAlert(db, alert, callback) {
+    const query = `
+        INSERT INTO Alerts (ruleId, deviceID, message, value)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT DO NOTHING;
+    `;
+    db.run(query, [alert.ruleId, alert.deviceID, alert.message, alert.value ?? null], function(err) {
+        if (err) {
+            console.error('Failed to create alert:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes > 0 ? this.lastID : null);
+        }
+    });
+}
+
+/**
+ * Marks an open alert as 'acknowledged', which stops its re-notifications.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} alertId - The alert ID.
+ * @param {string|null} username - The user acknowledging the alert.
+ * @param {function} callback - The callback function receiving the number of updated alerts.
+ */
+export function acknowledgeAlert(db, alertId, username, callback) {
+    const query = `
+        UPDATE Alerts
+        SET status = 'acknowledged', acknowledgedAt = CURRENT_TIMESTAMP, acknowledgedBy = ?
+        WHERE id = ? AND status = 'open';
+    `;
+    db.run(query, [username, alertId], function(err) {
+        if (err) {
+            console.error('Failed to acknowledge alert:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Marks an unresolved alert as 'resolved'.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} alertId - The alert ID.
+ * @param {function} callback - The callback function receiving the number of updated alerts.
+ */
+export function resolveAlert(db, alertId, callback) {
+    const query = `
+        UPDATE Alerts
+        SET status = 'resolved', resolvedAt = CURRENT_TIMESTAMP
+        WHERE id = ? AND status != 'resolved';
+    `;
+    db.run(query, [alertId], function(err) {
+        if (err) {
+            console.error('Failed to resolve alert:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Marks all unresolved alerts of a rule as 'resolved', e.g. when the rule is disabled or deleted.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} ruleId - The rule ID.
+ * @param {function} callback - The callback function receiving the number of updated alerts.
+ */
+export function resolveAlertsForRule(db, ruleId, callback) {
+    const query = `
+        UPDATE Alerts
+        SET status = 'resolved', resolvedAt = CURRENT_TIMESTAMP
+        WHERE ruleId = ? AND status != 'resolved';
+    `;
+    db.run(query, [ruleId], function(err) {
+        if (err) {
+            console.error('Failed to resolve alerts:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Records that a notification was sent for an alert.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} alertId - The alert ID.
+ * @param {function} callback - Optional callback function receiving an error, if any.
+ */
+export function markAlertNotified(db, alertId, callback = () => {}) {
+    const query = `
+        UPDATE Alerts
+        SET lastNotifiedAt = CURRENT_TIMESTAMP, notificationCount = notificationCount + 1
+        WHERE id = ?;
+    `;
+    db.run(query, [alertId], (err) => {
+        if (err) {
+            console.error('Failed to update alert notification time:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Fetches the open alerts whose rule asks for a re-notification that is now due.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchAlertsDueForRenotify(db, callback) {
+    const query = `
+        SELECT Alerts.*
+        FROM Alerts
+        JOIN AlertRules ON AlertRules.id = Alerts.ruleId
+        WHERE Alerts.status = 'open'
+            AND AlertRules.enabled = 1
+            AND AlertRules.renotifyMinutes IS NOT NULL
+            AND datetime(COALESCE(Alerts.lastNotifiedAt, Alerts.openedAt), '+' || AlertRules.renotifyMinutes || ' minutes')
+                <= CURRENT_TIMESTAMP;
+    `;
+    db.all(query, [], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch alerts due for re-notification:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches alerts, newest first, with the name of their rule.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} filters - Optional `status` and `deviceID` filters and the `limit`.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchAlerts(db, filters, callback) {
+    const conditions = [];
+    const params = [];
+    if (filters.status) {
+        conditions.push('Alerts.status = ?');
+        params.push(filters.status);
+    }
+    if (filters.deviceID) {
+        conditions.push('Alerts.deviceID = ?');
+        params.push(filters.deviceID);
+    }
+
+    const query = `
+        SELECT Alerts.*, AlertRules.name AS ruleName
+        FROM Alerts
+        LEFT JOIN AlertRules ON AlertRules.id = Alerts.ruleId
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY Alerts.id DESC
+        LIMIT ?;
+    `;
+    db.all(query, [...params, filters.limit], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch alerts:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches a single alert by its ID, with the name of its rule.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} alertId - The alert ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchAlertById(db, alertId, callback) {
+    const query = `
+        SELECT Alerts.*, AlertRules.name AS ruleName
+        FROM Alerts
+        LEFT JOIN AlertRules ON AlertRules.id = Alerts.ruleId
+        WHERE Alerts.id = ?;
+    `;
+    db.get(query, [alertId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch alert:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Converts a rule into the values of its settable columns.
+ *
+ * @param {Object} rule - The rule.
+ * @returns {Array} The values, in the order of `ruleColumns`.
+ */
+function toRuleValues(rule) {
+    return [
+        rule.name,
+        rule.type,
+        rule.deviceID ?? null,
+        rule.metric ?? null,
+        rule.operator ?? null,
+        rule.threshold ?? null,
+        rule.durationSeconds ?? 0,
+        rule.renotifyMinutes ?? null,
+        JSON.stringify(rule.notifiers ?? []),
+        rule.enabled === false ? 0 : 1,
+    ];
+}
+
+/**
+ * Converts a raw alert rule row into a rule object.
+ *
+ * @param {Object} row - The database row.
+ * @returns {Object} The rule with parsed `notifiers` and a boolean `enabled`.
+ */
+function parseAlertRule(row) {
+    return { ...row, notifiers: JSON.parse(row.notifiers), enabled: row.enabled === 1 };
+}
@@ -0,0 +1,139 @@
+/**
+ * Columns of an API key that may be shown, i.e. all but the key hash.
+ */
+const API_KEY_COLUMNS = 'id, name, keyPrefix, scopes, createdBy, createdAt, expiresAt, lastUsedAt, revokedAt';
+
+/**
+ * Stores an API key.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} apiKey - The `name`, `keyPrefix`, `keyHash`, `scopes` array, `createdBy` and
+ *                          optional `expiresAt` SQLite timestamp of the key.
+ * @param {function} callback - The callback function receiving the new key ID.
+ */
+export function insertApiKey(db, apiKey, callback) {
+    const query = `
+        INSERT INTO ApiKeys (name, keyPrefix, keyHash, scopes, createdBy, expiresAt)
+        VALUES (?, ?, ?, ?, ?, ?);
+    `;
+    const params = [
+        apiKey.name,
+        apiKey.keyPrefix,
+        apiKey.keyHash,
+        JSON.stringify(apiKey.scopes),
+        apiKey.createdBy ?? null,
+        apiKey.expiresAt ?? null,
+    ];
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to store API key:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches all API keys, newest first, without their hashes.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchApiKeys(db, callback) {
+    db.all(`SELECT ${API_KEY_COLUMNS} FROM ApiKeys ORDER BY id DESC`, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch API keys:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(parseApiKey));
+        }
+    });
+}
+
+/**
+ * Fetches a single API key by its ID, without its hash.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} apiKeyId - The key ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchApiKeyById(db, apiKeyId, callback) {
+    db.get(`SELECT ${API_KEY_COLUMNS} FROM ApiKeys WHERE id = ?`, [apiKeyId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch API key:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ? parseApiKey(row) : null);
+        }
+    });
+}
+
+/**
+ * Fetches an API key by the hash of its value.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} keyHash - The SHA-256 hash of the key.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchApiKeyByHash(db, keyHash, callback) {
+    db.get(`SELECT ${API_KEY_COLUMNS} FROM ApiKeys WHERE keyHash = ?`, [keyHash], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch API key:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ? parseApiKey(row) : null);
+        }
+    });
+}
+
+/**
+ * Revokes an API key.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} apiKeyId - The key ID.
+ * @param {function} callback - The callback function receiving the number of revoked keys,
+ *                              0 if the key does not exist or was revoked already.
+ */
+export function revokeApiKey(db, apiKeyId, callback) {
+    db.run(`UPDATE ApiKeys SET revokedAt = CURRENT_TIMESTAMP WHERE id = ? AND revokedAt IS NULL`, [apiKeyId], function(err) {
+        if (err) {
+            console.error('Failed to revoke API key:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Records that an API key was used. The time is only refreshed once a minute, so busy keys do
+ * not cause a write per request.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} apiKeyId - The key ID.
+ * @param {function} callback - Optional callback function receiving an error, if any.
+ */
+export function touchApiKey(db, apiKeyId, callback = () => {}) {
+    const query = `
+        UPDATE ApiKeys
+        SET lastUsedAt = CURRENT_TIMESTAMP
+        WHERE id = ? AND (lastUsedAt IS NULL OR lastUsedAt < datetime('now', '-1 minute'));
+    `;
+    db.run(query, [apiKeyId], (err) => {
+        if (err) {
+            console.error('Failed to record API key use:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Parses the stored scopes of an API key.
+ *
+ * @param {Object} row - The stored key.
+ * @returns {Object} The key with its `scopes` array.
+ */
+function parseApiKey(row) {
+    return { ...row, scopes: JSON.parse(row.scopes) };
+}
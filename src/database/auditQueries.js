@@ -0,0 +1,94 @@
+/**
+ * Appends an entry to the audit log.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} entry - The `actor`, `action`, `targetType`, `targetId`, `before` and `after`
+ *                         values (stored as JSON) and `ip` of the entry.
+ * @param {function} callback - Optional callback function receiving the new entry ID.
+ */
+export function insertAuditEntry(db, entry, callback = () => {}) {
+    const query = `
+        INSERT INTO AuditLog (actor, action, targetType, targetId, beforeValue, afterValue, ip)
+        VALUES (?, ?, ?, ?, ?, ?, ?);
+    `;
+    const params = [
+        entry.actor ?? null,
+        entry.action,
+        entry.targetType ?? null,
+        entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+        entry.before === undefined ? null : JSON.stringify(entry.before),
+        entry.after === undefined ? null : JSON.stringify(entry.after),
+        entry.ip ?? null,
+    ];
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to store audit entry:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches audit log entries, newest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} filters - Optional `actor`, `action`, `targetType` and `targetId` filters,
+ *                           `from` and `to` SQLite timestamps, the `beforeId` pagination cursor
+ *                           and the `limit`.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchAuditEntries(db, filters, callback) {
+    const conditions = [];
+    const params = [];
+    for (const column of ['actor', 'action', 'targetType', 'targetId']) {
+        if (filters[column]) {
+            conditions.push(`${column} = ?`);
+            params.push(filters[column]);
+        }
+    }
+    if (filters.from) {
+        conditions.push('createdAt >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('createdAt < ?');
+        params.push(filters.to);
+    }
+    if (filters.beforeId) {
+        conditions.push('id < ?');
+        params.push(filters.beforeId);
+    }
+
+    const query = `
+        SELECT *
+        FROM AuditLog
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY id DESC
+        LIMIT ?;
+    `;
+    db.all(query, [...params, filters.limit], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch audit entries:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(parseAuditEntry));
+        }
+    });
+}
+
+/**
+ * Parses the JSON values of a stored audit entry.
+ *
+ * @param {Object} row - The `AuditLog` row.
+ * @returns {Object} The entry with `before` and `after` values.
+ */
+function parseAuditEntry(row) {
+    const { beforeValue, afterValue, ...entry } = row;
+    return {
+        ...entry,
+        before: beforeValue === null ? null : JSON.parse(beforeValue),
+        after: afterValue === null ? null : JSON.parse(afterValue),
+    };
+}
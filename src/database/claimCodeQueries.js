@@ -0,0 +1,129 @@
+/**
+ * Columns of a claim code that may be shown, i.e. all but the code hash.
+ */
+const CLAIM_CODE_COLUMNS = 'id, deviceID, createdBy, createdAt, expiresAt, usedAt, usedBy';
+
+/**
+ * Stores a one-time claim code.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} claimCode - The `codeHash`, optional `deviceID` the code is bound to,
+ *                             `createdBy` and `expiresAt` SQLite timestamp of the code.
+ * @param {function} callback - The callback function receiving the new claim code ID.
+ */
+export function insertClaimCode(db, claimCode, callback) {
+    const query = `
+        INSERT INTO ClaimCodes (codeHash, deviceID, createdBy, expiresAt)
+        VALUES (?, ?, ?, ?);
+    `;
+    const params = [
+        claimCode.codeHash,
+        claimCode.deviceID ?? null,
+        claimCode.createdBy ?? null,
+        claimCode.expiresAt,
+    ];
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to store claim code:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches all claim codes, newest first, without their hashes.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchClaimCodes(db, callback) {
+    db.all(`SELECT ${CLAIM_CODE_COLUMNS} FROM ClaimCodes ORDER BY id DESC`, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch claim codes:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches a single claim code by its ID, without its hash.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} claimCodeId - The claim code ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchClaimCodeById(db, claimCodeId, callback) {
+    db.get(`SELECT ${CLAIM_CODE_COLUMNS} FROM ClaimCodes WHERE id = ?`, [claimCodeId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch claim code:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Fetches a claim code by the hash of its value.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} codeHash - The SHA-256 hash of the code.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchClaimCodeByHash(db, codeHash, callback) {
+    db.get(`SELECT ${CLAIM_CODE_COLUMNS} FROM ClaimCodes WHERE codeHash = ?`, [codeHash], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch claim code:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Marks a claim code as used by a device, unless it has been used already.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} claimCodeId - The claim code ID.
+ * @param {string} deviceID - The device that used the code.
+ * @param {function} callback - The callback function receiving the number of updated codes,
+ *                              0 if the code was used in the meantime.
+ */
+export function consumeClaimCode(db, claimCodeId, deviceID, callback) {
+    const query = `
+        UPDATE ClaimCodes
+        SET usedAt = CURRENT_TIMESTAMP, usedBy = ?
+        WHERE id = ? AND usedAt IS NULL;
+    `;
+    db.run(query, [deviceID, claimCodeId], function(err) {
+        if (err) {
+            console.error('Failed to use claim code:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Deletes a claim code, e.g. one that was handed out by mistake.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} claimCodeId - The claim code ID.
+ * @param {function} callback - The callback function receiving the number of deleted codes.
+ */
+export function deleteClaimCode(db, claimCodeId, callback) {
+    db.run(`DELETE FROM ClaimCodes WHERE id = ?`, [claimCodeId], function(err) {
+        if (err) {
+            console.error('Failed to delete claim code:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
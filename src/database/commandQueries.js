@@ -0,0 +1,170 @@
+/**
+ * Statuses a command keeps once it has been resolved.
+ */
+const terminalStatusList = `'acknowledged', 'failed', 'timed-out'`;
+
+/**
+ * Creates a pending device command.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} command - The command with `correlationId`, `deviceID`, `command`, `params`
+ *                           and `timeoutSeconds`.
+ * @param {function} callback - The callback function receiving the new command ID.
+ */
+export function createDeviceCommand(db, command, callback) {
+    const query = `
+        INSERT INTO DeviceCommands (correlationId, deviceID, command, params, timeoutSeconds)
+        VALUES (?, ?, ?, ?, ?);
+    `;
+    const params = [
+        command.correlationId,
+        command.deviceID,
+        command.command,
+        JSON.stringify(command.params),
+        command.timeoutSeconds,
+    ];
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to create device command:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches the most recent commands of a device, newest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {number} limit - The maximum number of commands to return.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * The `params` column is parsed into an object.
+ */
+export function fetchDeviceCommands(db, deviceID, limit, callback) {
+    const query = `
+        SELECT *
+        FROM DeviceCommands
+        WHERE deviceID = ?
+        ORDER BY id DESC
+        LIMIT ?;
+    `;
+    db.all(query, [deviceID, limit], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch device commands:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(parseDeviceCommand));
+        }
+    });
+}
+
+/**
+ * Fetches a single device command by its correlation ID.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} correlationId - The correlation ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchDeviceCommand(db, correlationId, callback) {
+    db.get(`SELECT * FROM DeviceCommands WHERE correlationId = ?`, [correlationId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch device command:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ? parseDeviceCommand(row) : null);
+        }
+    });
+}
+
+/**
+ * Sets the status of a device command that has not been resolved yet.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} correlationId - The correlation ID.
+ * @param {string} status - The new status.
+ * @param {string|null} error - The error, if any.
+ * @param {function} callback - Optional callback function receiving the number of updated commands.
+ *
+ * Commands that were already acknowledged, failed or timed out are left untouched, so a late
+ * 'ack' cannot revive a timed-out command and a publish confirmation cannot overwrite an 'ack'
+ * that arrived first.
+ */
+export function setDeviceCommandStatus(db, correlationId, status, error, callback = () => {}) {
+    const query = `
+        UPDATE DeviceCommands
+        SET status = ?, error = ?, updatedAt = CURRENT_TIMESTAMP
+        WHERE correlationId = ? AND status NOT IN (${terminalStatusList});
+    `;
+    db.run(query, [status, error, correlationId], function(err) {
+        if (err) {
+            console.error('Failed to update device command status:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Records an 'ack' message from a device on the command it answers.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device sending the acknowledgement.
+ * @param {string} correlationId - The correlation ID of the command.
+ * @param {string} status - 'acknowledged' or 'failed'.
+ * @param {string|null} error - The error reported by the device, if any.
+ * @param {function} callback - Optional callback function receiving the number of updated commands.
+ *
+ * Only commands addressed to the sending device that have not been resolved yet are updated.
+ */
+export function recordCommandAck(db, deviceID, correlationId, status, error, callback = () => {}) {
+    const query = `
+        UPDATE DeviceCommands
+        SET status = ?, error = ?, updatedAt = CURRENT_TIMESTAMP
+        WHERE correlationId = ? AND deviceID = ? AND status NOT IN (${terminalStatusList});
+    `;
+    db.run(query, [status, error, correlationId, deviceID], function(err) {
+        if (err) {
+            console.error('Failed to record command acknowledgement:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Marks unresolved commands whose acknowledgement is overdue as 'timed-out'.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function receiving the number of timed-out commands.
+ */
+export function timeOutDeviceCommands(db, callback) {
+    const query = `
+        UPDATE DeviceCommands
+        SET status = 'timed-out', error = 'ACK_TIMEOUT', updatedAt = CURRENT_TIMESTAMP
+        WHERE status IN ('pending', 'sent')
+            AND datetime(createdAt, '+' || timeoutSeconds || ' seconds') <= CURRENT_TIMESTAMP;
+    `;
+    db.run(query, [], function(err) {
+        if (err) {
+            console.error('Failed to time out device commands:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Converts a `DeviceCommands` row, parsing its `params`.
+ *
+ * @param {Object} row - The database row.
+ * @returns {Object} The command.
+ */
+function parseDeviceCommand(row) {
+    return { ...row, params: JSON.parse(row.params) };
+}
@@ -0,0 +1,137 @@
+/**
+ * Statuses of a dead letter: 'quarantined' for messages whose device could not be
+ * authenticated, 'pending' for other rejected messages and 'replayed' once either kind was
+ * replayed successfully.
+ */
+export const DEAD_LETTER_STATUSES = ['pending', 'quarantined', 'replayed'];
+
+/**
+ * Stores a rejected MQTT message.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} deadLetter - The message with its `topic`, raw `payload` and the `reason` it
+ *                              was rejected, plus the `messageType` and `deviceID` if known and
+ *                              the `status` ('pending' by default, or 'quarantined').
+ * @param {function} callback - Optional callback function receiving the new dead letter ID.
+ */
+export function insertDeadLetter(db, deadLetter, callback = () => {}) {
+    const query = `
+        INSERT INTO DeadLetters (topic, payload, reason, messageType, deviceID, status)
+        VALUES (?, ?, ?, ?, ?, ?);
+    `;
+    const params = [
+        deadLetter.topic,
+        deadLetter.payload,
+        deadLetter.reason,
+        deadLetter.messageType ?? null,
+        deadLetter.deviceID ?? null,
+        deadLetter.status ?? 'pending',
+    ];
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to store dead letter:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches dead letters, newest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} filters - Optional `status`, `messageType` and `deviceID` filters, the
+ *                           `beforeId` pagination cursor and the `limit`.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchDeadLetters(db, filters, callback) {
+    const conditions = [];
+    const params = [];
+    for (const column of ['status', 'messageType', 'deviceID']) {
+        if (filters[column]) {
+            conditions.push(`${column} = ?`);
+            params.push(filters[column]);
+        }
+    }
+    if (filters.beforeId) {
+        conditions.push('id < ?');
+        params.push(filters.beforeId);
+    }
+
+    const query = `
+        SELECT *
+        FROM DeadLetters
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY id DESC
+        LIMIT ?;
+    `;
+    db.all(query, [...params, filters.limit], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch dead letters:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches a single dead letter by its ID.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deadLetterId - The dead letter ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchDeadLetterById(db, deadLetterId, callback) {
+    db.get(`SELECT * FROM DeadLetters WHERE id = ?`, [deadLetterId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch dead letter:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Records the outcome of replaying a dead letter.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deadLetterId - The dead letter ID.
+ * @param {string|null} reason - The reason the message was rejected again, or null if it was
+ *                               accepted, which marks the dead letter as 'replayed'.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function recordDeadLetterReplay(db, deadLetterId, reason, callback) {
+    const query = `
+        UPDATE DeadLetters
+        SET status = ?, reason = COALESCE(?, reason), replayAttempts = replayAttempts + 1,
+            lastReplayedAt = CURRENT_TIMESTAMP
+        WHERE id = ?;
+    `;
+    db.run(query, [reason ? 'pending' : 'replayed', reason, deadLetterId], (err) => {
+        if (err) {
+            console.error('Failed to record dead letter replay:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Deletes a dead letter.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deadLetterId - The dead letter ID.
+ * @param {function} callback - The callback function receiving the number of deleted dead letters.
+ */
+export function deleteDeadLetter(db, deadLetterId, callback) {
+    db.run(`DELETE FROM DeadLetters WHERE id = ?`, [deadLetterId], function(err) {
+        if (err) {
+            console.error('Failed to delete dead letter:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
@@ -0,0 +1,316 @@
+/**
+ * Update job statuses after which a job no longer changes.
+ */
+export const TERMINAL_JOB_STATUSES = ['success', 'failed'];
+
+const terminalStatusList = TERMINAL_JOB_STATUSES.map((status) => `'${status}'`).join(', ');
+
+/**
+ * Creates a deployment and one update job per target device.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} firmwareVersion - The firmware version to deploy.
+ * @param {string[]} deviceIDs - The devices targeted by the deployment.
+ * @param {function} callback - The callback function receiving the new deployment ID.
+ *
+ * The deployment is created in the 'active' state and every job starts as 'pending'
+ * until the update command has been published to the device.
+ */
+export function createDeployment(db, firmwareVersion, deviceIDs, callback) {
+    db.run(`INSERT INTO Deployments (firmwareVersion) VALUES (?)`, [firmwareVersion], function(err) {
+        if (err) {
+            console.error('Failed to create deployment:', err.message);
+            return callback(err, null);
+        }
+
+        const deploymentId = this.lastID;
+        addUpdateJobs(db, deploymentId, deviceIDs, (err) => {
+            callback(err, err ? null : deploymentId);
+        });
+    });
+}
+
+/**
+ * Adds update jobs for the given devices to an existing deployment.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deploymentId - The deployment to add the jobs to.
+ * @param {string[]} deviceIDs - The devices to create jobs for.
+ * @param {function} callback - The callback function receiving an error, if any.
+ *
+ * Devices that already have a job in the deployment are skipped.
+ */
+export function addUpdateJobs(db, deploymentId, deviceIDs, callback) {
+    if (deviceIDs.length === 0) {
+        return callback(null);
+    }
+
+    const placeholders = deviceIDs.map(() => '(?, ?)').join(', ');
+    const values = deviceIDs.flatMap((deviceID) => [deploymentId, deviceID]);
+
+    db.run(`INSERT OR IGNORE INTO UpdateJobs (deploymentId, deviceID) VALUES ${placeholders}`, values, (err) => {
+        if (err) {
+            console.error('Failed to create update jobs:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Fetches all deployments together with a summary of their jobs.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * Deployments are ordered from newest to oldest. Each row includes the total number of
+ * jobs and the number of succeeded and failed jobs.
+ */
+export function fetchDeployments(db, callback) {
+    const query = `
+        SELECT d.*,
+            COUNT(j.id) AS totalJobs,
+            COALESCE(SUM(j.status = 'success'), 0) AS succeededJobs,
+            COALESCE(SUM(j.status = 'failed'), 0) AS failedJobs
+        FROM Deployments d
+        LEFT JOIN UpdateJobs j ON j.deploymentId = d.id
+        GROUP BY d.id
+        ORDER BY d.id DESC;
+    `;
+    db.all(query, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch deployments:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches a single deployment by its ID.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deploymentId - The deployment ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchDeploymentById(db, deploymentId, callback) {
+    db.get(`SELECT * FROM Deployments WHERE id = ?`, [deploymentId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch deployment:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row);
+        }
+    });
+}
+
+/**
+ * Fetches the update jobs of a deployment.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deploymentId - The deployment ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchUpdateJobs(db, deploymentId, callback) {
+    const query = `
+        SELECT *
+        FROM UpdateJobs
+        WHERE deploymentId = ?
+        ORDER BY id;
+    `;
+    db.all(query, [deploymentId], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch update jobs:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches the update jobs of a deployment together with what each device last reported.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deploymentId - The deployment ID.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * Each job includes the device's `reportedVersion` and `lastSeen` time, which are null if the
+ * device is not registered.
+ */
+export function fetchUpdateJobsWithDevices(db, deploymentId, callback) {
+    const query = `
+        SELECT j.*, d.firmwareVersion AS reportedVersion, d.lastSeen
+        FROM UpdateJobs j
+        LEFT JOIN Devices d ON d.deviceID = j.deviceID
+        WHERE j.deploymentId = ?
+        ORDER BY j.id;
+    `;
+    db.all(query, [deploymentId], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch update jobs:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Sets the status of a deployment.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deploymentId - The deployment ID.
+ * @param {string} status - The new status.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function setDeploymentStatus(db, deploymentId, status, callback) {
+    db.run(`UPDATE Deployments SET status = ? WHERE id = ?`, [status, deploymentId], (err) => {
+        if (err) {
+            console.error('Failed to update deployment status:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Fails every job of a deployment whose command has not been published yet.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} deploymentId - The deployment ID.
+ * @param {string} errorCode - The error code recorded on the failed jobs.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function failPendingJobs(db, deploymentId, errorCode, callback) {
+    const query = `
+        UPDATE UpdateJobs
+        SET status = 'failed', errorCode = ?, updatedAt = CURRENT_TIMESTAMP
+        WHERE deploymentId = ? AND status = 'pending';
+    `;
+    db.run(query, [errorCode, deploymentId], (err) => {
+        if (err) {
+            console.error('Failed to fail pending jobs:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Sets the status of a single update job.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} jobId - The update job ID.
+ * @param {string} status - The new status.
+ * @param {string|null} errorCode - The error code, if any.
+ * @param {function} callback - Optional callback function receiving an error, if any.
+ */
+export function setUpdateJobStatus(db, jobId, status, errorCode, callback = () => {}) {
+    const query = `
+        UPDATE UpdateJobs
+        SET status = ?, errorCode = ?, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?;
+    `;
+    db.run(query, [status, errorCode, jobId], (err) => {
+        if (err) {
+            console.error('Failed to update job status:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Marks a pending update job as 'sent' once its command has been published.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} jobId - The update job ID.
+ * @param {function} callback - Optional callback function receiving an error, if any.
+ *
+ * Jobs the device has already reported progress on keep their reported status.
+ */
+export function markUpdateJobSent(db, jobId, callback = () => {}) {
+    const query = `
+        UPDATE UpdateJobs
+        SET status = 'sent', updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'pending';
+    `;
+    db.run(query, [jobId], (err) => {
+        if (err) {
+            console.error('Failed to update job status:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Records an OTA status report from a device on its update job.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device reporting its status.
+ * @param {number|null} deploymentId - The deployment named in the report, if any.
+ * @param {string} status - The reported status.
+ * @param {string|null} errorCode - The reported error code, if any.
+ * @param {function} callback - Optional callback function receiving the number of updated jobs.
+ *
+ * When the report does not name a deployment, the device's most recent unfinished job is
+ * updated. Jobs that already reached a terminal status are left untouched. Once every job of
+ * a deployment has finished, the deployment is marked as 'completed'.
+ */
+export function recordOtaStatus(db, deviceID, deploymentId, status, errorCode, callback = () => {}) {
+    const query = deploymentId
+        ? `
+            UPDATE UpdateJobs
+            SET status = ?, errorCode = ?, updatedAt = CURRENT_TIMESTAMP
+            WHERE deviceID = ? AND deploymentId = ? AND status NOT IN (${terminalStatusList});
+        `
+        : `
+            UPDATE UpdateJobs
+            SET status = ?, errorCode = ?, updatedAt = CURRENT_TIMESTAMP
+            WHERE id = (
+                SELECT id FROM UpdateJobs
+                WHERE deviceID = ? AND status NOT IN (${terminalStatusList})
+                ORDER BY id DESC
+                LIMIT 1
+            );
+        `;
+    const params = deploymentId
+        ? [status, errorCode, deviceID, deploymentId]
+        : [status, errorCode, deviceID];
+
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to record OTA status:', err.message);
+            return callback(err, null);
+        }
+
+        const changes = this.changes;
+        completeFinishedDeployments(db, deviceID, (err) => {
+            callback(err, changes);
+        });
+    });
+}
+
+/**
+ * Marks the active deployments of a device as 'completed' once all of their jobs have finished.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device whose deployments should be checked.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+function completeFinishedDeployments(db, deviceID, callback) {
+    const query = `
+        UPDATE Deployments
+        SET status = 'completed'
+        WHERE status = 'active'
+            AND id IN (SELECT deploymentId FROM UpdateJobs WHERE deviceID = ?)
+            AND NOT EXISTS (
+                SELECT 1 FROM UpdateJobs j
+                WHERE j.deploymentId = Deployments.id AND j.status NOT IN (${terminalStatusList})
+            );
+    `;
+    db.run(query, [deviceID], (err) => {
+        if (err) {
+            console.error('Failed to complete deployments:', err.message);
+        }
+        callback(err);
+    });
+}
@@ -0,0 +1,403 @@
+/**
+ * Number of seconds after the last message in which a device is still considered online.
+ */
+export const DEVICE_ONLINE_THRESHOLD_SECONDS = 30;
+
+/**
+ * Registers a device in the `Devices` table or refreshes its last-seen time.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID reported by the device.
+ * @param {string|null} firmwareVersion - The firmware version reported by the device, if any.
+ * @param {function} callback - Optional callback function receiving an error, if any.
+ *
+ * This function inserts a new row the first time a device ID is seen. For known devices it
+ * updates `lastSeen` (and `firstSeen` for pre-registered devices heard from for the first time)
+ * and, when a firmware version is reported, the stored `firmwareVersion`.
+ * Errors during the upsert are logged to the console.
+ */
+export function upsertDevice(db, deviceID, firmwareVersion, callback = () => {}) {
+    const query = `
+        INSERT INTO Devices (deviceID, firmwareVersion)
+        VALUES (?, ?)
+        ON CONFLICT(deviceID) DO UPDATE SET
+            firstSeen = COALESCE(Devices.firstSeen, CURRENT_TIMESTAMP),
+            lastSeen = CURRENT_TIMESTAMP,
+            firmwareVersion = COALESCE(excluded.firmwareVersion, Devices.firmwareVersion);
+    `;
+    db.run(query, [deviceID, firmwareVersion ?? null], (err) => {
+        if (err) {
+            console.error('Failed to upsert device:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Fetches all registered devices from the `Devices` table.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * Devices are returned ordered by `lastSeen`, most recent first. Each row is extended
+ * with a computed `status` of "Online" or "Offline".
+ */
+export function fetchDevices(db, callback) {
+    const query = `
+        SELECT *, strftime('%s', 'now') - strftime('%s', lastSeen) AS time_difference
+        FROM Devices
+        ORDER BY lastSeen DESC;
+    `;
+    db.all(query, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch devices:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(withStatus));
+        }
+    });
+}
+
+/**
+ * Fetches a single device from the `Devices` table by its device ID.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID to look up.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * The callback receives `undefined` as the result if the device is not registered.
+ */
+export function fetchDeviceById(db, deviceID, callback) {
+    const query = `
+        SELECT *, strftime('%s', 'now') - strftime('%s', lastSeen) AS time_difference
+        FROM Devices
+        WHERE deviceID = ?;
+    `;
+    db.get(query, [deviceID], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch device:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ? withStatus(row) : undefined);
+        }
+    });
+}
+
+/**
+ * Updates the editable metadata (name, location, notes) of a device.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID to update.
+ * @param {Object} metadata - An object with any of `name`, `location` and `notes`.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * Only the fields present in `metadata` are changed. The callback receives the number of
+ * updated rows, which is 0 when the device is not registered.
+ */
+export function updateDeviceMetadata(db, deviceID, metadata, callback) {
+    const fields = ['name', 'location', 'notes'].filter((field) => metadata[field] !== undefined);
+    if (fields.length === 0) {
+        return callback(null, 0);
+    }
+
+    const assignments = fields.map((field) => `${field} = ?`).join(', ');
+    const values = fields.map((field) => metadata[field]);
+
+    db.run(`UPDATE Devices SET ${assignments} WHERE deviceID = ?`, [...values, deviceID], function(err) {
+        if (err) {
+            console.error('Failed to update device metadata:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Registers a device before it is first heard from, so it can be provisioned without a claim
+ * code. Its `firstSeen` and `lastSeen` stay null until it sends a message.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {Object} metadata - An object with any of `name`, `location` and `notes`.
+ * @param {function} callback - The callback function receiving an error, if any; a
+ *                              constraint error if the device is already registered.
+ */
+export function preRegisterDevice(db, deviceID, metadata, callback) {
+    const query = `
+        INSERT INTO Devices (deviceID, name, location, notes, firstSeen, lastSeen, preRegisteredAt)
+        VALUES (?, ?, ?, ?, NULL, NULL, CURRENT_TIMESTAMP);
+    `;
+    const params = [deviceID, metadata.name ?? null, metadata.location ?? null, metadata.notes ?? null];
+    db.run(query, params, (err) => {
+        if (err) {
+            console.error('Failed to pre-register device:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Fetches the credential state of a device.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {function} callback - The callback function receiving `{ deviceID, credentialHash,
+ *                              preRegisteredAt, provisionedAt, revokedAt }`, or null if the
+ *                              device is not registered.
+ */
+export function fetchDeviceCredential(db, deviceID, callback) {
+    const query = `
+        SELECT deviceID, credentialHash, preRegisteredAt, provisionedAt, revokedAt
+        FROM Devices
+        WHERE deviceID = ?;
+    `;
+    db.get(query, [deviceID], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch device credential:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Stores a new credential for a device, registering the device if needed and lifting a
+ * revocation.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {string} credentialHash - The SHA-256 hash of the device token.
+ * @param {boolean} onlyPreRegistered - True to only store it for a pre-registered device that
+ *                                      has never been provisioned or revoked.
+ * @param {function} callback - The callback function receiving the number of updated devices,
+ *                              0 if `onlyPreRegistered` is set and the device does not qualify.
+ */
+export function setDeviceCredential(db, deviceID, credentialHash, onlyPreRegistered, callback) {
+    const query = onlyPreRegistered ? `
+        UPDATE Devices
+        SET credentialHash = ?2, provisionedAt = CURRENT_TIMESTAMP
+        WHERE deviceID = ?1 AND preRegisteredAt IS NOT NULL AND provisionedAt IS NULL AND revokedAt IS NULL;
+    ` : `
+        INSERT INTO Devices (deviceID, credentialHash, provisionedAt, firstSeen, lastSeen)
+        VALUES (?1, ?2, CURRENT_TIMESTAMP, NULL, NULL)
+        ON CONFLICT(deviceID) DO UPDATE SET
+            credentialHash = excluded.credentialHash,
+            provisionedAt = CURRENT_TIMESTAMP,
+            revokedAt = NULL;
+    `;
+    db.run(query, [deviceID, credentialHash], function(err) {
+        if (err) {
+            console.error('Failed to store device credential:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Revokes the credential of a device, so its messages and update checks are rejected until it
+ * is provisioned again with a claim code.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {function} callback - The callback function receiving the number of revoked devices,
+ *                              0 if the device is unknown or already revoked.
+ */
+export function revokeDeviceCredential(db, deviceID, callback) {
+    const query = `
+        UPDATE Devices
+        SET credentialHash = NULL, revokedAt = CURRENT_TIMESTAMP
+        WHERE deviceID = ? AND revokedAt IS NULL;
+    `;
+    db.run(query, [deviceID], function(err) {
+        if (err) {
+            console.error('Failed to revoke device:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Fetches the most recent `SensorData` record reported by a specific device.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID to look up.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchLastRecordForDevice(db, deviceID, callback) {
+    const query = `
+        SELECT *
+        FROM SensorData
+        WHERE deviceID = ?
+        ORDER BY id DESC
+        LIMIT 1;
+    `;
+    db.get(query, [deviceID], (err, row) => {
+        if (err) {
+            console.error('Failed to execute query:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row);
+        }
+    });
+}
+
+/**
+ * Adds the computed online/offline `status` and the `provisioning` state ('provisioned',
+ * 'unprovisioned' or 'revoked') to a device row and drops the helper column and the
+ * credential hash.
+ *
+ * @param {Object} row - A `Devices` row selected together with `time_difference`.
+ * @returns {Object} The device with `status` and `provisioning` fields.
+ */
+function withStatus(row) {
+    const { time_difference: timeDifference, credentialHash, ...device } = row;
+    const online = timeDifference !== null && timeDifference <= DEVICE_ONLINE_THRESHOLD_SECONDS;
+    const provisioning = device.revokedAt ? 'revoked' : credentialHash ? 'provisioned' : 'unprovisioned';
+    return { ...device, status: online ? 'Online' : 'Offline', provisioning };
+}
+
+/**
+ * Creates a named device group.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} name - The unique group name.
+ * @param {string|null} description - An optional description.
+ * @param {function} callback - The callback function receiving the new group ID.
+ */
+export function createDeviceGroup(db, name, description, callback) {
+    db.run(`INSERT INTO DeviceGroups (name, description) VALUES (?, ?)`, [name, description ?? null], function(err) {
+        if (err) {
+            console.error('Failed to create device group:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches all device groups with their number of members.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchDeviceGroups(db, callback) {
+    const query = `
+        SELECT g.*, COUNT(m.deviceID) AS memberCount
+        FROM DeviceGroups g
+        LEFT JOIN DeviceGroupMembers m ON m.groupId = g.id
+        GROUP BY g.id
+        ORDER BY g.name;
+    `;
+    db.all(query, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch device groups:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches a single device group by its ID.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} groupId - The group ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchDeviceGroupById(db, groupId, callback) {
+    db.get(`SELECT * FROM DeviceGroups WHERE id = ?`, [groupId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch device group:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row);
+        }
+    });
+}
+
+/**
+ * Fetches the device IDs that belong to a device group.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} groupId - The group ID.
+ * @param {function} callback - The callback function receiving an array of device IDs.
+ */
+export function fetchDeviceGroupMembers(db, groupId, callback) {
+    db.all(`SELECT deviceID FROM DeviceGroupMembers WHERE groupId = ? ORDER BY deviceID`, [groupId], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch device group members:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map((row) => row.deviceID));
+        }
+    });
+}
+
+/**
+ * Fetches the IDs of the groups a device belongs to.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {function} callback - The callback function receiving an array of group IDs.
+ */
+export function fetchGroupIdsForDevice(db, deviceID, callback) {
+    db.all(`SELECT groupId FROM DeviceGroupMembers WHERE deviceID = ?`, [deviceID], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch device groups of device:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map((row) => row.groupId));
+        }
+    });
+}
+
+/**
+ * Adds devices to a device group. Devices that are already members are skipped.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} groupId - The group ID.
+ * @param {string[]} deviceIDs - The devices to add.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function addDeviceGroupMembers(db, groupId, deviceIDs, callback) {
+    if (deviceIDs.length === 0) {
+        return callback(null);
+    }
+
+    const placeholders = deviceIDs.map(() => '(?, ?)').join(', ');
+    const values = deviceIDs.flatMap((deviceID) => [groupId, deviceID]);
+
+    db.run(`INSERT OR IGNORE INTO DeviceGroupMembers (groupId, deviceID) VALUES ${placeholders}`, values, (err) => {
+        if (err) {
+            console.error('Failed to add device group members:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Removes a device from a device group.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} groupId - The group ID.
+ * @param {string} deviceID - The device to remove.
+ * @param {function} callback - The callback function receiving the number of removed rows.
+ */
+export function removeDeviceGroupMember(db, groupId, deviceID, callback) {
+    db.run(`DELETE FROM DeviceGroupMembers WHERE groupId = ? AND deviceID = ?`, [groupId, deviceID], function(err) {
+        if (err) {
+            console.error('Failed to remove device group member:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
@@ -0,0 +1,91 @@
+import { Readable } from 'stream';
+
+/**
+ * Columns of an exported `SensorData` row, in export order.
+ */
+export const SENSOR_DATA_EXPORT_COLUMNS = ['id', 'deviceID', 'timestamp', 'temperature', 'humidity', 'fanState', 'heaterState', 'firmwareVersion'];
+
+/**
+ * Columns of an exported `SerialMessages` row, in export order.
+ */
+export const SERIAL_MESSAGE_EXPORT_COLUMNS = ['id', 'deviceID', 'timestamp', 'level', 'message'];
+
+/**
+ * Streams `SensorData` rows, oldest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} filters - The filters.
+ * @param {string} [filters.deviceID] - Only export rows of this device.
+ * @param {string} [filters.from] - Inclusive lower bound, as an SQLite timestamp.
+ * @param {string} [filters.to] - Exclusive upper bound, as an SQLite timestamp.
+ * @returns {Readable} An object-mode stream of rows.
+ */
+export function streamSensorData(db, filters) {
+    return createRowStream(db, 'SensorData', SENSOR_DATA_EXPORT_COLUMNS, filters);
+}
+
+/**
+ * Streams `SerialMessages` rows, oldest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} filters - The filters.
+ * @param {string} [filters.deviceID] - Only export messages of this device.
+ * @param {string} [filters.from] - Inclusive lower bound, as an SQLite timestamp.
+ * @param {string} [filters.to] - Exclusive upper bound, as an SQLite timestamp.
+ * @returns {Readable} An object-mode stream of rows.
+ */
+export function streamSerialMessages(db, filters) {
+    return createRowStream(db, 'SerialMessages', SERIAL_MESSAGE_EXPORT_COLUMNS, filters);
+}
+
+/**
+ * Creates a stream that steps through the rows of a query with a prepared statement.
+ *
+ * Each call to `Statement#get` moves the statement's cursor one row further, and the next row
+ * is only fetched when the consumer asks for more, so rows are never buffered beyond the
+ * stream's high-water mark. The statement is finalized when the stream ends or is destroyed,
+ * e.g. because the client disconnected.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} table - The table to read.
+ * @param {string[]} columns - The columns to select.
+ * @param {Object} filters - The `deviceID`, `from` and `to` filters.
+ * @returns {Readable} An object-mode stream of rows.
+ */
+function createRowStream(db, table, columns, filters) {
+    const conditions = [];
+    const params = [];
+    if (filters.deviceID) {
+        conditions.push('deviceID = ?');
+        params.push(filters.deviceID);
+    }
+    if (filters.from) {
+        conditions.push('timestamp >= ?');
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        conditions.push('timestamp < ?');
+        params.push(filters.to);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const statement = db.prepare(`SELECT ${columns.join(', ')} FROM ${table} ${where} ORDER BY id`, params);
+
+    return new Readable({
+        objectMode: true,
+        highWaterMark: 256,
+        read() {
+            statement.get((err, row) => {
+                if (err) {
+                    console.error(`Failed to export ${table}:`, err.message);
+                    this.destroy(err);
+                } else {
+                    this.push(row ?? null);
+                }
+            });
+        },
+        destroy(err, callback) {
+            statement.finalize(() => callback(err));
+        },
+    });
+}
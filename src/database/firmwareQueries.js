@@ -0,0 +1,340 @@
+import { parseVersion } from '../firmware/semver.js';
+
+/**
+ * Statuses a firmware release can be in.
+ */
+export const RELEASE_STATUSES = ['released', 'deprecated', 'withdrawn'];
+
+/**
+ * Columns selected for a firmware release: the catalog entry joined with the size, digest and
+ * signature recorded in its integrity metadata.
+ */
+const releaseColumns = `
+    r.firmwareVersion, r.uploadedAt, r.uploadedBy, r.releaseNotes, r.hardwareModel, r.status,
+    r.minFromVersion, r.mandatory, m.size, m.sha256, m.signature, m.signatureKeyId, m.signedBy
+`;
+
+/**
+ * Stores the integrity metadata of an uploaded firmware image, replacing any previous record
+ * for the same version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} metadata - The metadata with `firmwareVersion`, `size`, `sha256`, `signature`,
+ *                            `signatureKeyId` and `signedBy`.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function upsertFirmwareMetadata(db, metadata, callback) {
+    const query = `
+        INSERT OR REPLACE INTO FirmwareMetadata (firmwareVersion, size, sha256, signature, signatureKeyId, signedBy)
+        VALUES (?, ?, ?, ?, ?, ?);
+    `;
+    const params = [
+        metadata.firmwareVersion,
+        metadata.size,
+        metadata.sha256,
+        metadata.signature ?? null,
+        metadata.signatureKeyId ?? null,
+        metadata.signedBy ?? null,
+    ];
+    db.run(query, params, (err) => {
+        if (err) {
+            console.error('Failed to store firmware metadata:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Fetches the integrity metadata of a firmware version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} firmwareVersion - The firmware version.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * The callback receives `undefined` as the result if no metadata was recorded for the version.
+ */
+export function fetchFirmwareMetadata(db, firmwareVersion, callback) {
+    db.get(`SELECT * FROM FirmwareMetadata WHERE firmwareVersion = ?`, [firmwareVersion], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch firmware metadata:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row);
+        }
+    });
+}
+
+/**
+ * Records a (partial) firmware download.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} download - The download with `firmwareVersion`, `deviceID`, `rangeStart`,
+ *                            `rangeEnd`, `bytesSent`, `completed` and `ip`.
+ * @param {function} callback - Optional callback function receiving an error, if any.
+ */
+export function recordFirmwareDownload(db, download, callback = () => {}) {
+    const query = `
+        INSERT INTO FirmwareDownloads (firmwareVersion, deviceID, rangeStart, rangeEnd, bytesSent, completed, ip)
+        VALUES (?, ?, ?, ?, ?, ?, ?);
+    `;
+    const params = [
+        download.firmwareVersion,
+        download.deviceID ?? null,
+        download.rangeStart,
+        download.rangeEnd,
+        download.bytesSent,
+        download.completed ? 1 : 0,
+        download.ip ?? null,
+    ];
+    db.run(query, params, (err) => {
+        if (err) {
+            console.error('Failed to record firmware download:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Fetches download counts for every firmware version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * For each version the result holds the number of requests, the number of requests that
+ * delivered the end of the image and the number of distinct devices that completed a download.
+ */
+export function fetchDownloadCounts(db, callback) {
+    const query = `
+        SELECT firmwareVersion,
+            COUNT(*) AS requests,
+            SUM(completed) AS completedDownloads,
+            COUNT(DISTINCT CASE WHEN completed = 1 THEN deviceID END) AS devices,
+            MAX(timestamp) AS lastDownloadAt
+        FROM FirmwareDownloads
+        GROUP BY firmwareVersion
+        ORDER BY firmwareVersion;
+    `;
+    db.all(query, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch download counts:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches per-device download counts of a firmware version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} firmwareVersion - The firmware version.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * Requests from clients that did not identify themselves are grouped under a `deviceID` of null.
+ */
+export function fetchDeviceDownloads(db, firmwareVersion, callback) {
+    const query = `
+        SELECT deviceID,
+            COUNT(*) AS requests,
+            SUM(completed) AS completedDownloads,
+            SUM(bytesSent) AS bytesSent,
+            MAX(timestamp) AS lastDownloadAt
+        FROM FirmwareDownloads
+        WHERE firmwareVersion = ?
+        GROUP BY deviceID
+        ORDER BY lastDownloadAt DESC;
+    `;
+    db.all(query, [firmwareVersion], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch device downloads:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Records an uploaded firmware version in the `FirmwareReleases` catalog.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} release - The release with `firmwareVersion`, `uploadedBy`, `releaseNotes`,
+ *                           `hardwareModel`, `minFromVersion` and `mandatory`.
+ * @param {function} callback - The callback function receiving an error, if any.
+ *
+ * Uploading a version again replaces its upload details and makes it 'released' again.
+ */
+export function upsertFirmwareRelease(db, release, callback) {
+    const { major, minor, patch } = parseVersion(release.firmwareVersion);
+    const query = `
+        INSERT INTO FirmwareReleases (firmwareVersion, versionMajor, versionMinor, versionPatch, uploadedBy, releaseNotes, hardwareModel, minFromVersion, mandatory)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(firmwareVersion) DO UPDATE SET
+            uploadedAt = CURRENT_TIMESTAMP,
+            uploadedBy = excluded.uploadedBy,
+            releaseNotes = excluded.releaseNotes,
+            hardwareModel = excluded.hardwareModel,
+            minFromVersion = excluded.minFromVersion,
+            mandatory = excluded.mandatory,
+            status = 'released';
+    `;
+    const params = [
+        release.firmwareVersion,
+        major,
+        minor,
+        patch,
+        release.uploadedBy ?? null,
+        release.releaseNotes ?? null,
+        release.hardwareModel ?? null,
+        release.minFromVersion ?? null,
+        release.mandatory ? 1 : 0,
+    ];
+    db.run(query, params, (err) => {
+        if (err) {
+            console.error('Failed to record firmware release:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Fetches a page of firmware releases sorted by semantic version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} options - The query options.
+ * @param {string} [options.status] - Only return releases in this status.
+ * @param {string} [options.hardwareModel] - Only return releases for this hardware model.
+ * @param {string} [options.order] - 'desc' (newest first, the default) or 'asc'.
+ * @param {number} options.limit - The maximum number of releases to return.
+ * @param {number} options.offset - The number of releases to skip.
+ * @param {function} callback - The callback function receiving `{ total, releases }`.
+ */
+export function fetchFirmwareReleases(db, options, callback) {
+    const conditions = [];
+    const params = [];
+    if (options.status) {
+        conditions.push('r.status = ?');
+        params.push(options.status);
+    }
+    if (options.hardwareModel) {
+        conditions.push('r.hardwareModel = ?');
+        params.push(options.hardwareModel);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const direction = options.order === 'asc' ? 'ASC' : 'DESC';
+
+    db.get(`SELECT COUNT(*) AS total FROM FirmwareReleases r ${where}`, params, (err, row) => {
+        if (err) {
+            console.error('Failed to count firmware releases:', err.message);
+            return callback(err, null);
+        }
+
+        const query = `
+            SELECT ${releaseColumns}
+            FROM FirmwareReleases r
+            LEFT JOIN FirmwareMetadata m ON m.firmwareVersion = r.firmwareVersion
+            ${where}
+            ORDER BY r.versionMajor ${direction}, r.versionMinor ${direction}, r.versionPatch ${direction}
+            LIMIT ? OFFSET ?;
+        `;
+        db.all(query, [...params, options.limit, options.offset], (err, releases) => {
+            if (err) {
+                console.error('Failed to fetch firmware releases:', err.message);
+                callback(err, null);
+            } else {
+                callback(null, { total: row.total, releases: releases.map(parseFirmwareRelease) });
+            }
+        });
+    });
+}
+
+/**
+ * Fetches a single firmware release from the catalog.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} firmwareVersion - The firmware version.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * The callback receives `undefined` as the result if the version is not in the catalog.
+ */
+export function fetchFirmwareRelease(db, firmwareVersion, callback) {
+    const query = `
+        SELECT ${releaseColumns}
+        FROM FirmwareReleases r
+        LEFT JOIN FirmwareMetadata m ON m.firmwareVersion = r.firmwareVersion
+        WHERE r.firmwareVersion = ?;
+    `;
+    db.get(query, [firmwareVersion], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch firmware release:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ? parseFirmwareRelease(row) : undefined);
+        }
+    });
+}
+
+/**
+ * Fetches every firmware release in the 'released' status, oldest version first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchReleasedFirmware(db, callback) {
+    const query = `
+        SELECT ${releaseColumns}
+        FROM FirmwareReleases r
+        LEFT JOIN FirmwareMetadata m ON m.firmwareVersion = r.firmwareVersion
+        WHERE r.status = 'released'
+        ORDER BY r.versionMajor ASC, r.versionMinor ASC, r.versionPatch ASC;
+    `;
+    db.all(query, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch released firmware:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(parseFirmwareRelease));
+        }
+    });
+}
+
+/**
+ * Updates the editable fields (release notes, hardware model, status and upgrade rules) of a
+ * firmware release.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} firmwareVersion - The firmware version.
+ * @param {Object} fields - An object with any of `releaseNotes`, `hardwareModel`, `status`,
+ *                          `minFromVersion` and `mandatory`.
+ * @param {function} callback - The callback function receiving the number of updated rows.
+ */
+export function updateFirmwareRelease(db, firmwareVersion, fields, callback) {
+    const columns = ['releaseNotes', 'hardwareModel', 'status', 'minFromVersion', 'mandatory']
+        .filter((column) => fields[column] !== undefined);
+    if (columns.length === 0) {
+        return callback(null, 0);
+    }
+
+    const assignments = columns.map((column) => `${column} = ?`).join(', ');
+    const values = columns.map((column) => (column === 'mandatory' ? (fields.mandatory ? 1 : 0) : fields[column]));
+
+    db.run(`UPDATE FirmwareReleases SET ${assignments} WHERE firmwareVersion = ?`, [...values, firmwareVersion], function(err) {
+        if (err) {
+            console.error('Failed to update firmware release:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Converts a raw firmware release row into a release object.
+ *
+ * @param {Object} row - The database row.
+ * @returns {Object} The release with a boolean `mandatory`.
+ */
+function parseFirmwareRelease(row) {
+    return { ...row, mandatory: row.mandatory === 1 };
+}
@@ -0,0 +1,156 @@
+import { run, exec, all, addColumnIfMissing } from '../schema.js';
+
+export const description = 'Sensor data, serial messages with their full-text index, rollups and retention runs';
+
+/**
+ * Creates the telemetry tables. Databases created before migrations existed already have some
+ * of them, possibly without the columns added since, which are added here.
+ *
+ * - `SensorData`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `temperature`: Real number representing the temperature.
+ *     - `humidity`: Real number representing the humidity.
+ *     - `fanState`: Integer representing the state of the fan.
+ *     - `heaterState`: Integer representing the state of the heater.
+ *     - `deviceID`: Text identifier for the device.
+ *     - `firmwareVersion`: Text representing the firmware version.
+ *     - `timestamp`: DateTime value set to the current timestamp.
+ *   - Indexed on (`deviceID`, `timestamp`) for per-device time range queries.
+ *
+ * - `SerialMessages`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `message`: Text containing the message.
+ *     - `deviceID`: Text identifier of the device that sent the message, if known.
+ *     - `timestamp`: DateTime the message was received.
+ *     - `level`: Text log level ('error', 'warn', 'info', 'debug' or 'verbose') parsed from the
+ *       ESP-IDF log prefix, or null if the message has none.
+ *   - Indexed on (`deviceID`, `timestamp`) for per-device time range queries.
+ *   - Full-text indexed in the `SerialMessagesFts` FTS5 table, kept in sync by triggers.
+ *
+ * - `SensorDataHourly` and `SensorDataDaily`:
+ *   - Rollups of `SensorData` rows older than the retention period, one row per device and
+ *     hour or day.
+ *   - Fields:
+ *     - `deviceID`: Text identifier for the device.
+ *     - `bucketStart`: DateTime start of the hour or day (UTC).
+ *     - `count`: Integer number of rolled up rows.
+ *     - `temperatureMin`, `temperatureMax`, `temperatureSum`, `temperatureCount` and the same
+ *       four columns for `humidity`, `fanState` and `heaterState`: the minimum, maximum, sum and
+ *       number of non-null values of each reading.
+ *   - Primary key (`deviceID`, `bucketStart`).
+ *
+ * - `RetentionRuns`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `retentionDays`: Integer number of days raw rows were kept.
+ *     - `cutoff`: DateTime before which raw rows were rolled up and deleted.
+ *     - `hourlyBuckets`, `dailyBuckets`: Integer number of rollup rows written.
+ *     - `deletedRows`: Integer number of deleted `SensorData` rows.
+ *     - `error`: Text error message if the run failed.
+ *     - `startedAt`, `finishedAt`: DateTime values.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ */
+export async function up(db) {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS SensorData (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            temperature REAL,
+            humidity REAL,
+            fanState INTEGER,
+            heaterState INTEGER,
+            deviceID TEXT,
+            firmwareVersion TEXT,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_SensorData_deviceID_timestamp ON SensorData (deviceID, timestamp)`);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS SerialMessages (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            message TEXT NOT NULL,
+            deviceID TEXT,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+            level TEXT
+        )
+    `);
+    await addColumnIfMissing(db, 'SerialMessages', 'deviceID', 'TEXT');
+    await addColumnIfMissing(db, 'SerialMessages', 'timestamp', 'DATETIME');
+    await addColumnIfMissing(db, 'SerialMessages', 'level', 'TEXT');
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_SerialMessages_deviceID_timestamp ON SerialMessages (deviceID, timestamp)`);
+    await createSerialMessageSearchIndex(db);
+
+    for (const table of ['SensorDataHourly', 'SensorDataDaily']) {
+        await run(db, `
+            CREATE TABLE IF NOT EXISTS ${table} (
+                deviceID TEXT NOT NULL,
+                bucketStart DATETIME NOT NULL,
+                count INTEGER NOT NULL,
+                temperatureMin REAL,
+                temperatureMax REAL,
+                temperatureSum REAL,
+                temperatureCount INTEGER NOT NULL,
+                humidityMin REAL,
+                humidityMax REAL,
+                humiditySum REAL,
+                humidityCount INTEGER NOT NULL,
+                fanStateMin INTEGER,
+                fanStateMax INTEGER,
+                fanStateSum INTEGER,
+                fanStateCount INTEGER NOT NULL,
+                heaterStateMin INTEGER,
+                heaterStateMax INTEGER,
+                heaterStateSum INTEGER,
+                heaterStateCount INTEGER NOT NULL,
+                PRIMARY KEY (deviceID, bucketStart)
+            )
+        `);
+    }
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS RetentionRuns (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            retentionDays INTEGER NOT NULL,
+            cutoff DATETIME NOT NULL,
+            hourlyBuckets INTEGER NOT NULL DEFAULT 0,
+            dailyBuckets INTEGER NOT NULL DEFAULT 0,
+            deletedRows INTEGER NOT NULL DEFAULT 0,
+            error TEXT,
+            startedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            finishedAt DATETIME
+        )
+    `);
+}
+
+/**
+ * Creates the `SerialMessagesFts` full-text index over `SerialMessages.message` and the
+ * triggers that keep it in sync. When the index is created for an existing table, it is
+ * filled with the messages stored so far.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ */
+async function createSerialMessageSearchIndex(db) {
+    const existing = await all(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'SerialMessagesFts'`);
+
+    await exec(db, `
+        CREATE VIRTUAL TABLE IF NOT EXISTS SerialMessagesFts USING fts5(
+            message,
+            content = 'SerialMessages',
+            content_rowid = 'id'
+        );
+        CREATE TRIGGER IF NOT EXISTS SerialMessages_fts_insert AFTER INSERT ON SerialMessages BEGIN
+            INSERT INTO SerialMessagesFts (rowid, message) VALUES (new.id, new.message);
+        END;
+        CREATE TRIGGER IF NOT EXISTS SerialMessages_fts_delete AFTER DELETE ON SerialMessages BEGIN
+            INSERT INTO SerialMessagesFts (SerialMessagesFts, rowid, message) VALUES ('delete', old.id, old.message);
+        END;
+        CREATE TRIGGER IF NOT EXISTS SerialMessages_fts_update AFTER UPDATE OF message ON SerialMessages BEGIN
+            INSERT INTO SerialMessagesFts (SerialMessagesFts, rowid, message) VALUES ('delete', old.id, old.message);
+            INSERT INTO SerialMessagesFts (rowid, message) VALUES (new.id, new.message);
+        END;
+        ${existing.length > 0 ? '' : `INSERT INTO SerialMessagesFts (SerialMessagesFts) VALUES ('rebuild');`}
+    `);
+}
@@ -0,0 +1,254 @@
+import { run, addColumnIfMissing } from '../schema.js';
+
+export const description = 'Devices, firmware images and releases, deployments, device groups and rollout plans';
+
+/**
+ * Creates the device registry and the tables behind firmware updates, adding to tables left by
+ * earlier versions the columns they lack.
+ *
+ * - `LatestStableFirmware`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `firmwareVersion`: Text representing the firmware version.
+ *     - `rollback`: Integer flag, 1 if devices may downgrade to this version.
+ *     - `timestamp`: DateTime value set to the current timestamp.
+ *
+ * - `Devices`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `deviceID`: Unique text identifier reported by the device.
+ *     - `name`, `location`, `notes`: Editable text metadata.
+ *     - `firmwareVersion`: Text representing the last reported firmware version.
+ *     - `firstSeen`: DateTime the device was first heard from, null for pre-registered devices
+ *       until then.
+ *     - `lastSeen`: DateTime the device was last heard from.
+ *     - `credentialHash`: Text SHA-256 hash of the device token issued at provisioning, if any.
+ *     - `preRegisteredAt`: DateTime an operator registered the device ahead of provisioning, if
+ *       they did.
+ *     - `provisionedAt`, `revokedAt`: DateTime the device was last provisioned and revoked.
+ *
+ * - `Deployments`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `firmwareVersion`: Text representing the firmware version being deployed.
+ *     - `status`: Text, one of 'active', 'completed' or 'aborted'.
+ *     - `createdAt`: DateTime the deployment was started.
+ *
+ * - `UpdateJobs`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `deploymentId`: Integer referencing the deployment.
+ *     - `deviceID`: Text identifier of the device being updated.
+ *     - `status`: Text, the latest known state of the update on the device.
+ *     - `errorCode`: Text error code reported by the device, if any.
+ *     - `createdAt`, `updatedAt`: DateTime values for creation and the last status change.
+ *
+ * - `DeviceGroups`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `name`: Unique text name of the group.
+ *     - `description`: Optional text description.
+ *     - `createdAt`: DateTime the group was created.
+ *
+ * - `DeviceGroupMembers`:
+ *   - Fields:
+ *     - `groupId`: Integer referencing the group.
+ *     - `deviceID`: Text identifier of the member device.
+ *
+ * - `RolloutPlans`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `firmwareVersion`: Text representing the firmware version being rolled out.
+ *     - `groupId`: Integer referencing the targeted device group, or NULL for the whole fleet.
+ *     - `stages`: JSON array of cumulative device percentages, e.g. [5, 25, 100].
+ *     - `currentStage`: Integer index into `stages`.
+ *     - `status`: Text, one of 'active', 'paused', 'aborted', 'rolled-back' or 'completed'.
+ *     - `statusReason`: Text explaining the last automatic status change, if any.
+ *     - `autoAdvance`: Integer flag, 1 to advance stages automatically.
+ *     - `failureThreshold`: Real, the highest failure rate at which a stage may advance.
+ *     - `soakMinutes`: Integer, the minimum time a stage runs before advancing automatically.
+ *     - `deploymentId`: Integer referencing the deployment holding the plan's update jobs.
+ *     - `rollback`: Integer flag, 1 if devices may downgrade to the plan's version.
+ *     - `rollbackThreshold`: Real, the share of unhealthy updated devices above which the plan
+ *       is rolled back automatically, or NULL to disable automatic rollback.
+ *     - `healthTimeoutMinutes`: Integer, how long an updated device may stay silent or keep
+ *       reporting its old version before it counts as unhealthy.
+ *     - `rollbackVersion`: Text, the previous good version devices return to on rollback.
+ *     - `rollbackDeploymentId`: Integer referencing the deployment that rolled devices back.
+ *     - `stageStartedAt`, `createdAt`, `updatedAt`: DateTime values.
+ *
+ * - `FirmwareMetadata`:
+ *   - Fields:
+ *     - `firmwareVersion`: Primary key, text representing the firmware version.
+ *     - `size`: Integer size of the image in bytes.
+ *     - `sha256`: Text hex SHA-256 digest of the image.
+ *     - `signature`: Text base64 Ed25519 signature over the digest, if signed.
+ *     - `signatureKeyId`: Text identifier of the signing key, if signed.
+ *     - `signedBy`: Text, 'server' or 'uploader', if signed.
+ *     - `createdAt`: DateTime the image was uploaded.
+ *
+ * - `FirmwareReleases`:
+ *   - Fields:
+ *     - `firmwareVersion`: Primary key, text representing the firmware version.
+ *     - `versionMajor`, `versionMinor`, `versionPatch`: Integer version parts, for semver ordering.
+ *     - `uploadedAt`: DateTime of the latest upload of the version.
+ *     - `uploadedBy`: Text name of the uploader, if known.
+ *     - `releaseNotes`: Text release notes.
+ *     - `hardwareModel`: Text hardware model the image is built for, or NULL for any model.
+ *     - `status`: Text, one of 'released', 'deprecated' or 'withdrawn'.
+ *     - `minFromVersion`: Text, the oldest version a device may update to this version from.
+ *     - `mandatory`: Integer flag, 1 if devices may not skip this version when upgrading past it.
+ *
+ * - `FirmwareDownloads`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `firmwareVersion`: Text representing the downloaded firmware version.
+ *     - `deviceID`: Text identifier of the downloading device, if it identified itself.
+ *     - `rangeStart`, `rangeEnd`: Integer byte range requested (inclusive).
+ *     - `bytesSent`: Integer number of bytes actually sent.
+ *     - `completed`: Integer flag, 1 if the request delivered the last byte of the image.
+ *     - `ip`: Text address of the client.
+ *     - `timestamp`: DateTime value set to the current timestamp.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ */
+export async function up(db) {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS LatestStableFirmware (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmwareVersion TEXT,
+            rollback INTEGER NOT NULL DEFAULT 0,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addColumnIfMissing(db, 'LatestStableFirmware', 'rollback', 'INTEGER NOT NULL DEFAULT 0');
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS Devices (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            deviceID TEXT UNIQUE NOT NULL,
+            name TEXT,
+            location TEXT,
+            notes TEXT,
+            firmwareVersion TEXT,
+            firstSeen DATETIME DEFAULT CURRENT_TIMESTAMP,
+            lastSeen DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addColumnIfMissing(db, 'Devices', 'credentialHash', 'TEXT');
+    await addColumnIfMissing(db, 'Devices', 'preRegisteredAt', 'DATETIME');
+    await addColumnIfMissing(db, 'Devices', 'provisionedAt', 'DATETIME');
+    await addColumnIfMissing(db, 'Devices', 'revokedAt', 'DATETIME');
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS Deployments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmwareVersion TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'active',
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS UpdateJobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            deploymentId INTEGER NOT NULL REFERENCES Deployments(id),
+            deviceID TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            errorCode TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (deploymentId, deviceID)
+        )
+    `);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS DeviceGroups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            description TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS DeviceGroupMembers (
+            groupId INTEGER NOT NULL REFERENCES DeviceGroups(id),
+            deviceID TEXT NOT NULL,
+            PRIMARY KEY (groupId, deviceID)
+        )
+    `);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS RolloutPlans (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmwareVersion TEXT NOT NULL,
+            groupId INTEGER REFERENCES DeviceGroups(id),
+            stages TEXT NOT NULL,
+            currentStage INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL DEFAULT 'active',
+            statusReason TEXT,
+            autoAdvance INTEGER NOT NULL DEFAULT 0,
+            failureThreshold REAL NOT NULL DEFAULT 0.05,
+            soakMinutes INTEGER NOT NULL DEFAULT 0,
+            deploymentId INTEGER REFERENCES Deployments(id),
+            rollback INTEGER NOT NULL DEFAULT 0,
+            rollbackThreshold REAL,
+            healthTimeoutMinutes INTEGER NOT NULL DEFAULT 30,
+            rollbackVersion TEXT,
+            rollbackDeploymentId INTEGER REFERENCES Deployments(id),
+            stageStartedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await addColumnIfMissing(db, 'RolloutPlans', 'rollback', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing(db, 'RolloutPlans', 'rollbackThreshold', 'REAL');
+    await addColumnIfMissing(db, 'RolloutPlans', 'healthTimeoutMinutes', 'INTEGER NOT NULL DEFAULT 30');
+    await addColumnIfMissing(db, 'RolloutPlans', 'rollbackVersion', 'TEXT');
+    await addColumnIfMissing(db, 'RolloutPlans', 'rollbackDeploymentId', 'INTEGER REFERENCES Deployments(id)');
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS FirmwareMetadata (
+            firmwareVersion TEXT PRIMARY KEY,
+            size INTEGER NOT NULL,
+            sha256 TEXT NOT NULL,
+            signature TEXT,
+            signatureKeyId TEXT,
+            signedBy TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS FirmwareReleases (
+            firmwareVersion TEXT PRIMARY KEY,
+            versionMajor INTEGER NOT NULL,
+            versionMinor INTEGER NOT NULL,
+            versionPatch INTEGER NOT NULL,
+            uploadedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            uploadedBy TEXT,
+            releaseNotes TEXT,
+            hardwareModel TEXT,
+            status TEXT NOT NULL DEFAULT 'released',
+            minFromVersion TEXT,
+            mandatory INTEGER NOT NULL DEFAULT 0
+        )
+    `);
+    await addColumnIfMissing(db, 'FirmwareReleases', 'minFromVersion', 'TEXT');
+    await addColumnIfMissing(db, 'FirmwareReleases', 'mandatory', 'INTEGER NOT NULL DEFAULT 0');
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS FirmwareDownloads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            firmwareVersion TEXT NOT NULL,
+            deviceID TEXT,
+            rangeStart INTEGER NOT NULL,
+            rangeEnd INTEGER NOT NULL,
+            bytesSent INTEGER NOT NULL,
+            completed INTEGER NOT NULL,
+            ip TEXT,
+            timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
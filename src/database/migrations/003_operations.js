@@ -0,0 +1,131 @@
+import { run } from '../schema.js';
+
+export const description = 'Device commands, alert rules and alerts, and dead-lettered MQTT messages';
+
+/**
+ * Creates the tables used to operate the fleet: commands sent to devices, the alerts raised on
+ * their readings and the MQTT messages that could not be processed.
+ *
+ * - `DeviceCommands`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `correlationId`: Unique text ID echoed by the device in its 'ack' message.
+ *     - `deviceID`: Text identifier of the target device.
+ *     - `command`: Text command type, e.g. 'set-fan'.
+ *     - `params`: JSON object with the command parameters.
+ *     - `status`: Text, one of 'pending', 'sent', 'acknowledged', 'failed' or 'timed-out'.
+ *     - `error`: Text error reported by the device or the backend, if any.
+ *     - `timeoutSeconds`: Integer time the device has to acknowledge the command.
+ *     - `createdAt`, `updatedAt`: DateTime values for creation and the last status change.
+ *
+ * - `AlertRules`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `name`: Text name of the rule.
+ *     - `type`: Text, one of 'threshold', 'offline' or 'heater-stuck'.
+ *     - `deviceID`: Text identifier of the watched device, or null for every device.
+ *     - `metric`, `operator`, `threshold`: The reading, comparison and limit of a 'threshold' rule.
+ *     - `durationSeconds`: Integer time the condition must hold before an alert opens.
+ *     - `renotifyMinutes`: Integer interval at which open alerts are notified again, or null.
+ *     - `notifiers`: JSON array of notifier configurations, e.g. `[{ "type": "webhook", "url": "..." }]`.
+ *     - `enabled`: Integer flag (0 or 1).
+ *     - `createdAt`, `updatedAt`: DateTime values.
+ *
+ * - `Alerts`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `ruleId`: Integer reference to `AlertRules`.
+ *     - `deviceID`: Text identifier of the device.
+ *     - `status`: Text, one of 'open', 'acknowledged' or 'resolved'. A rule has at most one
+ *       unresolved alert per device.
+ *     - `message`: Text description of the condition.
+ *     - `value`: Real value of the reading that triggered the alert, if any.
+ *     - `openedAt`, `acknowledgedAt`, `resolvedAt`: DateTime values.
+ *     - `acknowledgedBy`: Text username of whoever acknowledged the alert.
+ *     - `lastNotifiedAt`: DateTime of the last notification.
+ *     - `notificationCount`: Integer number of notifications sent.
+ *
+ * - `DeadLetters`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `topic`: Text MQTT topic the message arrived on.
+ *     - `payload`: Text raw message payload.
+ *     - `reason`: Text reason the message was rejected by its latest processing attempt.
+ *     - `messageType`, `deviceID`: Text values read from the payload, if it could be parsed.
+ *     - `status`: Text, 'pending' until the message is replayed successfully, then 'replayed';
+ *       'quarantined' if the device could not be authenticated.
+ *     - `replayAttempts`: Integer number of replays attempted.
+ *     - `receivedAt`, `lastReplayedAt`: DateTime values.
+ *   - Indexed on (`status`, `id`) for listing pending messages.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ */
+export async function up(db) {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS DeviceCommands (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            correlationId TEXT UNIQUE NOT NULL,
+            deviceID TEXT NOT NULL,
+            command TEXT NOT NULL,
+            params TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending',
+            error TEXT,
+            timeoutSeconds INTEGER NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_DeviceCommands_deviceID ON DeviceCommands (deviceID, id)`);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS AlertRules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            type TEXT NOT NULL,
+            deviceID TEXT,
+            metric TEXT,
+            operator TEXT,
+            threshold REAL,
+            durationSeconds INTEGER NOT NULL DEFAULT 0,
+            renotifyMinutes INTEGER,
+            notifiers TEXT NOT NULL DEFAULT '[]',
+            enabled INTEGER NOT NULL DEFAULT 1,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS Alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ruleId INTEGER NOT NULL,
+            deviceID TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'open',
+            message TEXT,
+            value REAL,
+            openedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            acknowledgedAt DATETIME,
+            acknowledgedBy TEXT,
+            resolvedAt DATETIME,
+            lastNotifiedAt DATETIME,
+            notificationCount INTEGER NOT NULL DEFAULT 0
+        )
+    `);
+    await run(db, `CREATE UNIQUE INDEX IF NOT EXISTS idx_Alerts_active ON Alerts (ruleId, deviceID) WHERE status != 'resolved'`);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS DeadLetters (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            topic TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            messageType TEXT,
+            deviceID TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            replayAttempts INTEGER NOT NULL DEFAULT 0,
+            receivedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            lastReplayedAt DATETIME
+        )
+    `);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_DeadLetters_status ON DeadLetters (status, id)`);
+}
@@ -0,0 +1,152 @@
+import { run, all, addColumnIfMissing } from '../schema.js';
+import { hashPassword, isPasswordHash } from '../../auth/passwords.js';
+
+export const description = 'Users, refresh tokens, API keys and device claim codes';
+
+/**
+ * Creates the tables holding who may access the backend. Users stored by earlier versions get
+ * the columns added since, their plain-text passwords hashed and, if none of them is an admin,
+ * the first of them made one.
+ *
+ * - `users`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `username`: Unique text login name.
+ *     - `password`: Text bcrypt hash of the password.
+ *     - `failedLoginAttempts`: Integer number of failed logins since the last successful one
+ *       or lockout.
+ *     - `lockedUntil`: DateTime until which logins are refused after too many failures, if set.
+ *     - `passwordChangedAt`: DateTime the password was last changed, if it was.
+ *     - `role`: Text role, 'admin', 'release-manager', 'operator' or 'viewer'.
+ *
+ * - `RefreshTokens`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `userId`: Integer referencing the user the token was issued to.
+ *     - `tokenHash`: Unique text SHA-256 hash of the token; the token itself is not stored.
+ *     - `familyId`: Text ID shared by the tokens a login session has rotated through.
+ *     - `expiresAt`, `createdAt`: DateTime values.
+ *     - `revokedAt`: DateTime the token was rotated or revoked, if it was.
+ *     - `revokedReason`: Text, 'rotated', 'logout', 'reuse', 'password-change', 'role-change' or
+ *       'user-deleted'.
+ *   - Indexed on `familyId` and on `userId` for revoking sessions.
+ *
+ * - `ApiKeys`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `name`: Text describing what the key is used for, e.g. 'CI firmware upload'.
+ *     - `keyPrefix`: Text start of the key, shown so keys can be told apart.
+ *     - `keyHash`: Unique text SHA-256 hash of the key; the key itself is not stored.
+ *     - `scopes`: Text JSON array of the capabilities the key grants.
+ *     - `createdBy`: Text username of the admin who created the key.
+ *     - `createdAt`, `expiresAt`, `lastUsedAt`, `revokedAt`: DateTime values; `expiresAt` is
+ *       null for keys that do not expire.
+ *
+ * - `ClaimCodes`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `codeHash`: Unique text SHA-256 hash of the one-time code; the code itself is not stored.
+ *     - `deviceID`: Text ID of the only device that may use the code, or null for any device.
+ *     - `createdBy`: Text username of the operator who created the code.
+ *     - `createdAt`, `expiresAt`: DateTime values.
+ *     - `usedAt`: DateTime the code was exchanged for a device credential, if it was.
+ *     - `usedBy`: Text ID of the device that used the code.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} [options] - `dryRun: true` if the changes will be rolled back.
+ */
+export async function up(db, { dryRun = false } = {}) {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE,
+            password TEXT
+        )
+    `);
+    await addColumnIfMissing(db, 'users', 'failedLoginAttempts', 'INTEGER NOT NULL DEFAULT 0');
+    await addColumnIfMissing(db, 'users', 'lockedUntil', 'DATETIME');
+    await addColumnIfMissing(db, 'users', 'passwordChangedAt', 'DATETIME');
+    await addColumnIfMissing(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'viewer'");
+    await hashPlaintextPasswords(db, dryRun);
+    await promoteFirstUserToAdmin(db, dryRun);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS RefreshTokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            tokenHash TEXT NOT NULL UNIQUE,
+            familyId TEXT NOT NULL,
+            expiresAt DATETIME NOT NULL,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            revokedAt DATETIME,
+            revokedReason TEXT
+        )
+    `);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_RefreshTokens_familyId ON RefreshTokens (familyId)`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_RefreshTokens_userId ON RefreshTokens (userId)`);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS ApiKeys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            keyPrefix TEXT NOT NULL,
+            keyHash TEXT NOT NULL UNIQUE,
+            scopes TEXT NOT NULL,
+            createdBy TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expiresAt DATETIME,
+            lastUsedAt DATETIME,
+            revokedAt DATETIME
+        )
+    `);
+
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS ClaimCodes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            codeHash TEXT NOT NULL UNIQUE,
+            deviceID TEXT,
+            createdBy TEXT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expiresAt DATETIME NOT NULL,
+            usedAt DATETIME,
+            usedBy TEXT
+        )
+    `);
+}
+
+/**
+ * Replaces the plain-text passwords stored by earlier versions with bcrypt hashes, so existing
+ * users can keep logging in with their passwords.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {boolean} dryRun - True if the changes will be rolled back.
+ */
+async function hashPlaintextPasswords(db, dryRun) {
+    const users = await all(db, `SELECT id, password FROM users WHERE password IS NOT NULL`);
+    const plaintext = users.filter((user) => !isPasswordHash(user.password));
+    for (const user of plaintext) {
+        await run(db, `UPDATE users SET password = ? WHERE id = ?`, [await hashPassword(user.password), user.id]);
+    }
+    if (plaintext.length > 0) {
+        console.log(`${dryRun ? 'Would hash' : 'Hashed'} ${plaintext.length} plain-text passwords.`);
+    }
+}
+
+/**
+ * Makes the first user an admin if there is no admin, so users created before roles existed
+ * still have someone who can assign them.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {boolean} dryRun - True if the changes will be rolled back.
+ */
+async function promoteFirstUserToAdmin(db, dryRun) {
+    const changes = await run(db, `
+        UPDATE users
+        SET role = 'admin'
+        WHERE id = (SELECT MIN(id) FROM users)
+            AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+    `);
+    if (changes > 0) {
+        console.log(dryRun ? 'Would make the first user an admin.' : 'Made the first user an admin.');
+    }
+}
@@ -0,0 +1,50 @@
+import { run } from '../schema.js';
+
+export const description = 'Append-only audit log';
+
+/**
+ * Creates the audit log, its filter indexes and the triggers that reject updates and deletes.
+ *
+ * - `AuditLog`:
+ *   - Fields:
+ *     - `id`: Primary key, autoincremented integer.
+ *     - `createdAt`: DateTime the action was taken.
+ *     - `actor`: Text username, 'api-key:<name>' or 'device:<deviceID>' of whoever took the
+ *       action, or 'system' for actions the backend took on its own.
+ *     - `action`: Text name of the action, e.g. 'firmware.promote'.
+ *     - `targetType`, `targetId`: Text kind and ID of what the action changed, e.g. 'firmware'
+ *       and '1.4.2'.
+ *     - `beforeValue`, `afterValue`: Text JSON of the target before and after the action, if
+ *       known.
+ *     - `ip`: Text IP address of the request.
+ *   - Indexed on (`action`, `id`), (`actor`, `id`) and (`targetType`, `targetId`, `id`) for
+ *     filtering.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ */
+export async function up(db) {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS AuditLog (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            actor TEXT,
+            action TEXT NOT NULL,
+            targetType TEXT,
+            targetId TEXT,
+            beforeValue TEXT,
+            afterValue TEXT,
+            ip TEXT
+        )
+    `);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_AuditLog_action ON AuditLog (action, id)`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_AuditLog_actor ON AuditLog (actor, id)`);
+    await run(db, `CREATE INDEX IF NOT EXISTS idx_AuditLog_target ON AuditLog (targetType, targetId, id)`);
+    await run(db, `
+        CREATE TRIGGER IF NOT EXISTS AuditLog_no_update BEFORE UPDATE ON AuditLog
+        BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END
+    `);
+    await run(db, `
+        CREATE TRIGGER IF NOT EXISTS AuditLog_no_delete BEFORE DELETE ON AuditLog
+        BEGIN SELECT RAISE(ABORT, 'The audit log is append-only'); END
+    `);
+}
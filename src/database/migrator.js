@@ -0,0 +1,186 @@
+import fs from 'fs/promises';
+import { runTransaction } from './transactions.js';
+import { run, all, tableExists } from './schema.js';
+
+/**
+ * Directory of the migration files. Each file is named after its version and what it does,
+ * e.g. '006_add_device_notes.js', and exports an `async up(db, { dryRun })` function and a
+ * one-line `description`. `dryRun` is true when the changes will be rolled back, so a migration
+ * reports what it would change rather than what it changed. Migrations only go forward; a
+ * schema change is undone by a new migration.
+ */
+const MIGRATIONS_DIR = new URL('./migrations/', import.meta.url);
+
+/**
+ * Pattern of migration file names, capturing the name (the file name without its extension)
+ * and the version.
+ */
+const MIGRATION_FILE_PATTERN = /^((\d+)_[\w-]+)\.js$/;
+
+/**
+ * Error thrown by the last step of a dry run, so its transaction is rolled back.
+ */
+const DRY_RUN_ROLLBACK = new Error('Dry run');
+
+/**
+ * Loads the migrations, ordered by version.
+ *
+ * @returns {Promise<Object[]>} - The migrations with their `version`, `name`, `description` and
+ *                                `up` function.
+ */
+export async function loadMigrations() {
+    const files = (await fs.readdir(MIGRATIONS_DIR)).filter((file) => MIGRATION_FILE_PATTERN.test(file));
+
+    const migrations = [];
+    for (const file of files) {
+        const [, name, version] = file.match(MIGRATION_FILE_PATTERN);
+        const migration = await import(new URL(file, MIGRATIONS_DIR));
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${file} does not export an up function`);
+        }
+        migrations.push({ version: Number(version), name, description: migration.description ?? null, up: migration.up });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Two migrations have version ${migrations[i].version}`);
+        }
+    }
+    return migrations;
+}
+
+/**
+ * Compares the migrations applied to a database with the known ones.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object[]} [migrations] - The known migrations. Defaults to the migration files.
+ * @returns {Promise<Object>} - The `currentVersion` of the database (0 if no migration has been
+ *                              applied), the `latestVersion` known to the app, the `applied`
+ *                              migrations with their `appliedAt` and `durationMs`, the `pending`
+ *                              ones and the `unknown` ones, which a newer version of the app
+ *                              applied.
+ */
+export async function getMigrationStatus(db, migrations) {
+    const known = migrations ?? await loadMigrations();
+    const appliedRows = await tableExists(db, 'SchemaMigrations')
+        ? await all(db, `SELECT version, name, appliedAt, durationMs FROM SchemaMigrations ORDER BY version`)
+        : [];
+    const appliedVersions = new Set(appliedRows.map((row) => row.version));
+    const knownVersions = new Set(known.map((migration) => migration.version));
+
+    return {
+        currentVersion: appliedRows.length > 0 ? appliedRows[appliedRows.length - 1].version : 0,
+        latestVersion: known.length > 0 ? known[known.length - 1].version : 0,
+        applied: appliedRows.filter((row) => knownVersions.has(row.version)),
+        pending: known.filter((migration) => !appliedVersions.has(migration.version))
+            .map(({ version, name, description }) => ({ version, name, description })),
+        unknown: appliedRows.filter((row) => !knownVersions.has(row.version)),
+    };
+}
+
+/**
+ * Brings the schema of a database up to date by applying the pending migrations in order, each
+ * in its own transaction together with the record of its version.
+ *
+ * The database is refused if a newer version of the app migrated it, since this version does
+ * not know its schema, or if a pending migration is older than one that was already applied.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} [options] - `dryRun: true` to apply the pending migrations in a single
+ *                             transaction that is rolled back, which checks that they succeed
+ *                             without changing the database.
+ * @returns {Promise<Object>} - The migration status before the run and the `applied`
+ *                              migrations (those that would be applied, for a dry run).
+ */
+export async function runMigrations(db, { dryRun = false } = {}) {
+    const migrations = await loadMigrations();
+    const status = await getMigrationStatus(db, migrations);
+
+    if (status.unknown.length > 0) {
+        const names = status.unknown.map((row) => row.name).join(', ');
+        throw new Error(`The database schema is at version ${status.currentVersion}, newer than this app supports `
+            + `(${status.latestVersion}); unknown migrations: ${names}. Refusing to downgrade.`);
+    }
+    const outOfOrder = status.pending.find((migration) => migration.version < status.currentVersion);
+    if (outOfOrder) {
+        throw new Error(`Migration ${outOfOrder.name} is pending, but the database is already `
+            + `at version ${status.currentVersion}. Give it a version above ${status.currentVersion}.`);
+    }
+
+    const pending = migrations.filter((migration) => status.pending.some((entry) => entry.version === migration.version));
+    if (dryRun) {
+        await applyInTransaction(db, pending, true);
+    } else {
+        for (const migration of pending) {
+            await applyInTransaction(db, [migration], false);
+            console.log(`Applied migration ${migration.name}.`);
+        }
+    }
+    return { ...status, applied: status.pending };
+}
+
+/**
+ * Applies migrations in a single transaction.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object[]} migrations - The migrations.
+ * @param {boolean} rollBack - True to roll the transaction back once the migrations succeeded.
+ * @returns {Promise<void>} - Rejects with the error of the first migration that failed.
+ */
+function applyInTransaction(db, migrations, rollBack) {
+    const steps = [
+        (connection, next) => createSchemaMigrationsTable(connection).then(() => next(null), next),
+        ...migrations.map((migration) => (connection, next) => applyMigration(connection, migration, rollBack).then(() => next(null), next)),
+    ];
+    if (rollBack) {
+        steps.push((connection, next) => next(DRY_RUN_ROLLBACK));
+    }
+
+    return new Promise((resolve, reject) => {
+        runTransaction(db, steps, (err) => {
+            if (err && err !== DRY_RUN_ROLLBACK) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Runs a migration and records its version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} migration - The migration.
+ * @param {boolean} dryRun - True if the transaction will be rolled back.
+ * @returns {Promise<void>}
+ */
+async function applyMigration(db, migration, dryRun) {
+    const startedAt = Date.now();
+    try {
+        await migration.up(db, { dryRun });
+    } catch (err) {
+        err.message = `Migration ${migration.name} failed: ${err.message}`;
+        throw err;
+    }
+    await run(db, `INSERT INTO SchemaMigrations (version, name, durationMs) VALUES (?, ?, ?)`,
+        [migration.version, migration.name, Date.now() - startedAt]);
+}
+
+/**
+ * Creates the table recording the applied migrations if it doesn't already exist.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @returns {Promise<void>}
+ */
+async function createSchemaMigrationsTable(db) {
+    await run(db, `
+        CREATE TABLE IF NOT EXISTS SchemaMigrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+            durationMs INTEGER
+        )
+    `);
+}
@@ -1,93 +1,3 @@
-import sqlite3 from 'sqlite3';
-sqlite3.verbose();
-
-/**
- * Initializes the SQLite database connection and sets up the schema.
- * 
- * @returns {sqlite3.Database} The SQLite database connection.
- * 
- * This function creates a connection to an SQLite database file named 'data.db'.
- * If the connection is successful, it creates the necessary tables (`SensorData`,
- * `SerialMessages`, and `LatestStableFirmware`) for the application if they do not
- * already exist. Errors during table creation are logged to the console.
- */
-function initializeDatabase() {
-    const db = new sqlite3.Database('data.db', (err) => {
-        if (err) {
-            console.error('Failed to open database:', err.message);
-        } else {
-            console.log('Connected to the SQLite database.');
-
-            // Create the SensorData table if it doesn't already exist
-            db.run(`
-                CREATE TABLE IF NOT EXISTS SensorData (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    temperature REAL,
-                    humidity REAL,
-                    fanState INTEGER,
-                    heaterState INTEGER,
-                    deviceID TEXT,
-                    firmwareVersion TEXT,
-                    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) {
-                    console.error('Failed to create SensorData table:', err.message);
-                } else {
-                    console.log('SensorData table created successfully or already exists.');
-                }
-            });
-
-            // Create the SerialMessages table if it doesn't already exist
-            db.run(`
-                CREATE TABLE IF NOT EXISTS SerialMessages (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    message TEXT NOT NULL
-                )
-            `, (err) => {
-                if (err) {
-                    console.error('Failed to create SerialMessages table:', err.message);
-                } else {
-                    console.log('SerialMessages table created successfully or already exists.');
-                }
-            });
-
-            // Create the LatestStableFirmware table
-            db.run(`
-            CREATE TABLE IF NOT EXISTS LatestStableFirmware (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                firmwareVersion TEXT,
-                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP      
-            )
-            `, (err) => {
-                if (err) {
-                    console.error('Failed to create LatestStableFirmware table:', err.message);
-                } else {
-                    console.log('LatestStableFirmware table created successfully.');
-                }
-            });
-
-            // Create the LatestStableFirmware table
-            db.run(`
-            CREATE TABLE IF NOT EXISTS users (
-                id INTEGER PRIMARY KEY AUTOINCREMENT,
-                username TEXT UNIQUE,
-                password TEXT
-            )
-            `, (err) => {
-                if (err) {
-                    console.error('Failed to create Users table:', err.message);
-                } else {
-                    console.log('Users table created successfully.');
-                }
-            });
-
-        }
-    });
-
-    return db;
-}
-
 /**
  * Inserts data into the `SensorData` table in the SQLite database.
  * 
@@ -98,22 +8,22 @@ function initializeDatabase() {
  * @param {number} heaterState - The state of the heater (integer) to be inserted.
  * @param {string} deviceID - The device ID to be inserted.
  * @param {string} firmwareVersion - The firmware version to be inserted.
+ * @param {function} callback - Optional callback function receiving an error, if any.
  * 
- * This function prepares an SQL statement to insert the provided sensor data values
- * into the `SensorData` table. It finalizes the statement after execution to release 
- * resources. Errors during the insertion are logged to the console.
+ * This function inserts the provided sensor data values into the `SensorData` table. Errors
+ * during the insertion are logged to the console.
  */
-export function insertData(db, temperature, humidity, fanState, heaterState, deviceID, firmwareVersion) {
-    const stmt = db.prepare(`
+export function insertData(db, temperature, humidity, fanState, heaterState, deviceID, firmwareVersion, callback = () => {}) {
+    const query = `
         INSERT INTO SensorData (temperature, humidity, fanState, heaterState, deviceID, firmwareVersion)
         VALUES (?, ?, ?, ?, ?, ?)
-    `);
-    stmt.run(temperature, humidity, fanState, heaterState, deviceID, firmwareVersion, (err) => {
+    `;
+    db.run(query, [temperature, humidity, fanState, heaterState, deviceID, firmwareVersion], (err) => {
         if (err) {
             console.error('Failed to insert data:', err.message);
         }
+        callback(err);
     });
-    stmt.finalize();
 }
 
 /**
@@ -183,23 +93,26 @@ export function checkDeviceStatus(db, callback) {
  * 
  * @param {sqlite3.Database} db - The SQLite database connection.
  * @param {string} serialMessage - The serial message to be inserted.
- * 
- * This function prepares an SQL statement to insert the provided serial message into the
- * `SerialMessages` table. It finalizes the statement after execution to release resources.
- * Any errors during the insertion are logged to the console.
+ * @param {string|null} deviceID - The device that sent the message, if known.
+ * @param {string|null} level - The log level of the message, if known.
+ * @param {string|null} timestamp - The SQLite timestamp the message was received at, or null
+ *                                  for the current time.
+ * @param {function} callback - Optional callback function receiving an error, if any.
+ * 
+ * This function inserts the provided serial message into the `SerialMessages` table. Any
+ * errors during the insertion are logged to the console.
  */
-export function insertSerialMessage(db, serialMessage) {
-    const stmt = db.prepare(`
-        INSERT INTO SerialMessages (message)
-        VALUES (?)
-    `);
-
-    stmt.run(serialMessage, (err) => {
+export function insertSerialMessage(db, serialMessage, deviceID = null, level = null, timestamp = null, callback = () => {}) {
+    const query = `
+        INSERT INTO SerialMessages (message, deviceID, timestamp, level)
+        VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)
+    `;
+    db.run(query, [serialMessage, deviceID, timestamp, level], (err) => {
         if (err) {
             console.error('Failed to insert serial message:', err.message);
         }
+        callback(err);
     });
-    stmt.finalize();
 }
 
 /**
@@ -234,6 +147,7 @@ export function fetchLatestSerialMessages(db, callback) {
  * 
  * @param {sqlite3.Database} db - The SQLite database connection.
  * @param {string} firmwareVersion - The firmware version to be set.
+ * @param {boolean} rollback - Whether devices on a newer version may downgrade to this version.
  * @param {function} callback - The callback function to handle the result.
  * 
  * This function validates the firmware version format before inserting it into the
@@ -241,7 +155,7 @@ export function fetchLatestSerialMessages(db, callback) {
  * callback function. On successful insertion, a success message is logged to the console,
  * and the callback function is called with a success response.
  */
-export function setLatestStableFirmwareVersion(db, firmwareVersion, callback) {
+export function setLatestStableFirmwareVersion(db, firmwareVersion, rollback, callback) {
     // Validate firmware version format
     function validateFirmwareVersion(version) {
         const versionPattern = /^\d+\.\d+\.\d+$/; // Major.minor.patch format
@@ -254,11 +168,11 @@ export function setLatestStableFirmwareVersion(db, firmwareVersion, callback) {
 
     // Insert the latest stable firmware version into the LatestStableFirmware table
     const insertQuery = `
-        INSERT INTO LatestStableFirmware (firmwareVersion, timestamp)
-        VALUES (?, CURRENT_TIMESTAMP);
+        INSERT INTO LatestStableFirmware (firmwareVersion, rollback, timestamp)
+        VALUES (?, ?, CURRENT_TIMESTAMP);
     `;
 
-    db.run(insertQuery, [firmwareVersion], (err) => {
+    db.run(insertQuery, [firmwareVersion, rollback ? 1 : 0], (err) => {
         if (err) {
             console.error('Failed to set latest stable firmware version:', err.message);
             callback({ error: 'Failed to set latest stable firmware version' }, null);
@@ -282,9 +196,9 @@ export function setLatestStableFirmwareVersion(db, firmwareVersion, callback) {
  */
 export function fetchLatestStableFirmwareVersion(db, callback) {
     const query = `
-        SELECT firmwareVersion
+        SELECT firmwareVersion, rollback, timestamp
         FROM LatestStableFirmware
-        ORDER BY timestamp DESC
+        ORDER BY timestamp DESC, id DESC
         LIMIT 1;
     `;
     db.get(query, (err, row) => {
@@ -296,22 +210,3 @@ export function fetchLatestStableFirmwareVersion(db, callback) {
         }
     });
 }
-
-export function createUser (db, username, password, callback) {
-    db.run(
-        `INSERT INTO users (username, password) VALUES (?, ?)`,
-        [username, password],
-        function(err) {
-            callback(err);
-        }
-    );
-};
-
-export function findUserByUsername (db ,username, callback) {
-    db.get(`SELECT * FROM users WHERE username = ?`, [username], function(err, row) {
-        callback(err, row);
-    });
-};
-
-// Export the initializeDatabase function as the default export
-export default initializeDatabase;
@@ -0,0 +1,90 @@
+/**
+ * Stores a refresh token.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} refreshToken - The `userId`, `tokenHash`, `familyId` and `expiresAt` of the token.
+ * @param {function} callback - The callback function receiving the new token ID.
+ */
+export function insertRefreshToken(db, refreshToken, callback) {
+    const query = `
+        INSERT INTO RefreshTokens (userId, tokenHash, familyId, expiresAt)
+        VALUES (?, ?, ?, ?);
+    `;
+    const params = [refreshToken.userId, refreshToken.tokenHash, refreshToken.familyId, refreshToken.expiresAt];
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to store refresh token:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches a refresh token by the hash of its value.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} tokenHash - The SHA-256 hash of the token.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchRefreshTokenByHash(db, tokenHash, callback) {
+    db.get(`SELECT * FROM RefreshTokens WHERE tokenHash = ?`, [tokenHash], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch refresh token:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Revokes a refresh token unless it was revoked already.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} refreshTokenId - The token ID.
+ * @param {string} reason - The reason, e.g. 'rotated'.
+ * @param {function} callback - The callback function receiving the number of revoked tokens,
+ *                              0 if another request revoked it first.
+ */
+export function revokeRefreshToken(db, refreshTokenId, reason, callback) {
+    const query = `
+        UPDATE RefreshTokens
+        SET revokedAt = CURRENT_TIMESTAMP, revokedReason = ?
+        WHERE id = ? AND revokedAt IS NULL;
+    `;
+    db.run(query, [reason, refreshTokenId], function(err) {
+        if (err) {
+            console.error('Failed to revoke refresh token:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Revokes the active refresh tokens of a login session, or of all sessions of a user.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} scope - `{ familyId }` for a single session or `{ userId }` for all of them.
+ * @param {string} reason - The reason, e.g. 'logout'.
+ * @param {function} callback - The callback function receiving the number of revoked tokens.
+ */
+export function revokeRefreshTokens(db, scope, reason, callback) {
+    const column = scope.familyId !== undefined ? 'familyId' : 'userId';
+    const query = `
+        UPDATE RefreshTokens
+        SET revokedAt = CURRENT_TIMESTAMP, revokedReason = ?
+        WHERE ${column} = ? AND revokedAt IS NULL;
+    `;
+    db.run(query, [reason, scope[column]], function(err) {
+        if (err) {
+            console.error('Failed to revoke refresh tokens:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
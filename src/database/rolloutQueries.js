@@ -0,0 +1,156 @@
+/**
+ * Creates a rollout plan.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} plan - The plan with `firmwareVersion`, `groupId`, `stages`, `autoAdvance`,
+ *                        `failureThreshold`, `soakMinutes`, `deploymentId`, `rollback`,
+ *                        `rollbackThreshold`, `healthTimeoutMinutes` and `rollbackVersion`.
+ * @param {function} callback - The callback function receiving the new plan ID.
+ */
+export function createRolloutPlan(db, plan, callback) {
+    const query = `
+        INSERT INTO RolloutPlans (
+            firmwareVersion, groupId, stages, autoAdvance, failureThreshold, soakMinutes, deploymentId, rollback,
+            rollbackThreshold, healthTimeoutMinutes, rollbackVersion
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);
+    `;
+    const params = [
+        plan.firmwareVersion,
+        plan.groupId ?? null,
+        JSON.stringify(plan.stages),
+        plan.autoAdvance ? 1 : 0,
+        plan.failureThreshold,
+        plan.soakMinutes,
+        plan.deploymentId,
+        plan.rollback ? 1 : 0,
+        plan.rollbackThreshold ?? null,
+        plan.healthTimeoutMinutes ?? 30,
+        plan.rollbackVersion ?? null,
+    ];
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to create rollout plan:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches rollout plans, newest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string[]|null} statuses - Only return plans in one of these statuses, or all plans if null.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * The `stages` column is parsed into an array and `autoAdvance` and `rollback` into booleans.
+ */
+export function fetchRolloutPlans(db, statuses, callback) {
+    const where = statuses ? `WHERE status IN (${statuses.map(() => '?').join(', ')})` : '';
+    const query = `
+        SELECT *
+        FROM RolloutPlans
+        ${where}
+        ORDER BY id DESC;
+    `;
+    db.all(query, statuses ?? [], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch rollout plans:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(parseRolloutPlan));
+        }
+    });
+}
+
+/**
+ * Fetches a single rollout plan by its ID.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} planId - The plan ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchRolloutPlanById(db, planId, callback) {
+    db.get(`SELECT * FROM RolloutPlans WHERE id = ?`, [planId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch rollout plan:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ? parseRolloutPlan(row) : undefined);
+        }
+    });
+}
+
+/**
+ * Changes the status of a rollout plan.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} planId - The plan ID.
+ * @param {string} status - The new status.
+ * @param {string|null} reason - Why the status changed, if it was not an operator's request.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function setRolloutStatus(db, planId, status, reason, callback) {
+    const query = `
+        UPDATE RolloutPlans
+        SET status = ?, statusReason = ?, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?;
+    `;
+    db.run(query, [status, reason, planId], (err) => {
+        if (err) {
+            console.error('Failed to update rollout status:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Moves a rollout plan to another stage and restarts the stage timer.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} planId - The plan ID.
+ * @param {number} stage - The new stage index.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function setRolloutStage(db, planId, stage, callback) {
+    const query = `
+        UPDATE RolloutPlans
+        SET currentStage = ?, stageStartedAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+        WHERE id = ?;
+    `;
+    db.run(query, [stage, planId], (err) => {
+        if (err) {
+            console.error('Failed to update rollout stage:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Records the deployment that moved the devices of a rolled back plan to its rollback version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} planId - The plan ID.
+ * @param {number} deploymentId - The rollback deployment ID.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function setRolloutRollbackDeployment(db, planId, deploymentId, callback) {
+    db.run(`UPDATE RolloutPlans SET rollbackDeploymentId = ? WHERE id = ?`, [deploymentId, planId], (err) => {
+        if (err) {
+            console.error('Failed to record rollback deployment:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Converts a raw `RolloutPlans` row into a plan object.
+ *
+ * @param {Object} row - The database row.
+ * @returns {Object} The plan with parsed `stages` and boolean `autoAdvance` and `rollback`.
+ */
+function parseRolloutPlan(row) {
+    return { ...row, stages: JSON.parse(row.stages), autoAdvance: row.autoAdvance === 1, rollback: row.rollback === 1 };
+}
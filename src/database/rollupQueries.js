@@ -0,0 +1,181 @@
+import { TELEMETRY_FIELDS } from './telemetryQueries.js';
+import { runTransaction } from './transactions.js';
+
+/**
+ * Rollup granularities with their table and the expression truncating a `SensorData`
+ * timestamp to the start of its bucket.
+ */
+const ROLLUPS = {
+    hourly: { table: 'SensorDataHourly', bucketStart: `strftime('%Y-%m-%d %H:00:00', timestamp)` },
+    daily: { table: 'SensorDataDaily', bucketStart: `strftime('%Y-%m-%d 00:00:00', timestamp)` },
+};
+
+/**
+ * Rolls up `SensorData` rows older than a cutoff into the hourly and daily rollup tables and
+ * deletes them, in a single transaction.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} cutoff - The SQLite timestamp before which rows are rolled up.
+ * @param {function} callback - The callback function receiving `{ hourlyBuckets, dailyBuckets, deletedRows }`.
+ *
+ * Rows arriving late for a bucket that was already rolled up are merged into it. Rows without
+ * a device ID cannot be queried per device and are deleted without being rolled up.
+ */
+export function rollUpSensorData(db, cutoff, callback) {
+    const result = {};
+    const steps = [
+        (connection, next) => connection.run(rollupUpsertQuery(ROLLUPS.hourly), [cutoff], function(err) {
+            result.hourlyBuckets = this.changes;
+            next(err);
+        }),
+        (connection, next) => connection.run(rollupUpsertQuery(ROLLUPS.daily), [cutoff], function(err) {
+            result.dailyBuckets = this.changes;
+            next(err);
+        }),
+        (connection, next) => connection.run(`DELETE FROM SensorData WHERE timestamp < ?`, [cutoff], function(err) {
+            result.deletedRows = this.changes;
+            next(err);
+        }),
+    ];
+
+    runTransaction(db, steps, (err) => {
+        if (err) {
+            console.error('Failed to roll up sensor data:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, result);
+        }
+    });
+}
+
+/**
+ * Aggregates the rollups of a device within a time range into fixed-size buckets.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} granularity - 'hourly' or 'daily'.
+ * @param {string} deviceID - The device ID.
+ * @param {Object} options - The `from` and `to` SQLite timestamps and the `intervalSeconds`.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * The rows have the same shape as those of `fetchTelemetryBuckets`. A rollup counts towards
+ * the bucket its start falls into, so buckets smaller than the rollup are not filled evenly.
+ */
+export function fetchRollupBuckets(db, granularity, deviceID, options, callback) {
+    const aggregates = TELEMETRY_FIELDS.map((field) =>
+        `MIN(${field}Min) AS ${field}Min, MAX(${field}Max) AS ${field}Max, SUM(${field}Sum) AS ${field}Sum, SUM(${field}Count) AS ${field}Count`);
+    const query = `
+        SELECT
+            datetime((CAST(strftime('%s', bucketStart) AS INTEGER) / ?1) * ?1, 'unixepoch') AS bucket,
+            SUM(count) AS count,
+            ${aggregates.join(',\n            ')}
+        FROM ${ROLLUPS[granularity].table}
+        WHERE deviceID = ?2 AND bucketStart >= ?3 AND bucketStart < ?4
+        GROUP BY 1
+        ORDER BY 1;
+    `;
+    const params = [options.intervalSeconds, deviceID, options.from, options.to];
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch telemetry rollups:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows.map(({ bucket, ...row }) => ({ bucketStart: bucket, ...row })));
+        }
+    });
+}
+
+/**
+ * Records the outcome of a retention run.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} run - The run with `retentionDays`, `cutoff`, `startedAt` and either the
+ *                       `hourlyBuckets`, `dailyBuckets` and `deletedRows` counts or an `error`.
+ * @param {function} callback - The callback function receiving the new run ID.
+ */
+export function recordRetentionRun(db, run, callback) {
+    const query = `
+        INSERT INTO RetentionRuns (retentionDays, cutoff, hourlyBuckets, dailyBuckets, deletedRows, error, startedAt, finishedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP);
+    `;
+    const params = [
+        run.retentionDays,
+        run.cutoff,
+        run.hourlyBuckets ?? 0,
+        run.dailyBuckets ?? 0,
+        run.deletedRows ?? 0,
+        run.error ?? null,
+        run.startedAt,
+    ];
+    db.run(query, params, function(err) {
+        if (err) {
+            console.error('Failed to record retention run:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Fetches the most recent retention runs, newest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} limit - The maximum number of runs to return.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchRetentionRuns(db, limit, callback) {
+    db.all(`SELECT * FROM RetentionRuns ORDER BY id DESC LIMIT ?`, [limit], (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch retention runs:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches the time before which raw `SensorData` rows have been replaced by rollups.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function receiving the latest cutoff of a
+ *                              successful retention run, or null if there was none.
+ */
+export function fetchRetentionBoundary(db, callback) {
+    db.get(`SELECT MAX(cutoff) AS cutoff FROM RetentionRuns WHERE error IS NULL`, (err, row) => {
+        if (err) {
+            console.error('Failed to fetch retention boundary:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row.cutoff);
+        }
+    });
+}
+
+/**
+ * Builds the statement that rolls up `SensorData` rows older than a cutoff into a rollup table.
+ *
+ * @param {Object} rollup - The rollup table and bucket expression.
+ * @returns {string} The upsert statement, taking the cutoff as its only parameter.
+ */
+function rollupUpsertQuery(rollup) {
+    const columns = TELEMETRY_FIELDS.flatMap((field) => [`${field}Min`, `${field}Max`, `${field}Sum`, `${field}Count`]);
+    const aggregates = TELEMETRY_FIELDS.flatMap((field) => [`MIN(${field})`, `MAX(${field})`, `SUM(${field})`, `COUNT(${field})`]);
+    const merges = TELEMETRY_FIELDS.flatMap((field) => [
+        `${field}Min = COALESCE(MIN(${field}Min, excluded.${field}Min), ${field}Min, excluded.${field}Min)`,
+        `${field}Max = COALESCE(MAX(${field}Max, excluded.${field}Max), ${field}Max, excluded.${field}Max)`,
+        `${field}Sum = COALESCE(${field}Sum + excluded.${field}Sum, ${field}Sum, excluded.${field}Sum)`,
+        `${field}Count = ${field}Count + excluded.${field}Count`,
+    ]);
+
+    return `
+        INSERT INTO ${rollup.table} (deviceID, bucketStart, count, ${columns.join(', ')})
+        SELECT deviceID, ${rollup.bucketStart}, COUNT(*), ${aggregates.join(', ')}
+        FROM SensorData
+        WHERE deviceID IS NOT NULL AND timestamp < ?
+        GROUP BY 1, 2
+        ON CONFLICT(deviceID, bucketStart) DO UPDATE SET
+            count = count + excluded.count,
+            ${merges.join(',\n            ')};
+    `;
+}
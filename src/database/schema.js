@@ -0,0 +1,85 @@
+/**
+ * Promise-based statement helpers for schema migrations, which run their statements one after
+ * another.
+ */
+
+/**
+ * Runs a single statement.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} sql - The statement.
+ * @param {Array} [params] - The statement parameters.
+ * @returns {Promise<number>} - The number of changed rows.
+ */
+export function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(this.changes);
+            }
+        });
+    });
+}
+
+/**
+ * Runs several statements separated by semicolons, e.g. a trigger definition.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} sql - The statements.
+ * @returns {Promise<void>}
+ */
+export function exec(db, sql) {
+    return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => err ? reject(err) : resolve());
+    });
+}
+
+/**
+ * Runs a query.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} sql - The query.
+ * @param {Array} [params] - The query parameters.
+ * @returns {Promise<Object[]>} - The rows.
+ */
+export function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+/**
+ * Tells whether a table exists.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} table - The table name.
+ * @returns {Promise<boolean>} - True if the table exists.
+ */
+export async function tableExists(db, table) {
+    const rows = await all(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    return rows.length > 0;
+}
+
+/**
+ * Adds a column to an existing table if it does not have it yet.
+ *
+ * Databases created before migrations existed may hold a table from before a column was
+ * introduced, which `CREATE TABLE IF NOT EXISTS` leaves as it is, so the column is added with
+ * `ALTER TABLE` instead.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} table - The table name.
+ * @param {string} column - The column name.
+ * @param {string} definition - The column type and constraints, e.g. 'INTEGER NOT NULL DEFAULT 0'.
+ * @returns {Promise<boolean>} - True if the column was added.
+ */
+export async function addColumnIfMissing(db, table, column, definition) {
+    const columns = await all(db, `PRAGMA table_info(${table})`);
+    if (columns.some((existing) => existing.name === column)) {
+        return false;
+    }
+    await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
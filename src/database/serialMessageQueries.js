@@ -0,0 +1,46 @@
+/**
+ * Fetches the serial messages of a device, newest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {Object} options - The query options.
+ * @param {string} options.from - Inclusive lower bound, as an SQLite timestamp.
+ * @param {string} options.to - Exclusive upper bound, as an SQLite timestamp.
+ * @param {string|null} options.match - An FTS5 query the message must match, if any.
+ * @param {string[]|null} options.levels - Only return messages with one of these levels, if set.
+ * @param {number|null} options.beforeId - Only return messages with a smaller ID (the pagination cursor).
+ * @param {number} options.limit - The maximum number of messages to return.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function searchSerialMessages(db, deviceID, options, callback) {
+    const conditions = ['deviceID = ?', 'timestamp >= ?', 'timestamp < ?'];
+    const params = [deviceID, options.from, options.to];
+    if (options.match) {
+        conditions.push('id IN (SELECT rowid FROM SerialMessagesFts WHERE SerialMessagesFts MATCH ?)');
+        params.push(options.match);
+    }
+    if (options.levels) {
+        conditions.push(`level IN (${options.levels.map(() => '?').join(', ')})`);
+        params.push(...options.levels);
+    }
+    if (options.beforeId) {
+        conditions.push('id < ?');
+        params.push(options.beforeId);
+    }
+
+    const query = `
+        SELECT id, deviceID, timestamp, level, message
+        FROM SerialMessages
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY id DESC
+        LIMIT ?;
+    `;
+    db.all(query, [...params, options.limit], (err, rows) => {
+        if (err) {
+            console.error('Failed to search serial messages:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
@@ -0,0 +1,134 @@
+import { runTransaction } from './transactions.js';
+
+/**
+ * Fetches raw `SensorData` rows of a device within a time range, oldest first.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {Object} options - The query options.
+ * @param {string} options.from - Inclusive lower bound, as an SQLite timestamp.
+ * @param {string} options.to - Exclusive upper bound, as an SQLite timestamp.
+ * @param {number|null} options.afterId - Only return rows with a greater ID (the pagination cursor).
+ * @param {number} options.limit - The maximum number of rows to return.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchTelemetry(db, deviceID, options, callback) {
+    const query = `
+        SELECT id, temperature, humidity, fanState, heaterState, firmwareVersion, timestamp
+        FROM SensorData
+        WHERE deviceID = ? AND timestamp >= ? AND timestamp < ? AND id > ?
+        ORDER BY id
+        LIMIT ?;
+    `;
+    const params = [deviceID, options.from, options.to, options.afterId ?? 0, options.limit];
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch telemetry:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Readings recorded in every `SensorData` row and aggregated in telemetry buckets and rollups.
+ */
+export const TELEMETRY_FIELDS = ['temperature', 'humidity', 'fanState', 'heaterState'];
+
+/**
+ * Aggregates the `SensorData` rows of a device within a time range into fixed-size buckets.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {Object} options - The query options.
+ * @param {string} options.from - Inclusive lower bound, as an SQLite timestamp.
+ * @param {string} options.to - Exclusive upper bound, as an SQLite timestamp.
+ * @param {number} options.intervalSeconds - The bucket size in seconds.
+ * @param {function} callback - The callback function to handle the result.
+ *
+ * Buckets are aligned to multiples of the interval since the Unix epoch (UTC) and only
+ * buckets containing rows are returned. Each bucket row has its `bucketStart`, the row `count`
+ * and, for every reading, its `Min`, `Max`, `Sum` and `Count` of non-null values (e.g.
+ * `temperatureSum`), so buckets can be merged with rollups before averaging.
+ */
+export function fetchTelemetryBuckets(db, deviceID, options, callback) {
+    const aggregates = TELEMETRY_FIELDS.map((field) =>
+        `MIN(${field}) AS ${field}Min, MAX(${field}) AS ${field}Max, SUM(${field}) AS ${field}Sum, COUNT(${field}) AS ${field}Count`);
+    const query = `
+        SELECT
+            datetime((CAST(strftime('%s', timestamp) AS INTEGER) / ?1) * ?1, 'unixepoch') AS bucketStart,
+            COUNT(*) AS count,
+            ${aggregates.join(',\n            ')}
+        FROM SensorData
+        WHERE deviceID = ?2 AND timestamp >= ?3 AND timestamp < ?4
+        GROUP BY bucketStart
+        ORDER BY bucketStart;
+    `;
+    const params = [options.intervalSeconds, deviceID, options.from, options.to];
+    db.all(query, params, (err, rows) => {
+        if (err) {
+            console.error('Failed to aggregate telemetry:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Most rows written by a single `INSERT` statement of `insertSensorDataBatch`.
+ */
+const ROWS_PER_INSERT = 500;
+
+/**
+ * Stores a batch of sensor readings in the `SensorData` table and registers their devices or
+ * refreshes their last-seen time, in a single transaction.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object[]} readings - The readings, each with its `temperature`, `humidity`,
+ *                              `fanState`, `heaterState`, `deviceID`, `firmwareVersion` and the
+ *                              SQLite `timestamp` it was received at.
+ * @param {function} callback - The callback function receiving an error, if any.
+ *
+ * Each device is upserted once per batch like `upsertDevice` does, with the last firmware
+ * version it reported in the batch.
+ */
+export function insertSensorDataBatch(db, readings, callback) {
+    const columns = ['temperature', 'humidity', 'fanState', 'heaterState', 'deviceID', 'firmwareVersion', 'timestamp'];
+    const steps = [];
+    for (let start = 0; start < readings.length; start += ROWS_PER_INSERT) {
+        const chunk = readings.slice(start, start + ROWS_PER_INSERT);
+        const query = `
+            INSERT INTO SensorData (${columns.join(', ')})
+            VALUES ${chunk.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ')};
+        `;
+        const params = chunk.flatMap((reading) => columns.map((column) => reading[column] ?? null));
+        steps.push((connection, next) => connection.run(query, params, next));
+    }
+
+    const firmwareVersions = new Map();
+    for (const reading of readings) {
+        firmwareVersions.set(reading.deviceID, reading.firmwareVersion ?? firmwareVersions.get(reading.deviceID) ?? null);
+    }
+    const devices = [...firmwareVersions];
+    for (let start = 0; start < devices.length; start += ROWS_PER_INSERT) {
+        const chunk = devices.slice(start, start + ROWS_PER_INSERT);
+        const query = `
+            INSERT INTO Devices (deviceID, firmwareVersion)
+            VALUES ${chunk.map(() => '(?, ?)').join(', ')}
+            ON CONFLICT(deviceID) DO UPDATE SET
+                firstSeen = COALESCE(Devices.firstSeen, CURRENT_TIMESTAMP),
+                lastSeen = CURRENT_TIMESTAMP,
+                firmwareVersion = COALESCE(excluded.firmwareVersion, Devices.firmwareVersion);
+        `;
+        steps.push((connection, next) => connection.run(query, chunk.flat(), next));
+    }
+
+    runTransaction(db, steps, (err) => {
+        if (err) {
+            console.error('Failed to insert sensor data batch:', err.message);
+        }
+        callback(err);
+    });
+}
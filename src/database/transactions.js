@@ -0,0 +1,122 @@
+/**
+ * Transaction state by database connection: the `transactions` waiting for their turn, the
+ * first of which is in progress, whether one is `open`, the statements `held` back while it
+ * is, and the `connection` its steps run their statements on.
+ */
+const connectionStates = new WeakMap();
+
+/**
+ * Runs a sequence of statements in a single transaction.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function[]} steps - The steps, each called with the connection to run its statements
+ *                             on and a `next(err)` callback once they have run.
+ * @param {function} callback - The callback function receiving an error, if any.
+ *
+ * The app shares one connection, which can only hold one transaction at a time, so
+ * transactions started while another one is open wait until it has finished. Statements the
+ * rest of the app runs on `db` with `run` or `exec` while a transaction is open are held back
+ * until it has finished, so they neither become part of it nor are rolled back with it. The
+ * steps must therefore run their statements on the connection they are given. The transaction
+ * is rolled back if a step fails.
+ */
+export function runTransaction(db, steps, callback) {
+    if (!connectionStates.has(db)) {
+        connectionStates.set(db, guardConnection(db));
+    }
+    const state = connectionStates.get(db);
+    state.transactions.push({ steps, callback });
+    if (state.transactions.length === 1) {
+        runNextTransaction(state);
+    }
+}
+
+/**
+ * Makes a connection run its statements one at a time in the order they were issued, so a
+ * transaction only begins once the statements issued before it have run, and hold back the
+ * statements that change the database while a transaction is open.
+ *
+ * Statements prepared with `prepare` are not held back, so changes go through `run` or `exec`.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @returns {Object} The transaction state of the connection.
+ */
+function guardConnection(db) {
+    const run = db.run.bind(db);
+    const exec = db.exec.bind(db);
+    const state = {
+        transactions: [],
+        open: false,
+        held: [],
+        connection: {
+            run,
+            exec,
+            get: db.get.bind(db),
+            all: db.all.bind(db),
+            each: db.each.bind(db),
+            prepare: db.prepare.bind(db),
+        },
+    };
+
+    db.serialize();
+    db.run = (...args) => {
+        if (!state.open) {
+            return run(...args);
+        }
+        state.held.push(() => run(...args));
+        return db;
+    };
+    db.exec = (...args) => {
+        if (!state.open) {
+            return exec(...args);
+        }
+        state.held.push(() => exec(...args));
+        return db;
+    };
+    return state;
+}
+
+/**
+ * Runs the transaction at the head of the queue of a connection, then the statements held back
+ * while it was open, and starts the next transaction.
+ *
+ * @param {Object} state - The transaction state of the connection.
+ */
+function runNextTransaction(state) {
+    const { steps, callback } = state.transactions[0];
+    const { connection } = state;
+    state.open = true;
+
+    const finish = (err) => {
+        state.open = false;
+        state.transactions.shift();
+        const held = state.held;
+        state.held = [];
+        held.forEach((statement) => statement());
+        if (state.transactions.length > 0) {
+            runNextTransaction(state);
+        }
+        callback(err);
+    };
+
+    const statements = [
+        (next) => connection.run('BEGIN IMMEDIATE', next),
+        ...steps.map((step) => (next) => step(connection, next)),
+        (next) => connection.run('COMMIT', next),
+    ];
+    const runStep = (index) => {
+        if (index === statements.length) {
+            return finish(null);
+        }
+        statements[index]((err) => {
+            if (!err) {
+                return runStep(index + 1);
+            }
+            if (index === 0) {
+                return finish(err);
+            }
+            connection.run('ROLLBACK', () => finish(err));
+        });
+    };
+    runStep(0);
+}
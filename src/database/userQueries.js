@@ -0,0 +1,239 @@
+/**
+ * Columns of a user that may be shown to admins, i.e. all but the password hash.
+ */
+const USER_COLUMNS = 'id, username, role, failedLoginAttempts, lockedUntil, passwordChangedAt';
+
+/**
+ * Creates a user.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} username - The username.
+ * @param {string} passwordHash - The bcrypt hash of the password.
+ * @param {string} role - The role, e.g. 'viewer'.
+ * @param {function} callback - The callback function receiving the new user ID.
+ */
+export function createUser(db, username, passwordHash, role, callback) {
+    db.run(`INSERT INTO users (username, password, role) VALUES (?, ?, ?)`, [username, passwordHash, role], function(err) {
+        if (err) {
+            console.error('Failed to create user:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.lastID);
+        }
+    });
+}
+
+/**
+ * Creates the first user as an admin, unless a user already exists. The check and the insert
+ * are a single statement, so of concurrent attempts only one can succeed.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} username - The username.
+ * @param {string} passwordHash - The bcrypt hash of the password.
+ * @param {function} callback - The callback function receiving the new user ID, or null if a
+ *                              user already exists.
+ */
+export function createFirstUser(db, username, passwordHash, callback) {
+    const query = `
+        INSERT INTO users (username, password, role)
+        SELECT ?, ?, 'admin'
+        WHERE NOT EXISTS (SELECT 1 FROM users)
+    `;
+    db.run(query, [username, passwordHash], function(err) {
+        if (err) {
+            console.error('Failed to create first user:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes > 0 ? this.lastID : null);
+        }
+    });
+}
+
+/**
+ * Fetches all users, without their password hashes.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchUsers(db, callback) {
+    db.all(`SELECT ${USER_COLUMNS} FROM users ORDER BY id`, (err, rows) => {
+        if (err) {
+            console.error('Failed to fetch users:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, rows);
+        }
+    });
+}
+
+/**
+ * Fetches a user by ID, without its password hash.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} userId - The user ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function fetchUserSummary(db, userId, callback) {
+    db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [userId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch user:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Counts the users with a role.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string|null} role - The role, or null to count all users.
+ * @param {function} callback - The callback function receiving the count.
+ */
+export function countUsers(db, role, callback) {
+    const query = role === null ? `SELECT COUNT(*) AS count FROM users` : `SELECT COUNT(*) AS count FROM users WHERE role = ?`;
+    db.get(query, role === null ? [] : [role], (err, row) => {
+        if (err) {
+            console.error('Failed to count users:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row.count);
+        }
+    });
+}
+
+/**
+ * Changes the role of a user.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} userId - The user ID.
+ * @param {string} role - The new role.
+ * @param {function} callback - The callback function receiving the number of updated users.
+ */
+export function updateUserRole(db, userId, role, callback) {
+    db.run(`UPDATE users SET role = ? WHERE id = ?`, [role, userId], function(err) {
+        if (err) {
+            console.error('Failed to update user role:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Deletes a user.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} userId - The user ID.
+ * @param {function} callback - The callback function receiving the number of deleted users.
+ */
+export function deleteUser(db, userId, callback) {
+    db.run(`DELETE FROM users WHERE id = ?`, [userId], function(err) {
+        if (err) {
+            console.error('Failed to delete user:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, this.changes);
+        }
+    });
+}
+
+/**
+ * Fetches a user by username.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} username - The username.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function findUserByUsername(db, username, callback) {
+    db.get(`SELECT * FROM users WHERE username = ?`, [username], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch user:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Fetches a user by ID.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} userId - The user ID.
+ * @param {function} callback - The callback function to handle the result.
+ */
+export function findUserById(db, userId, callback) {
+    db.get(`SELECT * FROM users WHERE id = ?`, [userId], (err, row) => {
+        if (err) {
+            console.error('Failed to fetch user:', err.message);
+            callback(err, null);
+        } else {
+            callback(null, row ?? null);
+        }
+    });
+}
+
+/**
+ * Replaces the password of a user.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} userId - The user ID.
+ * @param {string} passwordHash - The bcrypt hash of the new password.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function updateUserPassword(db, userId, passwordHash, callback) {
+    const query = `
+        UPDATE users
+        SET password = ?, passwordChangedAt = CURRENT_TIMESTAMP, failedLoginAttempts = 0, lockedUntil = NULL
+        WHERE id = ?;
+    `;
+    db.run(query, [passwordHash, userId], (err) => {
+        if (err) {
+            console.error('Failed to update password:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Counts a failed login and locks the user out once too many logins have failed in a row.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} userId - The user ID.
+ * @param {number} maxAttempts - The number of failed logins that locks the user out.
+ * @param {number} lockoutMinutes - How long the lockout lasts. The count starts over afterwards.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function recordFailedLogin(db, userId, maxAttempts, lockoutMinutes, callback) {
+    const query = `
+        UPDATE users
+        SET failedLoginAttempts = CASE WHEN failedLoginAttempts + 1 >= ?1 THEN 0 ELSE failedLoginAttempts + 1 END,
+            lockedUntil = CASE WHEN failedLoginAttempts + 1 >= ?1 THEN datetime('now', ?2) ELSE lockedUntil END
+        WHERE id = ?3;
+    `;
+    db.run(query, [maxAttempts, `+${lockoutMinutes} minutes`, userId], (err) => {
+        if (err) {
+            console.error('Failed to record failed login:', err.message);
+        }
+        callback(err);
+    });
+}
+
+/**
+ * Clears the failed login count of a user after a successful login.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} userId - The user ID.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function resetFailedLogins(db, userId, callback) {
+    db.run(`UPDATE users SET failedLoginAttempts = 0, lockedUntil = NULL WHERE id = ?`, [userId], (err) => {
+        if (err) {
+            console.error('Failed to reset failed logins:', err.message);
+        }
+        callback(err);
+    });
+}
@@ -0,0 +1,32 @@
+/**
+ * Parses a single-range `Range` header.
+ *
+ * @param {string} header - The `Range` header, e.g. 'bytes=1024-', 'bytes=0-499' or 'bytes=-500'.
+ * @param {number} size - The size of the image in bytes.
+ * @returns {Object|string|null} `{ start, end }` (inclusive), 'unsatisfiable' if the range lies
+ *                               outside the image, or null if the header should be ignored.
+ */
+export function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+
+    if (!match[1]) {
+        const suffixLength = Number(match[2]);
+        if (suffixLength === 0 || size === 0) {
+            return 'unsatisfiable';
+        }
+        return { start: Math.max(0, size - suffixLength), end: size - 1 };
+    }
+
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : Infinity;
+    if (end < start) {
+        return null;
+    }
+    if (start >= size) {
+        return 'unsatisfiable';
+    }
+    return { start, end: Math.min(end, size - 1) };
+}
@@ -0,0 +1,53 @@
+import { getStorage } from '../storage/index.js';
+
+/**
+ * Returns the storage key of a firmware binary.
+ *
+ * @param {string} firmwareVersion - The firmware version (e.g., '1.0.0').
+ * @returns {string} - The key of the firmware file, e.g. 'firmware/1.0.0/firmware.bin'.
+ */
+export function getFirmwarePath(firmwareVersion) {
+    return `firmware/${firmwareVersion}/firmware.bin`;
+}
+
+/**
+ * Returns the URL devices download a firmware binary from.
+ *
+ * The URL points at the backend's download endpoint, prefixed with `PUBLIC_BASE_URL` when set
+ * (e.g. 'https://ota.example.com/firmware/1.0.0/download').
+ *
+ * @param {string} firmwareVersion - The firmware version (e.g., '1.0.0').
+ * @returns {string} - The download URL.
+ */
+export function getFirmwareDownloadUrl(firmwareVersion) {
+    const baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+    return `${baseUrl}/firmware/${firmwareVersion}/download`;
+}
+
+/**
+ * Saves a firmware binary to the configured storage backend, replacing any files stored for
+ * the same version.
+ *
+ * @param {Object} file - The file object to be uploaded, typically from multer.
+ * @param {string} firmwareVersion - The firmware version (e.g., '1.0.0') for organizing the file in storage.
+ * @returns {Promise<Object>} - `{ path, replacedFiles }`: the key of the uploaded file in
+ *                              storage and the keys of the files it replaced.
+ */
+export async function saveFirmware(file, firmwareVersion) {
+    const storage = getStorage();
+    const destinationPath = getFirmwarePath(firmwareVersion);
+
+    // If files with the same version exist, delete them
+    const existingFiles = await storage.list(`firmware/${firmwareVersion}/`);
+    for (const existingFile of existingFiles) {
+        await storage.delete(existingFile);
+        console.log(`Deleted existing file: ${existingFile}`);
+    }
+
+    // Store the file with the buffer and MIME type
+    await storage.put(destinationPath, file.buffer, { contentType: file.mimetype });
+
+    console.log(`File uploaded successfully to ${storage.name} storage: ${destinationPath}`);
+
+    return { path: destinationPath, replacedFiles: existingFiles };
+}
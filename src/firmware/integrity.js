@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+
+/**
+ * Computes the SHA-256 digest of a firmware image.
+ *
+ * @param {Buffer} buffer - The firmware image.
+ * @returns {string} The digest as a lowercase hex string.
+ */
+export function computeSha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Loads the server-held Ed25519 private key used to sign firmware images.
+ *
+ * The key is read from `FIRMWARE_SIGNING_PRIVATE_KEY` as a base64-encoded PEM (PKCS#8).
+ *
+ * @returns {crypto.KeyObject|null} The private key, or null if signing is not configured.
+ */
+export function getSigningPrivateKey() {
+    const encoded = process.env.FIRMWARE_SIGNING_PRIVATE_KEY;
+    if (!encoded) {
+        return null;
+    }
+    return crypto.createPrivateKey(Buffer.from(encoded, 'base64').toString('utf-8'));
+}
+
+/**
+ * Loads the Ed25519 public key that firmware signatures are verified against.
+ *
+ * The key is read from `FIRMWARE_SIGNING_PUBLIC_KEY` as a base64-encoded PEM (SPKI). This lets
+ * CI hold the private key itself. Without it, the public half of the server-held key is used.
+ *
+ * @returns {crypto.KeyObject|null} The public key, or null if no key is configured.
+ */
+export function getSigningPublicKey() {
+    const encoded = process.env.FIRMWARE_SIGNING_PUBLIC_KEY;
+    if (encoded) {
+        return crypto.createPublicKey(Buffer.from(encoded, 'base64').toString('utf-8'));
+    }
+
+    const privateKey = getSigningPrivateKey();
+    return privateKey ? crypto.createPublicKey(privateKey) : null;
+}
+
+/**
+ * Returns a short identifier of a public key: the first 16 hex characters of the SHA-256
+ * digest of its DER (SPKI) encoding.
+ *
+ * @param {crypto.KeyObject} publicKey - The public key.
+ * @returns {string} The key ID.
+ */
+export function getKeyId(publicKey) {
+    const der = publicKey.export({ type: 'spki', format: 'der' });
+    return crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+}
+
+/**
+ * Signs the SHA-256 digest of a firmware image with Ed25519.
+ *
+ * The raw 32-byte digest is signed rather than the whole image, so a device can verify the
+ * signature after hashing the image while it downloads.
+ *
+ * @param {string} sha256 - The hex digest of the image.
+ * @param {crypto.KeyObject} privateKey - The Ed25519 private key.
+ * @returns {string} The base64-encoded signature.
+ */
+export function signDigest(sha256, privateKey) {
+    return crypto.sign(null, Buffer.from(sha256, 'hex'), privateKey).toString('base64');
+}
+
+/**
+ * Verifies an Ed25519 signature over the SHA-256 digest of a firmware image.
+ *
+ * @param {string} sha256 - The hex digest of the image.
+ * @param {string} signature - The base64-encoded signature.
+ * @param {crypto.KeyObject} publicKey - The Ed25519 public key.
+ * @returns {boolean} True if the signature is valid, otherwise false.
+ */
+export function verifyDigestSignature(sha256, signature, publicKey) {
+    try {
+        return crypto.verify(null, Buffer.from(sha256, 'hex'), publicKey, Buffer.from(signature, 'base64'));
+    } catch (error) {
+        return false;
+    }
+}
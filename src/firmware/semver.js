@@ -0,0 +1,30 @@
+/**
+ * Parses a major.minor.patch version string.
+ *
+ * @param {string} version - The version, e.g. '1.10.2'.
+ * @returns {Object|null} `{ major, minor, patch }`, or null if the version is not valid.
+ */
+export function parseVersion(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version ?? '');
+    if (!match) {
+        return null;
+    }
+    return { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]) };
+}
+
+/**
+ * Compares two major.minor.patch versions numerically, so that '1.10.0' is newer than '1.9.0'.
+ *
+ * @param {string} a - The first version.
+ * @param {string} b - The second version.
+ * @returns {number} A negative number if `a` is older than `b`, a positive number if it is
+ *                   newer, and 0 if both are equal.
+ */
+export function compareVersions(a, b) {
+    const left = parseVersion(a);
+    const right = parseVersion(b);
+    if (!left || !right) {
+        throw new Error(`Cannot compare invalid versions '${a}' and '${b}'`);
+    }
+    return (left.major - right.major) || (left.minor - right.minor) || (left.patch - right.patch);
+}
@@ -0,0 +1,68 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Number of recent events kept for clients that reconnect.
+ */
+const REPLAY_BUFFER_SIZE = Number(process.env.LIVE_REPLAY_BUFFER_SIZE) || 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const replayBuffer = [];
+let lastEventId = 0;
+
+/**
+ * Publishes an event to all live subscribers and keeps it in the replay buffer.
+ *
+ * @param {string} type - The event type, e.g. the MQTT `messageType` ('data', 'serial', ...).
+ * @param {string|null} deviceID - The device the event is about, if any.
+ * @param {Object} payload - The event payload.
+ * @returns {Object} The published event with its sequential `id` and `timestamp`.
+ */
+export function publishLiveEvent(type, deviceID, payload) {
+    const event = {
+        id: ++lastEventId,
+        type,
+        deviceID: deviceID ?? null,
+        timestamp: new Date().toISOString(),
+        payload,
+    };
+
+    replayBuffer.push(event);
+    if (replayBuffer.length > REPLAY_BUFFER_SIZE) {
+        replayBuffer.shift();
+    }
+
+    emitter.emit('event', event);
+    return event;
+}
+
+/**
+ * Subscribes to live events.
+ *
+ * @param {function} listener - Called with every published event.
+ * @returns {function} A function that removes the subscription.
+ */
+export function subscribeLiveEvents(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+/**
+ * Returns the buffered events published after a given event.
+ *
+ * @param {number} eventId - The ID of the last event the client received.
+ * @returns {Object} `{ events, complete }` where `complete` is false if events after `eventId`
+ *                   have already left the replay buffer, or if the ID is unknown because it
+ *                   was issued before the server restarted (then every buffered event is returned).
+ */
+export function getLiveEventsSince(eventId) {
+    if (eventId > lastEventId) {
+        return { events: [...replayBuffer], complete: false };
+    }
+    const oldestId = replayBuffer.length > 0 ? replayBuffer[0].id : lastEventId + 1;
+    return {
+        events: replayBuffer.filter((event) => event.id > eventId),
+        complete: eventId >= oldestId - 1,
+    };
+}
@@ -1,17 +1,132 @@
 import jwt from 'jsonwebtoken';
+import { hasPermission } from '../auth/roles.js';
+import { isApiKey, authenticateApiKey } from '../auth/apiKeys.js';
+import { isDeviceToken, authenticateDevice, getDeviceAuthMode } from '../auth/deviceCredentials.js';
+import { fetchUserSummary } from '../database/userQueries.js';
 
 const verifyToken = (req, res, next) => {
-    const token = req.headers['authorization'];
+    authenticateRequest(req.headers['authorization'] ?? req.headers['x-api-key'], req, res, next);
+};
+
+/**
+ * Authenticates a request to the live event stream. Browsers' `EventSource` cannot set headers,
+ * so this route alone also accepts the token in the `access_token` query parameter; tokens in
+ * URLs end up in access logs, so no other route does.
+ *
+ * @param {express.Request} req - The request.
+ * @param {express.Response} res - The response.
+ * @param {function} next - The next middleware.
+ */
+export const verifyStreamToken = (req, res, next) => {
+    const queryToken = typeof req.query.access_token === 'string' ? req.query.access_token : undefined;
+    authenticateRequest(req.headers['authorization'] ?? req.headers['x-api-key'] ?? queryToken, req, res, next);
+};
+
+/**
+ * Authenticates a request made with a JWT access token or an API key. Access tokens of deleted
+ * users are refused, and the user's current role replaces the one in the token.
+ *
+ * @param {string} [token] - The token, with or without its "Bearer " prefix.
+ * @param {express.Request} req - The request.
+ * @param {express.Response} res - The response.
+ * @param {function} next - The next middleware.
+ */
+const authenticateRequest = (token, req, res, next) => {
     if (!token) return res.status(401).json({ error: 'Access denied' });
 
+    const tokenWithoutBearer = token.replace('Bearer ', ''); // Remove the "Bearer" prefix from the token
+    if (isApiKey(tokenWithoutBearer)) return verifyApiKey(tokenWithoutBearer, req, res, next);
+
+    let decoded;
     try {
-        const tokenWithoutBearer = token.replace('Bearer ', ''); // Remove the "Bearer" prefix from the token
-        const decoded = jwt.verify(tokenWithoutBearer, process.env.JWT_SECRET);
-        req.user = decoded;
-        next();
+        decoded = jwt.verify(tokenWithoutBearer, process.env.JWT_SECRET);
     } catch (err) {
-        res.status(400).json({ error: 'Invalid token' });
+        // Expired tokens get a 401 so clients know to refresh them
+        if (err.name === 'TokenExpiredError') return res.status(401).json({ error: 'Token expired' });
+        return res.status(400).json({ error: 'Invalid token' });
     }
+
+    // The role in the token may be out of date, so a role change or deletion takes effect
+    // before the token expires
+    fetchUserSummary(req.app.locals.db, decoded.id, (err, user) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        if (!user) return res.status(401).json({ error: 'Access denied' });
+        req.user = { ...decoded, role: user.role };
+        next();
+    });
+};
+
+/**
+ * Authenticates a request made with an API key. The key's scopes take the place of a role's
+ * permissions, and GET requests need the 'read' scope.
+ *
+ * @param {string} key - The API key.
+ * @param {express.Request} req - The request.
+ * @param {express.Response} res - The response.
+ * @param {function} next - The next middleware.
+ */
+const verifyApiKey = (key, req, res, next) => {
+    authenticateApiKey(req.app.locals.db, key)
+        .then(({ apiKey, error }) => {
+            if (error) return res.status(401).json({ error });
+            if (req.method === 'GET' && !apiKey.scopes.includes('read')) return res.status(403).json({ error: 'Insufficient permissions' });
+
+            req.user = { apiKeyId: apiKey.id, username: `api-key:${apiKey.name}`, scopes: apiKey.scopes };
+            next();
+        })
+        .catch(() => res.status(500).json({ error: 'Internal Server Error' }));
+};
+
+/**
+ * Authenticates a request a device makes about itself, such as an update check, with the
+ * device token it was provisioned with. The token is passed in the `X-Device-Token` header or
+ * as a bearer token and must belong to the device in the `:id` route parameter. Requests
+ * without a device token are authenticated as user requests instead, unless device
+ * authentication is turned off or, in the permissive default, the device has not been
+ * provisioned yet (see `getDeviceAuthMode`).
+ *
+ * @param {express.Request} req - The request.
+ * @param {express.Response} res - The response.
+ * @param {function} next - The next middleware.
+ */
+export const verifyDevice = (req, res, next) => {
+    const bearer = (req.headers['authorization'] ?? '').replace('Bearer ', '');
+    const deviceToken = req.headers['x-device-token'] ?? (isDeviceToken(bearer) ? bearer : undefined);
+    const authMode = getDeviceAuthMode();
+    if (!deviceToken && authMode === 'off') return next();
+    if (!deviceToken && authMode === 'enforce') return verifyToken(req, res, next);
+    if (!deviceToken) {
+        authenticateDevice(req.app.locals.db, req.params.id, undefined)
+            .then(({ provisioned }) => {
+                if (provisioned !== false) return verifyToken(req, res, next);
+                console.warn(`Accepting unauthenticated request from device ${req.params.id}`);
+                next();
+            })
+            .catch(() => res.status(500).json({ error: 'Internal Server Error' }));
+        return;
+    }
+
+    authenticateDevice(req.app.locals.db, req.params.id, deviceToken)
+        .then(({ error }) => {
+            if (error) return res.status(401).json({ error });
+            req.device = { deviceID: req.params.id };
+            next();
+        })
+        .catch(() => res.status(500).json({ error: 'Internal Server Error' }));
+};
+
+/**
+ * Creates a middleware that only lets users whose role grants a permission, or API keys scoped
+ * to it, through. It runs after `verifyToken`, which reads the user's current role.
+ *
+ * @param {string} permission - The permission, e.g. 'firmware:release' (see `ROLE_PERMISSIONS`).
+ * @returns {function} The Express middleware.
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Access denied' });
+    const allowed = req.user.scopes ? req.user.scopes.includes(permission) : hasPermission(req.user.role, permission);
+    if (!allowed) return res.status(403).json({ error: 'Insufficient permissions' });
+    next();
 };
 
 export default verifyToken;
@@ -0,0 +1,39 @@
+/**
+ * Creates a middleware limiting how many requests a client IP address can make in a fixed
+ * time window. Further requests are answered with 429 Too Many Requests and a `Retry-After`
+ * header until the window ends.
+ *
+ * @param {Object} options - The limiter options.
+ * @param {number} options.windowMs - The window length in milliseconds.
+ * @param {number} options.max - The number of requests allowed per window.
+ * @returns {function} The Express middleware.
+ *
+ * Counts are kept in memory, so they are per process and reset on restart.
+ */
+export function rateLimit({ windowMs, max }) {
+    const windows = new Map();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        let window = windows.get(req.ip);
+        if (!window || window.resetAt <= now) {
+            // Drop the windows that have ended so the map does not grow without bound
+            for (const [ip, existing] of windows) {
+                if (existing.resetAt <= now) {
+                    windows.delete(ip);
+                }
+            }
+            window = { count: 0, resetAt: now + windowMs };
+            windows.set(req.ip, window);
+        }
+
+        window.count++;
+        if (window.count > max) {
+            res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+            return res.status(429).json({ error: 'Too many requests, please try again later' });
+        }
+        next();
+    };
+}
+
+export default rateLimit;
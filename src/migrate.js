@@ -0,0 +1,53 @@
+import openDatabase from './database/connection.js';
+import { getMigrationStatus, runMigrations } from './database/migrator.js';
+
+/*
+ * Applies or inspects the schema migrations of data.db without starting the server.
+ *
+ *   npm run migrate               apply the pending migrations
+ *   npm run migrate -- --status   list the applied and pending migrations
+ *   npm run migrate -- --dry-run  apply the pending migrations and roll them back
+ */
+const args = process.argv.slice(2);
+const unknownArgs = args.filter((arg) => !['--status', '--dry-run'].includes(arg));
+if (unknownArgs.length > 0) {
+    console.error(`Unknown option ${unknownArgs[0]}, expected --status or --dry-run`);
+    process.exit(1);
+}
+
+const db = await openDatabase();
+try {
+    if (args.includes('--status')) {
+        const status = await getMigrationStatus(db);
+        console.log(`Schema version ${status.currentVersion}, latest ${status.latestVersion}.`);
+        for (const migration of status.applied) {
+            console.log(`  applied  ${migration.name} at ${migration.appliedAt} (${migration.durationMs} ms)`);
+        }
+        for (const migration of status.pending) {
+            console.log(`  pending  ${migration.name}: ${migration.description ?? ''}`);
+        }
+        for (const migration of status.unknown) {
+            console.log(`  unknown  ${migration.name}, applied by a newer version of the app`);
+        }
+    } else if (args.includes('--dry-run')) {
+        const result = await runMigrations(db, { dryRun: true });
+        if (result.applied.length === 0) {
+            console.log(`Schema is up to date at version ${result.currentVersion}.`);
+        } else {
+            const names = result.applied.map((migration) => migration.name).join(', ');
+            console.log(`Dry run: ${names} would apply cleanly; nothing was changed.`);
+        }
+    } else {
+        const result = await runMigrations(db);
+        if (result.applied.length === 0) {
+            console.log(`Schema is up to date at version ${result.currentVersion}.`);
+        } else {
+            console.log(`Schema migrated from version ${result.currentVersion} to ${result.latestVersion}.`);
+        }
+    }
+} catch (err) {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
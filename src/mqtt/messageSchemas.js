@@ -0,0 +1,147 @@
+import { OTA_STATUSES } from '../ota/deployments.js';
+import { ACK_STATUSES } from '../control/deviceCommands.js';
+
+/**
+ * Schemas of the MQTT messages the backend accepts, by `messageType` and schema version.
+ *
+ * A message names its version in `schemaVersion`; messages without one are validated against
+ * version 1. Each field is described by its `type`, whether it is `required` and, depending on
+ * the type, its `min`/`max` or the allowed `values`:
+ * - 'string': a non-empty string.
+ * - 'number': a finite number. Numeric strings such as '21.50' are converted.
+ * - 'integer': an integer.
+ * - 'switch': an on/off state given as a boolean, 0/1 or 'ON'/'OFF', stored as 1 or 0.
+ * - 'enum': one of `values`.
+ *
+ * Fields that are not part of the schema are dropped.
+ */
+export const MESSAGE_SCHEMAS = {
+    data: {
+        1: {
+            deviceID: { type: 'string', required: true },
+            temperature: { type: 'number', required: true, min: -40, max: 125 },
+            humidity: { type: 'number', required: true, min: 0, max: 100 },
+            fanState: { type: 'switch' },
+            heaterState: { type: 'switch' },
+            version: { type: 'string' },
+        },
+    },
+    serial: {
+        1: {
+            deviceID: { type: 'string', required: true },
+            serialMessage: { type: 'string', required: true },
+        },
+    },
+    'ota-status': {
+        1: {
+            deviceID: { type: 'string', required: true },
+            status: { type: 'enum', required: true, values: OTA_STATUSES },
+            deploymentId: { type: 'integer' },
+            errorCode: { type: 'string' },
+        },
+    },
+    ack: {
+        1: {
+            deviceID: { type: 'string', required: true },
+            correlationId: { type: 'string', required: true },
+            status: { type: 'enum', required: true, values: Object.keys(ACK_STATUSES) },
+            error: { type: 'string' },
+        },
+    },
+};
+
+/**
+ * Validates a parsed MQTT message against the schema of its type and version.
+ *
+ * @param {*} message - The parsed message.
+ * @returns {Object} `{ error }` describing the first problem found, or `{ message }` with the
+ *                   normalized message: its `messageType`, `schemaVersion` and schema fields.
+ */
+export function validateMessage(message) {
+    if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+        return { error: 'Message must be a JSON object' };
+    }
+
+    const { messageType, schemaVersion = 1 } = message;
+    const versions = Object.hasOwn(MESSAGE_SCHEMAS, messageType) ? MESSAGE_SCHEMAS[messageType] : null;
+    if (!versions) {
+        return { error: `Unknown message type: ${messageType}` };
+    }
+    const schema = Object.hasOwn(versions, schemaVersion) ? versions[schemaVersion] : null;
+    if (!schema) {
+        return { error: `Unsupported schemaVersion ${schemaVersion} for ${messageType} messages` };
+    }
+
+    const normalized = { messageType, schemaVersion };
+    for (const [field, spec] of Object.entries(schema)) {
+        const value = message[field];
+        if (value === undefined || value === null) {
+            if (spec.required) {
+                return { error: `${field} is required` };
+            }
+            continue;
+        }
+
+        const converted = convertField(value, spec);
+        if (converted === undefined) {
+            return { error: `${field} ${describeField(spec)}` };
+        }
+        normalized[field] = converted;
+    }
+    return { message: normalized };
+}
+
+/**
+ * Checks a field value against its spec and converts it.
+ *
+ * @param {*} value - The value.
+ * @param {Object} spec - The field spec.
+ * @returns {*} The converted value, or undefined if the value is invalid.
+ */
+function convertField(value, spec) {
+    switch (spec.type) {
+        case 'string':
+            return typeof value === 'string' && value.length > 0 ? value : undefined;
+        case 'number': {
+            const number = typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value) ? Number(value) : value;
+            if (typeof number !== 'number' || !Number.isFinite(number)) {
+                return undefined;
+            }
+            const inRange = (spec.min === undefined || number >= spec.min) && (spec.max === undefined || number <= spec.max);
+            return inRange ? number : undefined;
+        }
+        case 'integer':
+            return Number.isInteger(value) ? value : undefined;
+        case 'switch':
+            if (value === true || value === 1 || (typeof value === 'string' && value.toUpperCase() === 'ON')) {
+                return 1;
+            }
+            if (value === false || value === 0 || (typeof value === 'string' && value.toUpperCase() === 'OFF')) {
+                return 0;
+            }
+            return undefined;
+        case 'enum':
+            return spec.values.includes(value) ? value : undefined;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Describes the values a field accepts, for error messages.
+ *
+ * @param {Object} spec - The field spec.
+ * @returns {string} The description, e.g. 'must be a number between 0 and 100'.
+ */
+function describeField(spec) {
+    switch (spec.type) {
+        case 'number':
+            return spec.min === undefined ? 'must be a number' : `must be a number between ${spec.min} and ${spec.max}`;
+        case 'switch':
+            return "must be a boolean, 0/1 or 'ON'/'OFF'";
+        case 'enum':
+            return `must be one of: ${spec.values.join(', ')}`;
+        default:
+            return `must be a non-empty ${spec.type}`;
+    }
+}
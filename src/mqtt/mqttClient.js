@@ -1,4 +1,5 @@
 import mqtt from 'mqtt';
+import { getDeviceTopic } from './topics.js';
 
 /**
  * Initializes and connects the MQTT client with the specified options.
@@ -21,7 +22,26 @@ export function initializeMQTTClient(options) {
     return client;
 }
 
-export default initializeMQTTClient;
+/**
+ * Returns the command topic of a single device, e.g. 'devices/device123/cmd'.
+ *
+ * @param {string} deviceID - The device ID.
+ * @returns {string} The MQTT topic the device listens to for commands.
+ */
+export function getDeviceCommandTopic(deviceID) {
+    return getDeviceTopic(deviceID, 'cmd');
+}
 
-/* 2 Fans */
-/* 4 Heaters */
\ No newline at end of file
+/**
+ * Publishes a JSON command to a single device on its command topic.
+ *
+ * @param {mqtt.Client} client - The MQTT client.
+ * @param {string} deviceID - The device ID.
+ * @param {Object} payload - The command payload, serialized as JSON.
+ * @param {function} callback - The callback function receiving an error, if any.
+ */
+export function publishToDevice(client, deviceID, payload, callback) {
+    client.publish(getDeviceCommandTopic(deviceID), JSON.stringify(payload), { qos: 1 }, callback);
+}
+
+export default initializeMQTTClient;
@@ -1,50 +1,250 @@
-import { insertData } from '../database/queries.js';
 import { insertSerialMessage } from '../database/queries.js';
+import { upsertDevice } from '../database/deviceQueries.js';
+import { recordOtaStatus } from '../database/deploymentQueries.js';
+import { publishLiveEvent } from '../live/liveEvents.js';
+import { recordCommandAck } from '../database/commandQueries.js';
+import { ACK_STATUSES } from '../control/deviceCommands.js';
+import { evaluateDeviceAlerts } from '../alerts/alertEngine.js';
+import { parseLogLevel } from '../telemetry/serialLog.js';
+import { validateMessage } from './messageSchemas.js';
+import { insertDeadLetter } from '../database/deadLetterQueries.js';
+import { parseDeviceTopic, getLegacyTopic } from './topics.js';
+import { enqueueSensorData, waitForIngestCapacity } from '../telemetry/ingestQueue.js';
+import { authenticateDevice, getDeviceAuthMode } from '../auth/deviceCredentials.js';
+
+/**
+ * Devices whose alert rules are evaluated once the current batch of readings has been stored.
+ */
+const pendingAlertEvaluations = new Set();
 
 /**
  * Handles incoming MQTT messages.
  * @param {mqtt.Client} client - The MQTT client.
  * @param {sqlite3.Database} db - The database connection.
- * @param {string} topic - The MQTT topic to subscribe to.
+ * @param {string[]} topics - The MQTT topic filters to subscribe to.
  */
-export function handleMQTTMessages(client, db, topic) {
-    // Subscribe to the topic
-    client.subscribe(topic, (err) => {
+export function handleMQTTMessages(client, db, topics) {
+    // Subscribe to the topics
+    client.subscribe(topics, (err) => {
         if (err) {
-            console.error('Failed to subscribe to topic:', err);
+            console.error('Failed to subscribe to topics:', err);
         } else {
-            console.log('Subscribed to topic:', topic);
+            console.log('Subscribed to topics:', topics.join(', '));
         }
     });
 
-    // Listen for incoming messages
+    // Stop reading messages from the broker while the ingest queue is full
+    client.handleMessage = (packet, callback) => {
+        waitForIngestCapacity().then(() => callback());
+    };
+
+    // Listen for incoming messages and keep the ones that are rejected as dead letters, or
+    // quarantine them if the device could not be authenticated
     client.on('message', (topic, message) => {
-        try {
-            const messageObject = JSON.parse(message.toString());
-            if (messageObject.messageType === 'data') {
-                const { temperature, humidity, heaterState, deviceID, version: firmwareVersion } = messageObject;
-
-                // Log the data
-                console.log('Data Message:');
-                console.log('Temperature:', temperature);
-                console.log('Humidity:', humidity);
-                console.log('Heater State:', heaterState);
-                console.log('Device ID:', deviceID);
-                console.log('Firmware Version:', firmwareVersion);
-
-                // Insert data into the database
-                insertData(db, temperature, humidity, false, heaterState, deviceID, firmwareVersion);
-            } else if (messageObject.messageType === 'serial') {
-                // Handle other message types (optional)
-                console.log('Serial Message:', messageObject.serialMessage);
-                insertSerialMessage(db, messageObject.serialMessage);
-            } else {
-                console.log('Unknown message type:', messageObject.messageType);
+        const payload = message.toString();
+        processMQTTMessage(db, topic, payload)
+            .then(({ error, quarantine, messageType, deviceID }) => {
+                if (error) {
+                    console.error(`${quarantine ? 'Quarantined' : 'Rejected'} message on ${topic}:`, error);
+                    const status = quarantine ? 'quarantined' : 'pending';
+                    insertDeadLetter(db, { topic, payload: redactDeviceToken(payload), reason: error, messageType, deviceID, status });
+                }
+            })
+            .catch((err) => console.error('Failed to process incoming message:', err.message));
+    });
+}
+
+/**
+ * Parses an MQTT message, authenticates its device, validates it against the schema of its
+ * type and stores it.
+ *
+ * On a per-device topic such as 'devices/device123/telemetry', the device and the message type
+ * are taken from the topic; a payload naming a different device or type is rejected. Only
+ * messages on the legacy topic name them in the payload.
+ *
+ * Unless device authentication is turned off, the payload must carry the `deviceToken` the
+ * device was provisioned with. Messages from revoked devices, or with a missing or wrong token,
+ * are rejected for quarantine; so are messages from unknown or unprovisioned devices when
+ * authentication is enforced, while the permissive default accepts and logs them (see
+ * `getDeviceAuthMode`). The token is not part of the normalized message.
+ *
+ * @param {sqlite3.Database} db - The database connection.
+ * @param {string} topic - The topic the message arrived on.
+ * @param {string} payload - The raw message payload.
+ * @param {Object} [options] - `authenticate: false` to skip device authentication, `receivedAt`
+ *                             with the SQLite timestamp to store readings and serial messages
+ *                             with instead of the current time, and an `onStored` callback
+ *                             receiving an error, if any, once an accepted message has been
+ *                             written, e.g. when an operator replays a dead letter.
+ * @returns {Promise<Object>} - `{ message }` with the normalized message if it was accepted,
+ *                              otherwise `{ error, quarantine, messageType, deviceID }` with the
+ *                              reason it was rejected, whether the device failed to
+ *                              authenticate and the type and device read from the topic or
+ *                              payload, if any.
+ */
+export async function processMQTTMessage(db, topic, payload, { authenticate = true, receivedAt = null, onStored = () => {} } = {}) {
+    const route = parseDeviceTopic(topic);
+    const rejected = (error, parsed) => ({
+        error,
+        messageType: route ? route.messageType : readString(parsed, 'messageType'),
+        deviceID: route ? route.deviceID : readString(parsed, 'deviceID'),
+    });
+
+    if (!route && topic !== getLegacyTopic()) {
+        return rejected(`Unexpected topic: ${topic}`, null);
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(payload);
+    } catch (err) {
+        return rejected(`Failed to parse message: ${err.message}`, null);
+    }
+
+    if (route && typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) {
+        for (const field of ['deviceID', 'messageType']) {
+            if (parsed[field] !== undefined && parsed[field] !== route[field]) {
+                return rejected(`${field} in the payload does not match the topic`, parsed);
             }
-        } catch (err) {
-            console.error('Failed to parse incoming message:', err.message);
         }
+        parsed = { ...parsed, deviceID: route.deviceID, messageType: route.messageType };
+    }
+
+    const deviceID = readString(parsed, 'deviceID');
+    const authMode = getDeviceAuthMode();
+    if (authenticate && deviceID !== null && authMode !== 'off') {
+        const { error, provisioned } = await authenticateDevice(db, deviceID, readString(parsed, 'deviceToken') ?? undefined);
+        if (error && authMode === 'permissive' && provisioned === false) {
+            console.warn(`Accepting unauthenticated message from device ${deviceID}: ${error}`);
+        } else if (error) {
+            return { ...rejected(error, parsed), quarantine: true };
+        }
+    }
+
+    const { message, error } = validateMessage(parsed);
+    if (error) {
+        return rejected(error, parsed);
+    }
+
+    const storeError = messageHandlers[message.messageType](db, message, receivedAt, onStored);
+    if (storeError) {
+        return rejected(storeError, message);
+    }
+    return { message };
+}
+
+/**
+ * Reads a string field of a parsed payload.
+ *
+ * @param {*} parsed - The parsed payload.
+ * @param {string} field - The field.
+ * @returns {string|null} The field value, or null if the payload has no such string field.
+ */
+function readString(parsed, field) {
+    return typeof parsed?.[field] === 'string' ? parsed[field] : null;
+}
+
+/**
+ * Removes the device token from a raw payload before it is stored as a dead letter.
+ *
+ * @param {string} payload - The raw message payload.
+ * @returns {string} The payload without its `deviceToken`, or unchanged if it has none.
+ */
+function redactDeviceToken(payload) {
+    try {
+        const parsed = JSON.parse(payload);
+        if (typeof parsed !== 'object' || parsed === null || !Object.hasOwn(parsed, 'deviceToken')) {
+            return payload;
+        }
+        const { deviceToken, ...rest } = parsed;
+        return JSON.stringify(rest);
+    } catch (err) {
+        return payload;
+    }
+}
+
+/**
+ * Checks the alert rules of a device against its new readings once they are stored. Readings
+ * stored in the same batch are checked together.
+ *
+ * @param {sqlite3.Database} db - The database connection.
+ * @param {string} deviceID - The device ID.
+ */
+function scheduleAlertEvaluation(db, deviceID) {
+    if (pendingAlertEvaluations.has(deviceID)) {
+        return;
+    }
+    pendingAlertEvaluations.add(deviceID);
+    setImmediate(() => {
+        pendingAlertEvaluations.delete(deviceID);
+        evaluateDeviceAlerts(db, deviceID)
+            .catch((err) => console.error('Failed to evaluate alert rules:', err.message));
     });
 }
 
+/**
+ * Stores validated messages, by `messageType`, with the time they were received at if given.
+ * A handler returns the reason if the message could not be accepted, and otherwise calls
+ * `onStored` with an error, if any, once the message has been written.
+ */
+const messageHandlers = {
+    data(db, message, receivedAt, onStored) {
+        const { temperature, humidity, fanState = 0, heaterState = null, deviceID, version: firmwareVersion = null } = message;
+
+        // Log the data
+        console.log('Data Message:');
+        console.log('Temperature:', temperature);
+        console.log('Humidity:', humidity);
+        console.log('Heater State:', heaterState);
+        console.log('Device ID:', deviceID);
+        console.log('Firmware Version:', firmwareVersion);
+
+        // Queue the reading to be stored with the next batch, which also registers the device or
+        // refreshes its last-seen time
+        const reading = { temperature, humidity, fanState, heaterState, deviceID, firmwareVersion, timestamp: receivedAt };
+        const queued = enqueueSensorData(db, reading, (err) => {
+            if (!err) {
+                scheduleAlertEvaluation(db, deviceID);
+            }
+            onStored(err);
+        });
+        if (!queued) {
+            return 'Ingest queue is full';
+        }
+        publishLiveEvent('data', deviceID, message);
+    },
+
+    serial(db, message, receivedAt, onStored) {
+        console.log('Serial Message:', message.serialMessage);
+        insertSerialMessage(db, message.serialMessage, message.deviceID, parseLogLevel(message.serialMessage), receivedAt, onStored);
+        upsertDevice(db, message.deviceID, null);
+        publishLiveEvent('serial', message.deviceID, message);
+    },
+
+    'ota-status'(db, message, receivedAt, onStored) {
+        const { deviceID, deploymentId = null, status, errorCode = null } = message;
+        console.log('OTA Status:', deviceID, status, errorCode ?? '');
+
+        // Record the progress on the device's update job
+        recordOtaStatus(db, deviceID, deploymentId, status, errorCode, (err) => onStored(err));
+        upsertDevice(db, deviceID, null);
+        publishLiveEvent('ota-status', deviceID, message);
+    },
+
+    ack(db, message, receivedAt, onStored) {
+        const { deviceID, correlationId, status, error = null } = message;
+        console.log('Command Ack:', deviceID, correlationId, status, error ?? '');
+
+        // Resolve the acknowledged command unless it already timed out
+        recordCommandAck(db, deviceID, correlationId, ACK_STATUSES[status], error, (err, changes) => {
+            if (!err && changes === 0) {
+                console.warn('Ignoring ack for unknown or already resolved command:', correlationId);
+            }
+            onStored(err);
+        });
+        upsertDevice(db, deviceID, null);
+        publishLiveEvent('ack', deviceID, message);
+    },
+};
+
 export default handleMQTTMessages;
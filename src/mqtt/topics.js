@@ -0,0 +1,77 @@
+/**
+ * Channels of the per-device topics `{prefix}/{deviceId}/{channel}` that devices publish to,
+ * and the `messageType` of the messages on each channel. Devices receive commands on the
+ * `{prefix}/{deviceId}/cmd` topic.
+ */
+export const DEVICE_CHANNELS = {
+    telemetry: 'data',
+    serial: 'serial',
+    ota: 'ota-status',
+    ack: 'ack',
+};
+
+/**
+ * Returns the topic levels that precede the device ID in per-device topics.
+ *
+ * @returns {string} The value of `MQTT_TOPIC_PREFIX`, or 'devices'.
+ */
+export function getTopicPrefix() {
+    return process.env.MQTT_TOPIC_PREFIX || 'devices';
+}
+
+/**
+ * Returns the shared topic of devices that predate per-device topics. Messages on it name their
+ * device and type in the payload.
+ *
+ * @returns {string|null} The value of `MQTT_LEGACY_TOPIC`, 'esp32' if it is not set, or null if
+ *                        it is set to an empty value because the legacy topic is not used.
+ */
+export function getLegacyTopic() {
+    const topic = process.env.MQTT_LEGACY_TOPIC ?? 'esp32';
+    return topic || null;
+}
+
+/**
+ * Returns a topic of a single device, e.g. 'devices/device123/cmd'.
+ *
+ * @param {string} deviceID - The device ID.
+ * @param {string} channel - The channel, e.g. 'telemetry' or 'cmd'.
+ * @returns {string} The MQTT topic.
+ */
+export function getDeviceTopic(deviceID, channel) {
+    return `${getTopicPrefix()}/${deviceID}/${channel}`;
+}
+
+/**
+ * Returns the topic filters the backend subscribes to: one single-level wildcard filter per
+ * device channel, e.g. 'devices/+/telemetry', plus the legacy topic if it is used. The command
+ * channel is left out, so the backend does not receive its own commands.
+ *
+ * @returns {string[]} The topic filters.
+ */
+export function getSubscriptionTopics() {
+    const topics = Object.keys(DEVICE_CHANNELS).map((channel) => getDeviceTopic('+', channel));
+    const legacyTopic = getLegacyTopic();
+    return legacyTopic ? [...topics, legacyTopic] : topics;
+}
+
+/**
+ * Reads the device and message type from a per-device topic.
+ *
+ * @param {string} topic - The topic a message arrived on.
+ * @returns {Object|null} `{ deviceID, messageType }`, or null if the topic is not a per-device
+ *                        topic of a known channel.
+ */
+export function parseDeviceTopic(topic) {
+    const levels = topic.split('/');
+    const prefix = getTopicPrefix().split('/');
+    if (levels.length !== prefix.length + 2 || prefix.some((level, index) => levels[index] !== level)) {
+        return null;
+    }
+
+    const [deviceID, channel] = levels.slice(prefix.length);
+    if (deviceID.length === 0 || !Object.hasOwn(DEVICE_CHANNELS, channel)) {
+        return null;
+    }
+    return { deviceID, messageType: DEVICE_CHANNELS[channel] };
+}
@@ -0,0 +1,68 @@
+import { promisify } from 'util';
+import { publishToDevice } from '../mqtt/mqttClient.js';
+import { getFirmwareDownloadUrl } from '../firmware/firmwareStore.js';
+import {
+    createDeployment,
+    fetchUpdateJobs,
+    setUpdateJobStatus,
+    markUpdateJobSent
+} from '../database/deploymentQueries.js';
+
+/**
+ * Statuses a device may report in an 'ota-status' message.
+ */
+export const OTA_STATUSES = ['queued', 'downloading', 'flashing', 'rebooted', 'success', 'failed'];
+
+/**
+ * Starts a deployment of a firmware version to a set of devices.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client used to publish the update commands.
+ * @param {string} firmwareVersion - The firmware version to deploy.
+ * @param {string[]} deviceIDs - The devices to update.
+ * @param {Object} [options] - `rollback: true` to let devices on a newer version downgrade.
+ * @returns {Promise<number>} - The ID of the new deployment.
+ *
+ * The update commands are published in the background; each job moves from 'pending'
+ * to 'sent' once the broker has accepted its command.
+ */
+export async function startDeployment(db, mqttClient, firmwareVersion, deviceIDs, options = {}) {
+    const deploymentId = await promisify(createDeployment)(db, firmwareVersion, deviceIDs);
+    const jobs = await promisify(fetchUpdateJobs)(db, deploymentId);
+
+    dispatchUpdateJobs(db, mqttClient, firmwareVersion, jobs, options);
+
+    return deploymentId;
+}
+
+/**
+ * Publishes the update command of each pending job to its device. Firmware refuses to install
+ * an older version unless the command carries `rollback: true`.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client.
+ * @param {string} firmwareVersion - The firmware version being deployed.
+ * @param {Object[]} jobs - The `UpdateJobs` rows to dispatch.
+ * @param {Object} [options] - `rollback: true` to let devices on a newer version downgrade.
+ */
+export function dispatchUpdateJobs(db, mqttClient, firmwareVersion, jobs, { rollback = false } = {}) {
+    jobs.filter((job) => job.status === 'pending').forEach((job) => {
+        const command = {
+            command: 'ota-update',
+            deploymentId: job.deploymentId,
+            jobId: job.id,
+            firmwareVersion,
+            url: getFirmwareDownloadUrl(firmwareVersion),
+            rollback,
+        };
+
+        publishToDevice(mqttClient, job.deviceID, command, (err) => {
+            if (err) {
+                console.error(`Failed to publish update command to ${job.deviceID}:`, err.message);
+                setUpdateJobStatus(db, job.id, 'failed', 'PUBLISH_FAILED');
+            } else {
+                markUpdateJobSent(db, job.id);
+            }
+        });
+    });
+}
@@ -0,0 +1,463 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { startDeployment, dispatchUpdateJobs } from './deployments.js';
+import {
+    fetchDevices,
+    fetchDeviceGroupMembers,
+    fetchGroupIdsForDevice
+} from '../database/deviceQueries.js';
+import {
+    TERMINAL_JOB_STATUSES,
+    createDeployment,
+    addUpdateJobs,
+    fetchUpdateJobs,
+    fetchUpdateJobsWithDevices,
+    setDeploymentStatus,
+    failPendingJobs
+} from '../database/deploymentQueries.js';
+import {
+    createRolloutPlan,
+    fetchRolloutPlans,
+    fetchRolloutPlanById,
+    setRolloutStatus,
+    setRolloutStage,
+    setRolloutRollbackDeployment
+} from '../database/rolloutQueries.js';
+import {
+    setLatestStableFirmwareVersion,
+    fetchLatestStableFirmwareVersion
+} from '../database/queries.js';
+import { recordSystemAudit } from '../audit/auditLog.js';
+
+/**
+ * Job statuses reported once a device has written the new image.
+ */
+const INSTALLED_JOB_STATUSES = ['flashing', 'rebooted', 'success'];
+
+/**
+ * Error codes of jobs that failed before reaching the device; they say nothing about the firmware.
+ */
+const UNDELIVERED_ERROR_CODES = ['PUBLISH_FAILED', 'ROLLOUT_ABORTED', 'ROLLOUT_ROLLED_BACK'];
+
+/**
+ * Returns the rollout bucket (0-99) of a device.
+ *
+ * The bucket is derived from a SHA-256 hash of the device ID, so a device always lands in
+ * the same bucket and a stage at N% covers exactly the devices in buckets 0 to N-1.
+ *
+ * @param {string} deviceID - The device ID.
+ * @returns {number} The bucket of the device.
+ */
+export function getRolloutBucket(deviceID) {
+    const hash = crypto.createHash('sha256').update(deviceID).digest();
+    return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Checks whether a device is part of the current stage of a rollout plan.
+ *
+ * @param {Object} plan - The rollout plan.
+ * @param {string} deviceID - The device ID.
+ * @param {number[]} groupIds - The IDs of the groups the device belongs to.
+ * @returns {boolean} True if the device should run the plan's firmware.
+ */
+export function isDeviceInCohort(plan, deviceID, groupIds) {
+    if (plan.groupId !== null && !groupIds.includes(plan.groupId)) {
+        return false;
+    }
+    return getRolloutBucket(deviceID) < plan.stages[plan.currentStage];
+}
+
+/**
+ * Creates a rollout plan and starts its first stage.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client used to publish update commands.
+ * @param {Object} options - The plan options: `firmwareVersion`, `groupId`, `stages`,
+ *                           `autoAdvance`, `failureThreshold`, `soakMinutes`, `rollback`,
+ *                           `rollbackThreshold`, `healthTimeoutMinutes` and `rollbackVersion`.
+ * @returns {Promise<number>} - The ID of the new rollout plan.
+ *
+ * Without an explicit `rollbackVersion`, the latest stable firmware version is the previous
+ * good version devices return to if the plan is rolled back.
+ */
+export async function createRollout(db, mqttClient, options) {
+    let { rollbackVersion } = options;
+    if (rollbackVersion === undefined) {
+        const stable = await promisify(fetchLatestStableFirmwareVersion)(db);
+        rollbackVersion = stable && stable.firmwareVersion !== options.firmwareVersion ? stable.firmwareVersion : null;
+    }
+
+    const deploymentId = await promisify(createDeployment)(db, options.firmwareVersion, []);
+    const planId = await promisify(createRolloutPlan)(db, { ...options, rollbackVersion, deploymentId });
+    const plan = await promisify(fetchRolloutPlanById)(db, planId);
+
+    await dispatchCohort(db, mqttClient, plan);
+
+    return planId;
+}
+
+/**
+ * Moves a rollout plan to its next stage, or completes it after the last stage.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client.
+ * @param {Object} plan - The active rollout plan.
+ *
+ * A completed plan that targets the whole fleet becomes the latest stable firmware version,
+ * which is recorded in the audit log as a 'firmware.promote' by the system.
+ */
+export async function advanceRollout(db, mqttClient, plan) {
+    if (plan.currentStage >= plan.stages.length - 1) {
+        await promisify(setRolloutStatus)(db, plan.id, 'completed', null);
+        if (plan.groupId === null) {
+            const previous = await promisify(fetchLatestStableFirmwareVersion)(db);
+            await promisify(setLatestStableFirmwareVersion)(db, plan.firmwareVersion, plan.rollback);
+            recordSystemAudit(db, 'firmware.promote', {
+                targetType: 'firmware',
+                targetId: plan.firmwareVersion,
+                before: previous ? { firmwareVersion: previous.firmwareVersion, rollback: previous.rollback === 1 } : null,
+                after: { firmwareVersion: plan.firmwareVersion, rollback: plan.rollback, rolloutId: plan.id },
+            });
+        }
+        console.log(`Rollout ${plan.id} of firmware ${plan.firmwareVersion} completed`);
+        return;
+    }
+
+    const nextStage = plan.currentStage + 1;
+    await promisify(setRolloutStage)(db, plan.id, nextStage);
+    await dispatchCohort(db, mqttClient, { ...plan, currentStage: nextStage });
+    console.log(`Rollout ${plan.id} advanced to ${plan.stages[nextStage]}%`);
+}
+
+/**
+ * Pauses an active rollout plan. Devices that already received the update keep it.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} plan - The rollout plan.
+ * @param {string|null} reason - Why the plan was paused, if not by an operator.
+ */
+export async function pauseRollout(db, plan, reason = null) {
+    await promisify(setRolloutStatus)(db, plan.id, 'paused', reason);
+}
+
+/**
+ * Resumes a paused rollout plan and updates devices that joined its cohort meanwhile.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client.
+ * @param {Object} plan - The paused rollout plan.
+ */
+export async function resumeRollout(db, mqttClient, plan) {
+    await promisify(setRolloutStatus)(db, plan.id, 'active', null);
+    await dispatchCohort(db, mqttClient, plan);
+}
+
+/**
+ * Aborts a rollout plan. Devices fall back to the latest stable firmware version and
+ * update jobs whose command has not been published yet are failed.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} plan - The rollout plan.
+ * @param {string|null} reason - Why the plan was aborted, if not by an operator.
+ */
+export async function abortRollout(db, plan, reason = null) {
+    await promisify(setRolloutStatus)(db, plan.id, 'aborted', reason);
+    await promisify(failPendingJobs)(db, plan.deploymentId, 'ROLLOUT_ABORTED');
+    await promisify(setDeploymentStatus)(db, plan.deploymentId, 'aborted');
+}
+
+/**
+ * Rolls a rollout plan back: the plan is halted and the devices it updated are sent back to
+ * the plan's rollback version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client.
+ * @param {Object} plan - The rollout plan.
+ * @param {string|null} reason - Why the plan was rolled back, if not by an operator.
+ *
+ * Update jobs whose command has not been published yet are failed. Every device that received
+ * the update gets an update job in a new deployment, recorded on the plan as
+ * `rollbackDeploymentId`, unless its update failed and it still runs the rollback version. The
+ * update commands allow the downgrade. If the plan has no rollback version, it is only halted.
+ */
+export async function rollbackRollout(db, mqttClient, plan, reason = null) {
+    const jobs = await promisify(fetchUpdateJobsWithDevices)(db, plan.deploymentId);
+    const affectedDevices = jobs
+        .filter((job) => job.status !== 'pending' && !UNDELIVERED_ERROR_CODES.includes(job.errorCode))
+        .filter((job) => !(job.status === 'failed' && job.reportedVersion === plan.rollbackVersion))
+        .map((job) => job.deviceID);
+
+    await promisify(setRolloutStatus)(db, plan.id, 'rolled-back', reason);
+    await promisify(failPendingJobs)(db, plan.deploymentId, 'ROLLOUT_ROLLED_BACK');
+    await promisify(setDeploymentStatus)(db, plan.deploymentId, 'aborted');
+
+    if (!plan.rollbackVersion) {
+        console.warn(`Rollout ${plan.id} has no rollback version; devices keep firmware ${plan.firmwareVersion}`);
+        return;
+    }
+    if (affectedDevices.length > 0) {
+        const deploymentId = await startDeployment(db, mqttClient, plan.rollbackVersion, affectedDevices, { rollback: true });
+        await promisify(setRolloutRollbackDeployment)(db, plan.id, deploymentId);
+    }
+    console.log(`Rollout ${plan.id} rolled back ${affectedDevices.length} device(s) to firmware ${plan.rollbackVersion}`);
+}
+
+/**
+ * Summarizes the update jobs of the devices added in the current stage of a plan.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} plan - The rollout plan.
+ * @returns {Promise<Object>} - The number of `total` and `finished` jobs, the `undelivered`
+ *                              ones whose command never reached the device (e.g. because
+ *                              publishing to the broker failed), the `failed` ones whose device
+ *                              reported a failure, and the `failureRate` among the finished
+ *                              jobs that were delivered.
+ *
+ * Undelivered jobs say nothing about the firmware, so they do not count as failures.
+ */
+export async function getStageStats(db, plan) {
+    const lowerBucket = plan.currentStage > 0 ? plan.stages[plan.currentStage - 1] : 0;
+    const upperBucket = plan.stages[plan.currentStage];
+
+    const jobs = (await promisify(fetchUpdateJobs)(db, plan.deploymentId)).filter((job) => {
+        const bucket = getRolloutBucket(job.deviceID);
+        return bucket >= lowerBucket && bucket < upperBucket;
+    });
+    const finished = jobs.filter((job) => TERMINAL_JOB_STATUSES.includes(job.status)).length;
+    const undelivered = jobs.filter((job) => job.status === 'failed' && UNDELIVERED_ERROR_CODES.includes(job.errorCode)).length;
+    const failed = jobs.filter((job) => job.status === 'failed').length - undelivered;
+
+    return {
+        total: jobs.length,
+        finished,
+        undelivered,
+        failed,
+        failureRate: finished > undelivered ? failed / (finished - undelivered) : 0,
+    };
+}
+
+/**
+ * Checks how the devices updated by a rollout plan behave in the field.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} plan - The rollout plan.
+ * @returns {Promise<Object>} - The number of `updated` devices (whose command reached them) and,
+ *                              among them, the `failed`, `silent` and `staleVersion` ones, with
+ *                              the total `unhealthy` count and `unhealthyRate`.
+ *
+ * A device is silent if it went quiet within `healthTimeoutMinutes` of its last update status
+ * and has not been heard from for `healthTimeoutMinutes` since; a device that ran past that
+ * window and went offline later, e.g. for maintenance, does not count. A device has a stale
+ * version if it is still heard from `healthTimeoutMinutes` after its job was created but keeps
+ * reporting another version than the plan's.
+ */
+export async function getRolloutHealth(db, plan) {
+    const timeoutMs = plan.healthTimeoutMinutes * 60 * 1000;
+    const now = Date.now();
+
+    const jobs = (await promisify(fetchUpdateJobsWithDevices)(db, plan.deploymentId))
+        .filter((job) => job.status !== 'pending' && !UNDELIVERED_ERROR_CODES.includes(job.errorCode));
+
+    let failed = 0;
+    let silent = 0;
+    let staleVersion = 0;
+    for (const job of jobs) {
+        const lastSeen = job.lastSeen ? parseTimestamp(job.lastSeen) : 0;
+        const wentQuietAfterUpdate = lastSeen < parseTimestamp(job.updatedAt) + timeoutMs;
+        if (job.status === 'failed') {
+            failed++;
+        } else if (INSTALLED_JOB_STATUSES.includes(job.status) && wentQuietAfterUpdate && lastSeen + timeoutMs < now) {
+            silent++;
+        } else if (lastSeen > parseTimestamp(job.createdAt) + timeoutMs
+            && job.reportedVersion && job.reportedVersion !== plan.firmwareVersion) {
+            staleVersion++;
+        }
+    }
+
+    const unhealthy = failed + silent + staleVersion;
+    return {
+        updated: jobs.length,
+        failed,
+        silent,
+        staleVersion,
+        unhealthy,
+        unhealthyRate: jobs.length > 0 ? unhealthy / jobs.length : 0,
+    };
+}
+
+/**
+ * Evaluates all active and paused rollout plans once.
+ *
+ * Plans with a `rollbackThreshold` are rolled back as soon as the share of unhealthy updated
+ * devices exceeds it (see `getRolloutHealth`). For active plans, devices that joined the
+ * cohort since the last run receive the update. Plans with `autoAdvance` move to their next
+ * stage once every job of the current stage has finished, the stage has run for at least
+ * `soakMinutes` and the failure rate is within the threshold.
+ * If the failure rate can no longer end up within the threshold, the plan is paused instead.
+ * Each of these steps is recorded in the audit log with 'system' as the actor.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client.
+ */
+export async function evaluateRollouts(db, mqttClient) {
+    const plans = await promisify(fetchRolloutPlans)(db, ['active', 'paused']);
+
+    for (const plan of plans) {
+        if (plan.rollbackThreshold !== null) {
+            const health = await getRolloutHealth(db, plan);
+            if (health.updated > 0 && health.unhealthyRate > plan.rollbackThreshold) {
+                const reason = `${health.unhealthy} of ${health.updated} updated devices unhealthy `
+                    + `(${health.failed} failed, ${health.silent} silent, ${health.staleVersion} on an old version), `
+                    + `exceeding the rollback threshold of ${(plan.rollbackThreshold * 100).toFixed(1)}%`;
+                console.warn(`Rolling back rollout ${plan.id}: ${reason}`);
+                await rollbackRollout(db, mqttClient, plan, reason);
+                await recordRolloutStep(db, 'rollout.rollback', plan);
+                continue;
+            }
+        }
+
+        if (plan.status !== 'active') {
+            continue;
+        }
+
+        await dispatchCohort(db, mqttClient, plan);
+
+        if (!plan.autoAdvance) {
+            continue;
+        }
+
+        const stats = await getStageStats(db, plan);
+        const delivered = stats.total - stats.undelivered;
+        if (delivered > 0 && stats.failed / delivered > plan.failureThreshold) {
+            const reason = `Failure rate ${(stats.failed / delivered * 100).toFixed(1)}% exceeded threshold of ${(plan.failureThreshold * 100).toFixed(1)}%`;
+            console.warn(`Pausing rollout ${plan.id}: ${reason}`);
+            await pauseRollout(db, plan, reason);
+            await recordRolloutStep(db, 'rollout.pause', plan);
+            continue;
+        }
+
+        const soakEnd = parseTimestamp(plan.stageStartedAt) + plan.soakMinutes * 60 * 1000;
+        if (stats.finished === stats.total && Date.now() >= soakEnd) {
+            await advanceRollout(db, mqttClient, plan);
+            await recordRolloutStep(db, 'rollout.advance', plan);
+        }
+    }
+}
+
+/**
+ * Starts evaluating the active rollout plans on a fixed interval.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client.
+ * @param {number} intervalMs - The interval between evaluations in milliseconds.
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+export function startRolloutScheduler(db, mqttClient, intervalMs) {
+    return setInterval(() => {
+        evaluateRollouts(db, mqttClient).catch((error) => {
+            console.error('Failed to evaluate rollouts:', error);
+        });
+    }, intervalMs);
+}
+
+/**
+ * Determines which firmware version a device should run.
+ *
+ * The newest active or paused rollout plan whose current cohort includes the device wins.
+ * Completed plans keep applying to their cohort until a newer stable version is set, and so
+ * do rolled back plans, which send their cohort back to the plan's rollback version.
+ * Otherwise the device should run the latest stable firmware version.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @returns {Promise<Object|null>} - `{ firmwareVersion, source, rolloutId, rollback }` where `source`
+ *                                   is 'rollout', 'rollback' or 'stable' and `rollback` allows a
+ *                                   downgrade, or null if no version is available.
+ */
+export async function resolveTargetFirmware(db, deviceID) {
+    const plans = await promisify(fetchRolloutPlans)(db, ['active', 'paused', 'completed', 'rolled-back']);
+    const groupIds = await promisify(fetchGroupIdsForDevice)(db, deviceID);
+    const stable = await promisify(fetchLatestStableFirmwareVersion)(db);
+
+    const plan = plans.find((candidate) => {
+        const finished = candidate.status === 'completed' || candidate.status === 'rolled-back';
+        if (finished && stable && stable.timestamp >= candidate.updatedAt) {
+            return false;
+        }
+        if (candidate.status === 'rolled-back' && !candidate.rollbackVersion) {
+            return false;
+        }
+        return isDeviceInCohort(candidate, deviceID, groupIds);
+    });
+
+    if (plan && plan.status === 'rolled-back') {
+        return { firmwareVersion: plan.rollbackVersion, source: 'rollback', rolloutId: plan.id, rollback: true };
+    }
+    if (plan) {
+        return { firmwareVersion: plan.firmwareVersion, source: 'rollout', rolloutId: plan.id, rollback: plan.rollback };
+    }
+    if (stable) {
+        return { firmwareVersion: stable.firmwareVersion, source: 'stable', rolloutId: null, rollback: stable.rollback === 1 };
+    }
+    return null;
+}
+
+/**
+ * Creates and dispatches update jobs for cohort devices that do not have one yet.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {mqtt.Client} mqttClient - The MQTT client.
+ * @param {Object} plan - The rollout plan.
+ * @returns {Promise<number>} - The number of devices added to the plan's deployment.
+ */
+async function dispatchCohort(db, mqttClient, plan) {
+    const candidates = plan.groupId !== null
+        ? await promisify(fetchDeviceGroupMembers)(db, plan.groupId)
+        : (await promisify(fetchDevices)(db)).map((device) => device.deviceID);
+    const cohort = candidates.filter((deviceID) => getRolloutBucket(deviceID) < plan.stages[plan.currentStage]);
+
+    const existingJobs = await promisify(fetchUpdateJobs)(db, plan.deploymentId);
+    const existingDevices = new Set(existingJobs.map((job) => job.deviceID));
+    const newDevices = cohort.filter((deviceID) => !existingDevices.has(deviceID));
+    if (newDevices.length === 0) {
+        return 0;
+    }
+
+    await promisify(addUpdateJobs)(db, plan.deploymentId, newDevices);
+    await promisify(setDeploymentStatus)(db, plan.deploymentId, 'active');
+
+    const jobs = await promisify(fetchUpdateJobs)(db, plan.deploymentId);
+    dispatchUpdateJobs(db, mqttClient, plan.firmwareVersion, jobs.filter((job) => newDevices.includes(job.deviceID)), {
+        rollback: plan.rollback,
+    });
+
+    return newDevices.length;
+}
+
+/**
+ * Records a rollout step the scheduler took in the audit log.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} action - The action, e.g. 'rollout.pause'.
+ * @param {Object} plan - The rollout plan before the step.
+ */
+async function recordRolloutStep(db, action, plan) {
+    const updated = await promisify(fetchRolloutPlanById)(db, plan.id);
+    recordSystemAudit(db, action, {
+        targetType: 'rollout',
+        targetId: plan.id,
+        before: { status: plan.status, currentStage: plan.currentStage },
+        after: { status: updated.status, currentStage: updated.currentStage, statusReason: updated.statusReason },
+    });
+}
+
+/**
+ * Parses an SQLite `CURRENT_TIMESTAMP` value (UTC) into milliseconds since the epoch.
+ *
+ * @param {string} timestamp - The timestamp, e.g. '2024-05-01 12:00:00'.
+ * @returns {number} The timestamp in milliseconds.
+ */
+function parseTimestamp(timestamp) {
+    return Date.parse(`${timestamp.replace(' ', 'T')}Z`);
+}
@@ -0,0 +1,109 @@
+import { promisify } from 'util';
+import { resolveTargetFirmware } from './rollouts.js';
+import { compareVersions } from '../firmware/semver.js';
+import { getFirmwareDownloadUrl } from '../firmware/firmwareStore.js';
+import { fetchFirmwareRelease, fetchReleasedFirmware } from '../database/firmwareQueries.js';
+
+/**
+ * Decides whether a device should install a firmware update, and which one.
+ *
+ * The device's target version comes from its rollout cohort or the latest stable version.
+ * Versions are compared numerically by major, minor and patch. On the way to the target the
+ * per-release upgrade rules apply:
+ *
+ * - A target older than the running version is only offered if it was marked as a rollback.
+ * - A release built for a hardware model is only offered to devices reporting that model.
+ * - Every `mandatory` release between the running version and the target is installed first,
+ *   oldest first.
+ * - A release with a `minFromVersion` newer than the running version is reached through the
+ *   newest released version that is at least `minFromVersion`.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {string} currentVersion - The firmware version the device is running.
+ * @param {string|undefined} hardwareModel - The hardware model reported by the device.
+ * @returns {Promise<Object>} - `{ updateAvailable: false, currentVersion, reason }`, or
+ *                              `{ updateAvailable: true, currentVersion, firmwareVersion, targetVersion,
+ *                              rollback, url, size, sha256, signature }` where `firmwareVersion` is
+ *                              the version to install now and `targetVersion` the final one.
+ */
+export async function checkForUpdate(db, deviceID, currentVersion, hardwareModel) {
+    const noUpdate = (reason) => ({ updateAvailable: false, currentVersion, reason });
+
+    const target = await resolveTargetFirmware(db, deviceID);
+    if (!target) {
+        return noUpdate('No firmware version available for this device');
+    }
+
+    const direction = compareVersions(target.firmwareVersion, currentVersion);
+    if (direction === 0) {
+        return noUpdate('Device is up to date');
+    }
+    if (direction < 0 && !target.rollback) {
+        return noUpdate(`Downgrade to ${target.firmwareVersion} is blocked because it is not a rollback`);
+    }
+
+    const targetRelease = await promisify(fetchFirmwareRelease)(db, target.firmwareVersion);
+    if (!targetRelease || targetRelease.status === 'withdrawn') {
+        return noUpdate(`Firmware ${target.firmwareVersion} is not available for download`);
+    }
+    if (!isCompatible(targetRelease, hardwareModel)) {
+        return noUpdate(`Firmware ${target.firmwareVersion} does not support hardware model '${hardwareModel ?? 'unknown'}'`);
+    }
+
+    let release = targetRelease;
+    if (direction > 0) {
+        const releases = (await promisify(fetchReleasedFirmware)(db))
+            .filter((candidate) => isCompatible(candidate, hardwareModel));
+        const between = (low, high) => releases.filter((candidate) =>
+            compareVersions(candidate.firmwareVersion, low) >= 0 && compareVersions(candidate.firmwareVersion, high) < 0);
+
+        // Each step moves to an older release that is still newer than the running version
+        for (;;) {
+            const mandatory = between(currentVersion, release.firmwareVersion)
+                .filter((candidate) => candidate.mandatory && candidate.firmwareVersion !== currentVersion);
+            if (mandatory.length > 0) {
+                release = mandatory[0];
+                continue;
+            }
+
+            if (release.minFromVersion && compareVersions(currentVersion, release.minFromVersion) < 0) {
+                const bridges = between(release.minFromVersion, release.firmwareVersion);
+                if (bridges.length === 0) {
+                    return noUpdate(`No release leads from ${currentVersion} to ${release.firmwareVersion}, which requires at least ${release.minFromVersion}`);
+                }
+                release = bridges[bridges.length - 1];
+                continue;
+            }
+
+            break;
+        }
+    }
+
+    return {
+        updateAvailable: true,
+        currentVersion,
+        firmwareVersion: release.firmwareVersion,
+        targetVersion: target.firmwareVersion,
+        rollback: direction < 0,
+        source: target.source,
+        rolloutId: target.rolloutId,
+        url: getFirmwareDownloadUrl(release.firmwareVersion),
+        size: release.size,
+        sha256: release.sha256,
+        signature: release.signature
+            ? { algorithm: 'ed25519', keyId: release.signatureKeyId, value: release.signature, signedBy: release.signedBy }
+            : null,
+    };
+}
+
+/**
+ * Checks whether a firmware release can run on a hardware model.
+ *
+ * @param {Object} release - The firmware release.
+ * @param {string|undefined} hardwareModel - The hardware model reported by the device.
+ * @returns {boolean} True if the release is not tied to a model or is built for this one.
+ */
+function isCompatible(release, hardwareModel) {
+    return !release.hardwareModel || release.hardwareModel === hardwareModel;
+}
@@ -0,0 +1,254 @@
+import express from 'express';
+import { promisify } from 'util';
+import {
+    ALERT_STATUSES,
+    createAlertRule,
+    updateAlertRule,
+    deleteAlertRule,
+    fetchAlertRules,
+    fetchAlertRuleById,
+    resolveAlertsForRule,
+    fetchAlerts,
+    fetchAlertById,
+    acknowledgeAlert
+} from '../database/alertQueries.js';
+import { validateAlertRule } from '../alerts/alertEngine.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * API endpoint to create an alert rule.
+ *
+ * @route POST /alerts/rules
+ * @param {string} name - The name of the rule.
+ * @param {string} type - 'threshold', 'offline' or 'heater-stuck'.
+ * @param {string|null} [deviceID] - The device to watch. Defaults to null (every device).
+ * @param {string} [metric] - 'temperature' or 'humidity', for 'threshold' rules.
+ * @param {string} [operator] - '>', '>=', '<' or '<=', for 'threshold' rules.
+ * @param {number} [threshold] - The limit, for 'threshold' rules.
+ * @param {number} [durationSeconds] - Seconds the condition must hold before an alert opens. Defaults
+ *                                     to 0; required for 'offline' and 'heater-stuck' rules.
+ * @param {number|null} [renotifyMinutes] - Minutes after which an unacknowledged alert is notified
+ *                                          again. Defaults to null (never).
+ * @param {Object[]} [notifiers] - Notifier configurations, e.g. `[{ type: 'webhook', url }]`. Defaults to [].
+ * @param {boolean} [enabled] - Defaults to true.
+ * @returns JSON object with the new rule or an error.
+ */
+router.post('/rules', requirePermission('operations:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+    const rule = toAlertRule(req.body);
+
+    const error = validateAlertRule(rule);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const ruleId = await promisify(createAlertRule)(db, rule);
+        res.status(201).json(await promisify(fetchAlertRuleById)(db, ruleId));
+    } catch (err) {
+        console.error('Error creating alert rule:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to list all alert rules.
+ *
+ * @route GET /alerts/rules
+ * @returns JSON array of alert rules or an error.
+ */
+router.get('/rules', (req, res) => {
+    const db = req.app.locals.db;
+    fetchAlertRules(db, false, (err, rules) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(rules);
+        }
+    });
+});
+
+/**
+ * API endpoint to fetch a single alert rule.
+ *
+ * @route GET /alerts/rules/:id
+ * @returns JSON object with the rule or a 404 error.
+ */
+router.get('/rules/:id', (req, res) => {
+    const db = req.app.locals.db;
+    fetchAlertRuleById(db, req.params.id, (err, rule) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (rule) {
+            res.json(rule);
+        } else {
+            res.status(404).json({ error: 'Alert rule not found' });
+        }
+    });
+});
+
+/**
+ * API endpoint to change an alert rule. Fields that are not given keep their value.
+ * Disabling a rule resolves its unresolved alerts.
+ *
+ * @route PATCH /alerts/rules/:id
+ * @param {...*} [fields] - Any of the fields accepted by `POST /alerts/rules`.
+ * @returns JSON object with the updated rule or an error.
+ */
+router.patch('/rules/:id', requirePermission('operations:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const existing = await promisify(fetchAlertRuleById)(db, req.params.id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        const rule = toAlertRule({ ...existing, ...req.body });
+        const error = validateAlertRule(rule);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await promisify(updateAlertRule)(db, existing.id, rule);
+        if (!rule.enabled) {
+            await promisify(resolveAlertsForRule)(db, existing.id);
+        }
+        res.json(await promisify(fetchAlertRuleById)(db, existing.id));
+    } catch (err) {
+        console.error('Error updating alert rule:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to delete an alert rule. Its alerts are kept and resolved.
+ *
+ * @route DELETE /alerts/rules/:id
+ * @returns 204 No Content or an error.
+ */
+router.delete('/rules/:id', requirePermission('operations:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const changes = await promisify(deleteAlertRule)(db, req.params.id);
+        if (changes === 0) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        await promisify(resolveAlertsForRule)(db, req.params.id);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error deleting alert rule:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to list alerts, newest first.
+ *
+ * @route GET /alerts
+ * @param {string} [status] - Only return alerts in this status ('open', 'acknowledged' or 'resolved').
+ * @param {string} [deviceID] - Only return alerts of this device.
+ * @param {number} [limit] - The number of alerts to return, 1 to 500. Defaults to 100.
+ * @returns JSON array of alerts or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    const { status, deviceID } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+    if (status !== undefined && !ALERT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+
+    fetchAlerts(db, { status, deviceID, limit }, (err, alerts) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(alerts);
+        }
+    });
+});
+
+/**
+ * API endpoint to fetch a single alert.
+ *
+ * @route GET /alerts/:id
+ * @returns JSON object with the alert or a 404 error.
+ */
+router.get('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    fetchAlertById(db, req.params.id, (err, alert) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (alert) {
+            res.json(alert);
+        } else {
+            res.status(404).json({ error: 'Alert not found' });
+        }
+    });
+});
+
+/**
+ * API endpoint to acknowledge an open alert. Acknowledged alerts are not re-notified and are
+ * resolved once their condition clears.
+ *
+ * @route POST /alerts/:id/acknowledge
+ * @returns JSON object with the acknowledged alert or an error.
+ */
+router.post('/:id/acknowledge', requirePermission('operations:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const alert = await promisify(fetchAlertById)(db, req.params.id);
+        if (!alert) {
+            return res.status(404).json({ error: 'Alert not found' });
+        }
+
+        const changes = await promisify(acknowledgeAlert)(db, alert.id, req.user ? req.user.username : null);
+        if (changes === 0) {
+            return res.status(409).json({ error: `Alert is ${alert.status}, not open` });
+        }
+        res.json(await promisify(fetchAlertById)(db, alert.id));
+    } catch (err) {
+        console.error('Error acknowledging alert:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * Picks the fields of an alert rule from a request body, applying the defaults.
+ *
+ * @param {Object} body - The request body.
+ * @returns {Object} The rule. Rules other than 'threshold' rules have no metric, operator or threshold.
+ */
+function toAlertRule(body) {
+    const {
+        name,
+        type,
+        deviceID = null,
+        metric = null,
+        operator = null,
+        threshold = null,
+        durationSeconds = 0,
+        renotifyMinutes = null,
+        notifiers = [],
+        enabled = true,
+    } = body;
+    const rule = { name, type, deviceID, metric, operator, threshold, durationSeconds, renotifyMinutes, notifiers, enabled };
+
+    if (type !== 'threshold') {
+        Object.assign(rule, { metric: null, operator: null, threshold: null });
+    }
+    if (typeof name === 'string') {
+        rule.name = name.trim();
+    }
+    return rule;
+}
+
+export default router;
@@ -0,0 +1,120 @@
+import express from 'express';
+import { promisify } from 'util';
+import { insertApiKey, fetchApiKeys, fetchApiKeyById, revokeApiKey } from '../database/apiKeyQueries.js';
+import { API_KEY_SCOPES, generateApiKey } from '../auth/apiKeys.js';
+import { toSqliteTimestamp } from '../telemetry/timeRange.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only admins manage API keys
+router.use(requirePermission('api-keys:manage'));
+
+/**
+ * API endpoint to list the API keys, newest first. The keys themselves are not returned.
+ *
+ * @route GET /api-keys
+ * @returns JSON array of API keys or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    fetchApiKeys(db, (err, apiKeys) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        res.json(apiKeys);
+    });
+});
+
+/**
+ * API endpoint to create an API key, e.g. for CI to upload firmware. Clients send the key in
+ * the `Authorization: Bearer <key>` or `X-API-Key` header.
+ *
+ * @route POST /api-keys
+ * @param {string} name - What the key is used for.
+ * @param {string[]} scopes - The capabilities the key grants, e.g. ['firmware:upload'].
+ * @param {number} [expiresInDays] - Days until the key expires. Defaults to never.
+ * @returns JSON object with the new API key, including the `key` itself, which is only
+ *          returned once, or an error.
+ */
+router.post('/', async (req, res) => {
+    const db = req.app.locals.db;
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => API_KEY_SCOPES.includes(scope))) {
+        return res.status(400).json({ error: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` });
+    }
+    if (expiresInDays !== undefined && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+        return res.status(400).json({ error: 'expiresInDays must be a positive integer' });
+    }
+
+    try {
+        const { key, keyPrefix, keyHash } = generateApiKey();
+        const apiKeyId = await promisify(insertApiKey)(db, {
+            name: name.trim(),
+            keyPrefix,
+            keyHash,
+            scopes: [...new Set(scopes)],
+            createdBy: req.user.username,
+            expiresAt: expiresInDays === undefined ? null : toSqliteTimestamp(Date.now() + expiresInDays * DAY_MS),
+        });
+        const apiKey = await promisify(fetchApiKeyById)(db, apiKeyId);
+        recordAudit(req, 'api-key.create', { targetType: 'api-key', targetId: apiKeyId, after: apiKey });
+        res.status(201).json({ ...apiKey, key });
+    } catch (err) {
+        console.error('Error creating API key:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to fetch a single API key, without the key itself.
+ *
+ * @route GET /api-keys/:id
+ * @returns JSON object with the API key or a 404 error.
+ */
+router.get('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    fetchApiKeyById(db, req.params.id, (err, apiKey) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (apiKey) {
+            res.json(apiKey);
+        } else {
+            res.status(404).json({ error: 'API key not found' });
+        }
+    });
+});
+
+/**
+ * API endpoint to revoke an API key. The key stays listed with its `revokedAt` time.
+ *
+ * @route DELETE /api-keys/:id
+ * @returns 204 No Content or an error.
+ */
+router.delete('/:id', async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const apiKey = await promisify(fetchApiKeyById)(db, req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        if (apiKey.revokedAt) {
+            return res.status(409).json({ error: 'API key has already been revoked' });
+        }
+
+        await promisify(revokeApiKey)(db, apiKey.id);
+        recordAudit(req, 'api-key.revoke', { targetType: 'api-key', targetId: apiKey.id, before: apiKey });
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error revoking API key:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
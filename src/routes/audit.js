@@ -0,0 +1,66 @@
+import express from 'express';
+import { fetchAuditEntries } from '../database/auditQueries.js';
+import { AUDIT_ACTIONS } from '../audit/auditLog.js';
+import { parseTimeParam, toSqliteTimestamp } from '../telemetry/timeRange.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Only admins read the audit log
+router.use(requirePermission('audit:read'));
+
+/**
+ * API endpoint to list the audit log of firmware, rollout, device and user actions, newest
+ * first.
+ *
+ * @route GET /audit
+ * @param {string} [actor] - Only return actions taken by this username, 'api-key:<name>',
+ *                           'device:<deviceID>' or 'system' (scheduled rollout steps).
+ * @param {string} [action] - Only return actions of this kind, e.g. 'firmware.promote'.
+ * @param {string} [targetType] - Only return actions on this kind of target, e.g. 'firmware'.
+ * @param {string} [targetId] - Only return actions on this target, e.g. '1.4.2'.
+ * @param {string} [from] - Only return actions taken at or after this ISO 8601 time.
+ * @param {string} [to] - Only return actions taken before this ISO 8601 time.
+ * @param {number} [limit] - Entries per page, 1 to 500. Defaults to 100.
+ * @param {string} [cursor] - The `nextCursor` of the previous page.
+ * @returns JSON object with the `entries` and the `nextCursor`, or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    const { actor, action, targetType, targetId, cursor } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const beforeId = cursor === undefined ? null : Number(cursor);
+    const from = req.query.from === undefined ? undefined : parseTimeParam(req.query.from);
+    const to = req.query.to === undefined ? undefined : parseTimeParam(req.query.to);
+
+    if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+    }
+    if (from === null || to === null) {
+        return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+    if (beforeId !== null && (!Number.isInteger(beforeId) || beforeId < 1)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const filters = {
+        actor,
+        action,
+        targetType,
+        targetId,
+        from: from === undefined ? undefined : toSqliteTimestamp(from),
+        to: to === undefined ? undefined : toSqliteTimestamp(to),
+        beforeId,
+        limit,
+    };
+    fetchAuditEntries(db, filters, (err, entries) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        const nextCursor = entries.length === limit ? String(entries[entries.length - 1].id) : null;
+        res.json({ entries, nextCursor });
+    });
+});
+
+export default router;
@@ -1,51 +1,223 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
-import { validateUsername, validatePassword } from '../validators/validator.js';
-import { createUser, findUserByUsername } from '../database/queries.js';
+import { promisify } from 'util';
+import {
+    validateUsername,
+    validatePassword,
+    USERNAME_REQUIREMENTS,
+    PASSWORD_REQUIREMENTS
+} from '../validators/validator.js';
+import {
+    createFirstUser,
+    countUsers,
+    findUserByUsername,
+    findUserById,
+    updateUserPassword,
+    recordFailedLogin,
+    resetFailedLogins
+} from '../database/userQueries.js';
+import { hashPassword, verifyPassword } from '../auth/passwords.js';
+import { createSession, rotateSession, endSession, endUserSessions } from '../auth/sessions.js';
+import { toSqliteTimestamp } from '../telemetry/timeRange.js';
+import verifyToken from '../middleware/auth.js';
+import rateLimit from '../middleware/rateLimit.js';
+import { recordAudit } from '../audit/auditLog.js';
 
 const router = express.Router();
 
-// User registration endpoint
-router.post('/register', (req, res) => {
+// Limit credential guessing per client IP address
+const credentialRateLimit = rateLimit({
+    windowMs: Number(process.env.LOGIN_RATE_LIMIT_WINDOW_MS) || 60000,
+    max: Number(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+});
+
+/**
+ * Returns the account lockout settings.
+ *
+ * @returns {Object} `maxAttempts`, the number of failed logins in a row that locks an account
+ *                   (`LOGIN_MAX_ATTEMPTS`, default 5), and `lockoutMinutes`, how long it stays
+ *                   locked (`LOGIN_LOCKOUT_MINUTES`, default 15).
+ */
+function getLockoutSettings() {
+    return {
+        maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+        lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    };
+}
+
+/**
+ * API endpoint to register the first user, who becomes an admin. Once a user exists,
+ * registration is closed and admins create further users (see `POST /users`).
+ *
+ * @route POST /auth/register
+ * @param {string} username - The username.
+ * @param {string} password - The password.
+ * @returns 201 with a confirmation message, or an error.
+ */
+router.post('/register', credentialRateLimit, async (req, res) => {
     const db = req.app.locals.db;
     console.log('Registering user');
-    
+
     const { username, password } = req.body;
 
     // Validate username and password
     if (!validateUsername(username)) {
-        return res.status(400).json({ error: 'Username must be at least 3 characters long and contain only alphanumeric characters and underscores' });
+        return res.status(400).json({ error: USERNAME_REQUIREMENTS });
     }
 
     if (!validatePassword(password)) {
-        return res.status(400).json({ error: 'Password must be at least 6 characters long and contain at least one uppercase letter, one lowercase letter, one number, and one special character' });
+        return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
     }
 
-    // Check if the username already exists
-    findUserByUsername(db, username, (err, user) => {
-        if (err) return res.status(500).json({ error: 'Internal Server Error' });
-        if (user) return res.status(400).json({ error: 'Username already exists' });
+    const registrationClosed = () => res.status(403).json({ error: 'Registration is closed, ask an admin to create your account' });
 
-        // Create user if username is available
-        createUser(db, username, password, (err) => {
-            if (err) return res.status(500).json({ error: 'Internal Server Error' });
-            res.status(201).json({ message: 'User registered successfully' });
-        });
-    });
+    try {
+        // Skip hashing the password when registration is already closed
+        if (await promisify(countUsers)(db, null) > 0) {
+            return registrationClosed();
+        }
+
+        // Store only the password hash. Of concurrent first registrations only one gets through
+        const userId = await promisify(createFirstUser)(db, username, await hashPassword(password));
+        if (userId === null) {
+            return registrationClosed();
+        }
+        recordAudit(req, 'user.register', { actor: username, targetType: 'user', targetId: userId, after: { username, role: 'admin' } });
+        res.status(201).json({ message: 'User registered successfully' });
+    } catch (err) {
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
 });
 
-// User login endpoint
-router.post('/login', (req, res) => {
+/**
+ * API endpoint to log in. After too many failed attempts in a row the account is locked for a
+ * while.
+ *
+ * @route POST /auth/login
+ * @param {string} username - The username.
+ * @param {string} password - The password.
+ * @returns JSON object with the access `token`, the `refreshToken` and their expiry times, or an error.
+ */
+router.post('/login', credentialRateLimit, async (req, res) => {
     const db = req.app.locals.db;
     const { username, password } = req.body;
-    findUserByUsername(db, username, (err, user) => {
-        if (err) return res.status(500).json({ error: 'Internal Server Error' });
-        if (!user) return res.status(400).json({ error: 'Invalid credentials' });
-        if (user.password!= password) return res.status(400).json({ error: 'Invalid credentials' });
-
-        const token = jwt.sign({ id: user.id, username: user.username }, process.env.JWT_SECRET, { expiresIn: '1m' });
-        res.json({ token });
-    });
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    try {
+        const user = await promisify(findUserByUsername)(db, username);
+        const now = Date.now();
+        if (user && user.lockedUntil && user.lockedUntil > toSqliteTimestamp(now)) {
+            const retryAfterSeconds = Math.ceil((new Date(`${user.lockedUntil}Z`).getTime() - now) / 1000);
+            res.set('Retry-After', String(retryAfterSeconds));
+            return res.status(429).json({ error: 'Too many failed logins, the account is temporarily locked' });
+        }
+
+        if (!await verifyPassword(password, user ? user.password : null)) {
+            if (user) {
+                const { maxAttempts, lockoutMinutes } = getLockoutSettings();
+                await promisify(recordFailedLogin)(db, user.id, maxAttempts, lockoutMinutes);
+            }
+            return res.status(400).json({ error: 'Invalid credentials' });
+        }
+
+        if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+            await promisify(resetFailedLogins)(db, user.id);
+        }
+        res.json(await createSession(db, user));
+    } catch (err) {
+        console.error('Error logging in:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to exchange a refresh token for a new access token and refresh token. The old
+ * refresh token can no longer be used; presenting it again ends the whole session.
+ *
+ * @route POST /auth/refresh
+ * @param {string} refreshToken - The refresh token.
+ * @returns JSON object with the new tokens and their expiry times, or an error.
+ */
+router.post('/refresh', credentialRateLimit, async (req, res) => {
+    const db = req.app.locals.db;
+    const { refreshToken } = req.body;
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+        return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    try {
+        const { session, error } = await rotateSession(db, refreshToken);
+        if (error) {
+            return res.status(401).json({ error });
+        }
+        res.json(session);
+    } catch (err) {
+        console.error('Error refreshing session:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to log out by revoking the session of a refresh token. Access tokens already
+ * issued stay valid until they expire.
+ *
+ * @route POST /auth/logout
+ * @param {string} refreshToken - The refresh token of the session.
+ * @returns 204 No Content or an error.
+ */
+router.post('/logout', async (req, res) => {
+    const db = req.app.locals.db;
+    const { refreshToken } = req.body;
+    if (typeof refreshToken !== 'string' || refreshToken.length === 0) {
+        return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    try {
+        await endSession(db, refreshToken);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error logging out:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to change the password of the logged-in user. All sessions of the user are
+ * revoked and a new one is started.
+ *
+ * @route POST /auth/change-password
+ * @param {string} currentPassword - The current password.
+ * @param {string} newPassword - The new password.
+ * @returns JSON object with the tokens of the new session, or an error.
+ */
+router.post('/change-password', verifyToken, credentialRateLimit, async (req, res) => {
+    const db = req.app.locals.db;
+    const { currentPassword, newPassword } = req.body;
+    if (typeof currentPassword !== 'string') {
+        return res.status(400).json({ error: 'currentPassword is required' });
+    }
+    if (!validatePassword(newPassword)) {
+        return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
+    }
+
+    try {
+        const user = await promisify(findUserById)(db, req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!await verifyPassword(currentPassword, user.password)) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        await promisify(updateUserPassword)(db, user.id, await hashPassword(newPassword));
+        await endUserSessions(db, user.id, 'password-change');
+        recordAudit(req, 'user.change-password', { targetType: 'user', targetId: user.id });
+        res.json(await createSession(db, user));
+    } catch (err) {
+        console.error('Error changing password:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
 });
 
 export default router;
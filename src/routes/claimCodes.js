@@ -0,0 +1,91 @@
+import express from 'express';
+import { promisify } from 'util';
+import { insertClaimCode, fetchClaimCodes, fetchClaimCodeById, deleteClaimCode } from '../database/claimCodeQueries.js';
+import { generateClaimCode } from '../auth/deviceCredentials.js';
+import { validateDeviceID, DEVICE_ID_REQUIREMENTS } from '../validators/validator.js';
+import { toSqliteTimestamp } from '../telemetry/timeRange.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Claim codes let devices obtain credentials, so only those who control devices manage them
+router.use(requirePermission('devices:control'));
+
+/**
+ * API endpoint to list the claim codes, newest first. The codes themselves are not returned.
+ *
+ * @route GET /claim-codes
+ * @returns JSON array of claim codes or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    fetchClaimCodes(db, (err, claimCodes) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        res.json(claimCodes);
+    });
+});
+
+/**
+ * API endpoint to create a one-time claim code, which a device exchanges for its credential at
+ * `POST /provision`.
+ *
+ * @route POST /claim-codes
+ * @param {string} [deviceID] - The only device that may use the code. Defaults to any device.
+ * @param {number} [expiresInHours] - Hours until the code expires, 1 to 720. Defaults to 24.
+ * @returns JSON object with the new claim code, including the `code` itself, which is only
+ *          returned once, or an error.
+ */
+router.post('/', async (req, res) => {
+    const db = req.app.locals.db;
+    const { deviceID, expiresInHours = 24 } = req.body;
+
+    if (deviceID !== undefined && !validateDeviceID(deviceID)) {
+        return res.status(400).json({ error: DEVICE_ID_REQUIREMENTS });
+    }
+    if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > 720) {
+        return res.status(400).json({ error: 'expiresInHours must be an integer between 1 and 720' });
+    }
+
+    try {
+        const { code, codeHash } = generateClaimCode();
+        const claimCodeId = await promisify(insertClaimCode)(db, {
+            codeHash,
+            deviceID,
+            createdBy: req.user.username,
+            expiresAt: toSqliteTimestamp(Date.now() + expiresInHours * HOUR_MS),
+        });
+        const claimCode = await promisify(fetchClaimCodeById)(db, claimCodeId);
+        recordAudit(req, 'claim-code.create', { targetType: 'claim-code', targetId: claimCodeId, after: claimCode });
+        res.status(201).json({ ...claimCode, code });
+    } catch (err) {
+        console.error('Error creating claim code:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to delete a claim code, so it can no longer be used.
+ *
+ * @route DELETE /claim-codes/:id
+ * @returns 204 No Content or an error.
+ */
+router.delete('/:id', async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const claimCode = await promisify(fetchClaimCodeById)(db, req.params.id);
+        if (!claimCode || await promisify(deleteClaimCode)(db, claimCode.id) === 0) {
+            return res.status(404).json({ error: 'Claim code not found' });
+        }
+        recordAudit(req, 'claim-code.delete', { targetType: 'claim-code', targetId: claimCode.id, before: claimCode });
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error deleting claim code:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+import express from 'express';
+import { promisify } from 'util';
+import {
+    DEAD_LETTER_STATUSES,
+    fetchDeadLetters,
+    fetchDeadLetterById,
+    recordDeadLetterReplay,
+    deleteDeadLetter
+} from '../database/deadLetterQueries.js';
+import { processMQTTMessage } from '../mqtt/mqttHandler.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * API endpoint to list the MQTT messages that were rejected, newest first.
+ *
+ * @route GET /dead-letters
+ * @param {string} [status] - Only return dead letters in this status ('pending', 'quarantined'
+ *                           or 'replayed').
+ * @param {string} [messageType] - Only return dead letters of this message type.
+ * @param {string} [deviceID] - Only return dead letters of this device.
+ * @param {number} [limit] - Dead letters per page, 1 to 500. Defaults to 100.
+ * @param {string} [cursor] - The `nextCursor` of the previous page.
+ * @returns JSON object with the `deadLetters` and the `nextCursor`, or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    const { status, messageType, deviceID, cursor } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    const beforeId = cursor === undefined ? null : Number(cursor);
+
+    if (status !== undefined && !DEAD_LETTER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${DEAD_LETTER_STATUSES.join(', ')}` });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 500' });
+    }
+    if (beforeId !== null && (!Number.isInteger(beforeId) || beforeId < 1)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    fetchDeadLetters(db, { status, messageType, deviceID, beforeId, limit }, (err, deadLetters) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        const nextCursor = deadLetters.length === limit ? String(deadLetters[deadLetters.length - 1].id) : null;
+        res.json({ deadLetters, nextCursor });
+    });
+});
+
+/**
+ * API endpoint to replay the pending dead letters, oldest first, e.g. after a schema or
+ * firmware fix. Messages that are rejected again stay pending with the new reason. Replayed
+ * messages are stored as if they had just arrived. Quarantined messages are not replayed here,
+ * since each has to be checked before it is trusted.
+ *
+ * @route POST /dead-letters/replay
+ * @param {string} [messageType] - Only replay dead letters of this message type.
+ * @param {string} [deviceID] - Only replay dead letters of this device.
+ * @param {number} [limit] - The most dead letters to replay, 1 to 1000. Defaults to 100.
+ * @returns JSON object with the number of `replayed` and `rejected` messages and the outcome
+ *          per dead letter, or an error.
+ */
+router.post('/replay', requirePermission('operations:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+    const { messageType, deviceID, limit = 100 } = req.body;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+    }
+
+    try {
+        const deadLetters = await promisify(fetchDeadLetters)(db, { status: 'pending', messageType, deviceID, limit });
+        const results = [];
+        for (const deadLetter of deadLetters.reverse()) {
+            results.push(await replayDeadLetter(db, deadLetter));
+        }
+
+        const replayed = results.filter((result) => result.replayed).length;
+        console.log(`Replayed ${replayed} of ${results.length} dead letters`);
+        res.json({ replayed, rejected: results.length - replayed, results });
+    } catch (err) {
+        console.error('Error replaying dead letters:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to fetch a single dead letter.
+ *
+ * @route GET /dead-letters/:id
+ * @returns JSON object with the dead letter or a 404 error.
+ */
+router.get('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDeadLetterById(db, req.params.id, (err, deadLetter) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (deadLetter) {
+            res.json(deadLetter);
+        } else {
+            res.status(404).json({ error: 'Dead letter not found' });
+        }
+    });
+});
+
+/**
+ * API endpoint to replay a single pending or quarantined dead letter. The device of a
+ * quarantined message is not authenticated again; replaying it vouches for the message. The
+ * message is stored with the time it was first received, and the dead letter is only marked as
+ * replayed once it has been written.
+ *
+ * @route POST /dead-letters/:id/replay
+ * @returns JSON object with the outcome and the updated dead letter, or an error.
+ */
+router.post('/:id/replay', requirePermission('operations:manage'), async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const deadLetter = await promisify(fetchDeadLetterById)(db, req.params.id);
+        if (!deadLetter) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+        if (deadLetter.status === 'replayed') {
+            return res.status(409).json({ error: 'Dead letter has already been replayed' });
+        }
+
+        const result = await replayDeadLetter(db, deadLetter);
+        res.json({ ...result, deadLetter: await promisify(fetchDeadLetterById)(db, deadLetter.id) });
+    } catch (err) {
+        console.error('Error replaying dead letter:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to delete a dead letter that should not be replayed.
+ *
+ * @route DELETE /dead-letters/:id
+ * @returns 204 No Content or an error.
+ */
+router.delete('/:id', requirePermission('operations:manage'), (req, res) => {
+    const db = req.app.locals.db;
+    deleteDeadLetter(db, req.params.id, (err, changes) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (changes === 0) {
+            res.status(404).json({ error: 'Dead letter not found' });
+        } else {
+            res.status(204).end();
+        }
+    });
+});
+
+/**
+ * Processes the payload of a dead letter again, as if it had arrived when it was first received,
+ * and records the outcome once the message has been written, so a failed write leaves the
+ * dead letter to be replayed again. Dead letters are stored without the device token, so the
+ * device is not authenticated again.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} deadLetter - The dead letter.
+ * @returns {Promise<Object>} - `{ id, replayed, reason }`, where `reason` explains why the
+ *                              message was rejected again.
+ */
+async function replayDeadLetter(db, deadLetter) {
+    let resolveStored;
+    const stored = new Promise((resolve) => {
+        resolveStored = resolve;
+    });
+    const { error } = await processMQTTMessage(db, deadLetter.topic, deadLetter.payload, {
+        authenticate: false,
+        receivedAt: deadLetter.receivedAt,
+        onStored: resolveStored,
+    });
+    const storeError = error ? null : await stored;
+    const reason = error ?? (storeError ? `Failed to store message: ${storeError.message}` : null);
+
+    await promisify(recordDeadLetterReplay)(db, deadLetter.id, reason);
+    return { id: deadLetter.id, replayed: !reason, reason };
+}
+
+export default router;
@@ -0,0 +1,128 @@
+import express from 'express';
+import { promisify } from 'util';
+import { validateFirmwareVersion } from '../validators/validator.js';
+import { fetchDevices } from '../database/deviceQueries.js';
+import { fetchFirmwareRelease } from '../database/firmwareQueries.js';
+import { parseVersion, compareVersions } from '../firmware/semver.js';
+import {
+    fetchDeployments,
+    fetchDeploymentById,
+    fetchUpdateJobs
+} from '../database/deploymentQueries.js';
+import { startDeployment } from '../ota/deployments.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+/**
+ * API endpoint to start a deployment of a firmware version. The version must have been uploaded
+ * and not withdrawn. If a target device runs a newer version, the update commands carry the
+ * rollback flag so it accepts the downgrade.
+ *
+ * @route POST /deployments
+ * @param {string} firmwareVersion - The firmware version in major.minor.patch format (e.g., 1.0.2).
+ * @param {string[]} [deviceIDs] - The devices to update. Defaults to every registered device.
+ * @returns JSON object with the new deployment and its jobs, 404 if the firmware version has not
+ *          been uploaded, 409 if it has been withdrawn, or another error.
+ */
+router.post('/', requirePermission('firmware:release'), async (req, res) => {
+    const db = req.app.locals.db;
+    const { firmwareVersion, deviceIDs } = req.body;
+
+    if (!validateFirmwareVersion(firmwareVersion)) {
+        return res.status(400).json({ error: 'Invalid firmware version format. Use major.minor.patch (e.g., 1.0.2)' });
+    }
+    if (deviceIDs !== undefined && (!Array.isArray(deviceIDs) || deviceIDs.length === 0
+        || !deviceIDs.every((deviceID) => typeof deviceID === 'string' && deviceID.length > 0))) {
+        return res.status(400).json({ error: 'deviceIDs must be a non-empty array of device IDs' });
+    }
+
+    try {
+        const release = await promisify(fetchFirmwareRelease)(db, firmwareVersion);
+        if (!release) {
+            return res.status(404).json({ error: `Firmware version ${firmwareVersion} has not been uploaded` });
+        }
+        if (release.status === 'withdrawn') {
+            return res.status(409).json({ error: `Firmware version ${firmwareVersion} has been withdrawn` });
+        }
+
+        const devices = await promisify(fetchDevices)(db);
+        const targets = deviceIDs ?? devices.map((device) => device.deviceID);
+
+        if (targets.length === 0) {
+            return res.status(400).json({ error: 'No devices to deploy to' });
+        }
+
+        const uniqueTargets = [...new Set(targets)];
+        const rollback = devices.some((device) => uniqueTargets.includes(device.deviceID)
+            && parseVersion(device.firmwareVersion) !== null
+            && compareVersions(device.firmwareVersion, firmwareVersion) > 0);
+        const deploymentId = await startDeployment(db, req.app.locals.mqttClient, firmwareVersion, uniqueTargets, { rollback });
+        console.log(`Started deployment ${deploymentId} of firmware ${firmwareVersion} to ${targets.length} device(s)`);
+        recordAudit(req, 'deployment.create', {
+            targetType: 'deployment',
+            targetId: deploymentId,
+            after: { firmwareVersion, deviceIDs: uniqueTargets, rollback },
+        });
+
+        sendDeployment(db, deploymentId, res.status(201));
+    } catch (error) {
+        console.error('Error starting deployment:', error);
+        res.status(500).json({ error: 'Failed to start deployment' });
+    }
+});
+
+/**
+ * API endpoint to list all deployments with a summary of their jobs.
+ *
+ * @route GET /deployments
+ * @returns JSON array of deployments or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDeployments(db, (err, deployments) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(deployments);
+        }
+    });
+});
+
+/**
+ * API endpoint to show the per-device progress of a deployment.
+ *
+ * @route GET /deployments/:id
+ * @returns JSON object with the deployment, a count of jobs per status and the jobs themselves.
+ */
+router.get('/:id', (req, res) => {
+    sendDeployment(req.app.locals.db, req.params.id, res);
+});
+
+/**
+ * Sends a deployment together with its jobs and a per-status summary.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number|string} deploymentId - The deployment ID.
+ * @param {express.Response} res - The response to write to.
+ */
+function sendDeployment(db, deploymentId, res) {
+    fetchDeploymentById(db, deploymentId, (err, deployment) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        if (!deployment) return res.status(404).json({ error: 'Deployment not found' });
+
+        fetchUpdateJobs(db, deployment.id, (err, jobs) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+
+            const summary = {};
+            jobs.forEach((job) => {
+                summary[job.status] = (summary[job.status] || 0) + 1;
+            });
+
+            res.json({ ...deployment, summary, jobs });
+        });
+    });
+}
+
+export default router;
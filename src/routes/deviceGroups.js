@@ -0,0 +1,197 @@
+import express from 'express';
+import {
+    createDeviceGroup,
+    fetchDeviceGroups,
+    fetchDeviceGroupById,
+    fetchDeviceGroupMembers,
+    addDeviceGroupMembers,
+    removeDeviceGroupMember
+} from '../database/deviceQueries.js';
+import { validateDeviceCommand, getDefaultCommandTimeout, sendDeviceCommand } from '../control/deviceCommands.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+/**
+ * API endpoint to create a device group.
+ *
+ * @route POST /device-groups
+ * @param {string} name - The unique name of the group.
+ * @param {string} [description] - An optional description.
+ * @param {string[]} [deviceIDs] - Devices to add to the group right away.
+ * @returns JSON object with the new group or an error.
+ */
+router.post('/', requirePermission('devices:control'), (req, res) => {
+    const db = req.app.locals.db;
+    const { name, description, deviceIDs = [] } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return res.status(400).json({ error: 'Group name is required' });
+    }
+    if (!validateDeviceIDs(deviceIDs)) {
+        return res.status(400).json({ error: 'deviceIDs must be an array of device IDs' });
+    }
+
+    createDeviceGroup(db, name.trim(), description, (err, groupId) => {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(400).json({ error: 'Group name already exists' });
+        }
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+
+        addDeviceGroupMembers(db, groupId, deviceIDs, (err) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            sendDeviceGroup(db, groupId, res.status(201));
+        });
+    });
+});
+
+/**
+ * API endpoint to list all device groups.
+ *
+ * @route GET /device-groups
+ * @returns JSON array of groups with their member count or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDeviceGroups(db, (err, groups) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(groups);
+        }
+    });
+});
+
+/**
+ * API endpoint to fetch a device group and its members.
+ *
+ * @route GET /device-groups/:id
+ * @returns JSON object with the group and its device IDs or an error.
+ */
+router.get('/:id', (req, res) => {
+    sendDeviceGroup(req.app.locals.db, req.params.id, res);
+});
+
+/**
+ * API endpoint to add devices to a device group.
+ *
+ * @route POST /device-groups/:id/devices
+ * @param {string[]} deviceIDs - The devices to add.
+ * @returns JSON object with the updated group or an error.
+ */
+router.post('/:id/devices', requirePermission('devices:control'), (req, res) => {
+    const db = req.app.locals.db;
+    const { deviceIDs } = req.body;
+
+    if (!validateDeviceIDs(deviceIDs) || deviceIDs.length === 0) {
+        return res.status(400).json({ error: 'deviceIDs must be a non-empty array of device IDs' });
+    }
+
+    fetchDeviceGroupById(db, req.params.id, (err, group) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        if (!group) return res.status(404).json({ error: 'Device group not found' });
+
+        addDeviceGroupMembers(db, group.id, deviceIDs, (err) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            sendDeviceGroup(db, group.id, res);
+        });
+    });
+});
+
+/**
+ * API endpoint to remove a device from a device group.
+ *
+ * @route DELETE /device-groups/:id/devices/:deviceID
+ * @returns JSON object with the updated group or an error.
+ */
+router.delete('/:id/devices/:deviceID', requirePermission('devices:control'), (req, res) => {
+    const db = req.app.locals.db;
+    removeDeviceGroupMember(db, req.params.id, req.params.deviceID, (err, removed) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        if (!removed) return res.status(404).json({ error: 'Device is not a member of this group' });
+        sendDeviceGroup(db, req.params.id, res);
+    });
+});
+
+/**
+ * API endpoint to send a command to every device of a device group. Each device receives the
+ * command on its own command topic with its own correlation ID, so the acknowledgements are
+ * tracked per device.
+ *
+ * @route POST /device-groups/:id/commands
+ * @param {string} command - 'set-fan', 'set-heater' or 'set-setpoint', with the parameters
+ *                           accepted by `POST /devices/:id/commands`.
+ * @param {number} [timeoutSeconds] - Time each device has to acknowledge, 1 to 3600. Defaults to
+ *                                    `COMMAND_TIMEOUT_SECONDS` or 30.
+ * @returns JSON object with the group ID and the stored `commands`, or an error.
+ */
+router.post('/:id/commands', requirePermission('devices:control'), (req, res) => {
+    const db = req.app.locals.db;
+    const { timeoutSeconds = getDefaultCommandTimeout() } = req.body;
+    const { command, params, error } = validateDeviceCommand(req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > 3600) {
+        return res.status(400).json({ error: 'timeoutSeconds must be an integer between 1 and 3600' });
+    }
+
+    fetchDeviceGroupById(db, req.params.id, (err, group) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        if (!group) return res.status(404).json({ error: 'Device group not found' });
+
+        fetchDeviceGroupMembers(db, group.id, async (err, deviceIDs) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            if (deviceIDs.length === 0) return res.status(400).json({ error: 'Device group has no members' });
+
+            try {
+                const commands = [];
+                for (const deviceID of deviceIDs) {
+                    commands.push(await sendDeviceCommand(db, req.app.locals.mqttClient, deviceID, command, params, timeoutSeconds));
+                }
+                recordAudit(req, 'device-group.command', {
+                    targetType: 'device-group',
+                    targetId: group.id,
+                    after: { command, params, timeoutSeconds, correlationIds: commands.map((stored) => stored.correlationId) },
+                });
+                res.status(202).json({ groupId: group.id, commands });
+            } catch (error) {
+                console.error('Error sending group command:', error);
+                res.status(500).json({ error: 'Internal Server Error' });
+            }
+        });
+    });
+});
+
+/**
+ * Validates a list of device IDs.
+ *
+ * @param {*} deviceIDs - The value to validate.
+ * @returns {boolean} True if the value is an array of non-empty strings, otherwise false.
+ */
+function validateDeviceIDs(deviceIDs) {
+    return Array.isArray(deviceIDs) && deviceIDs.every((deviceID) => typeof deviceID === 'string' && deviceID.length > 0);
+}
+
+/**
+ * Sends a device group together with the IDs of its members.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number|string} groupId - The group ID.
+ * @param {express.Response} res - The response to write to.
+ */
+function sendDeviceGroup(db, groupId, res) {
+    fetchDeviceGroupById(db, groupId, (err, group) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        if (!group) return res.status(404).json({ error: 'Device group not found' });
+
+        fetchDeviceGroupMembers(db, group.id, (err, deviceIDs) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            res.json({ ...group, deviceIDs });
+        });
+    });
+}
+
+export default router;
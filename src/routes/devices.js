@@ -0,0 +1,495 @@
+import express from 'express';
+import {
+    fetchDevices,
+    fetchDeviceById,
+    updateDeviceMetadata,
+    fetchLastRecordForDevice,
+    upsertDevice,
+    preRegisterDevice,
+    revokeDeviceCredential
+} from '../database/deviceQueries.js';
+import { resolveTargetFirmware } from '../ota/rollouts.js';
+import { checkForUpdate } from '../ota/updateCheck.js';
+import { validateFirmwareVersion, validateDeviceID, DEVICE_ID_REQUIREMENTS } from '../validators/validator.js';
+import { fetchTelemetry } from '../database/telemetryQueries.js';
+import { fetchRetentionBoundary } from '../database/rollupQueries.js';
+import { fetchTelemetryHistory } from '../telemetry/history.js';
+import { parseTimeParam, toSqliteTimestamp, parseInterval } from '../telemetry/timeRange.js';
+import { fetchDeviceCommands, fetchDeviceCommand } from '../database/commandQueries.js';
+import { searchSerialMessages } from '../database/serialMessageQueries.js';
+import { SERIAL_LOG_LEVELS, toFullTextQuery } from '../telemetry/serialLog.js';
+import { validateDeviceCommand, getDefaultCommandTimeout, sendDeviceCommand } from '../control/deviceCommands.js';
+import { requirePermission, verifyDevice } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+/**
+ * Limits of the telemetry endpoint: the default time window, the default and largest page of
+ * raw rows, and the most buckets an aggregated query may produce.
+ */
+const TELEMETRY_DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const TELEMETRY_DEFAULT_LIMIT = 1000;
+const TELEMETRY_MAX_LIMIT = 10000;
+const TELEMETRY_MAX_BUCKETS = 5000;
+
+/**
+ * The default and largest page of the serial log endpoint.
+ */
+const SERIAL_MESSAGES_DEFAULT_LIMIT = 100;
+const SERIAL_MESSAGES_MAX_LIMIT = 1000;
+
+/**
+ * API endpoint to list all registered devices.
+ *
+ * @route GET /devices
+ * @returns JSON array of devices with first/last seen times, firmware version, metadata and status.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDevices(db, (err, devices) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(devices);
+        }
+    });
+});
+
+/**
+ * API endpoint to pre-register a device, so it can be provisioned without a claim code the
+ * first time it calls `POST /provision`.
+ *
+ * @route POST /devices
+ * @param {string} deviceID - The device ID.
+ * @param {string} [name] - Display name of the device.
+ * @param {string} [location] - Where the device is installed.
+ * @param {string} [notes] - Free-form notes.
+ * @returns JSON object with the registered device or an error.
+ */
+router.post('/', requirePermission('devices:control'), (req, res) => {
+    const db = req.app.locals.db;
+    const { deviceID, name, location, notes } = req.body;
+    const metadata = { name, location, notes };
+
+    if (!validateDeviceID(deviceID)) {
+        return res.status(400).json({ error: DEVICE_ID_REQUIREMENTS });
+    }
+    const invalidField = Object.keys(metadata).find(
+        (field) => metadata[field] !== undefined && metadata[field] !== null && typeof metadata[field] !== 'string'
+    );
+    if (invalidField) {
+        return res.status(400).json({ error: `Field '${invalidField}' must be a string or null` });
+    }
+
+    preRegisterDevice(db, deviceID, metadata, (err) => {
+        if (err) {
+            if (err.code === 'SQLITE_CONSTRAINT') {
+                return res.status(409).json({ error: 'Device is already registered' });
+            }
+            return res.status(500).json({ error: 'Internal Server Error' });
+        }
+
+        recordAudit(req, 'device.register', { targetType: 'device', targetId: deviceID, after: metadata });
+        fetchDeviceById(db, deviceID, (err, device) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            res.status(201).json(device);
+        });
+    });
+});
+
+/**
+ * API endpoint to fetch a single device.
+ *
+ * @route GET /devices/:id
+ * @returns JSON object with the device or a 404 error if it is not registered.
+ */
+router.get('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDeviceById(db, req.params.id, (err, device) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (device) {
+            res.json(device);
+        } else {
+            res.status(404).json({ error: 'Device not found' });
+        }
+    });
+});
+
+/**
+ * API endpoint to edit the metadata of a device.
+ *
+ * @route PATCH /devices/:id
+ * @param {string} [name] - Display name of the device.
+ * @param {string} [location] - Where the device is installed.
+ * @param {string} [notes] - Free-form notes.
+ * @returns JSON object with the updated device or an error.
+ */
+router.patch('/:id', requirePermission('devices:control'), (req, res) => {
+    const db = req.app.locals.db;
+    const { name, location, notes } = req.body;
+    const metadata = { name, location, notes };
+
+    const invalidField = Object.keys(metadata).find(
+        (field) => metadata[field] !== undefined && metadata[field] !== null && typeof metadata[field] !== 'string'
+    );
+    if (invalidField) {
+        return res.status(400).json({ error: `Field '${invalidField}' must be a string or null` });
+    }
+
+    updateDeviceMetadata(db, req.params.id, metadata, (err) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+
+        fetchDeviceById(db, req.params.id, (err, device) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            if (!device) return res.status(404).json({ error: 'Device not found' });
+            res.json(device);
+        });
+    });
+});
+
+/**
+ * API endpoint to revoke the credential of a device, e.g. one that was lost or compromised.
+ * Its MQTT messages are quarantined and its update checks rejected until it is provisioned
+ * again with a claim code.
+ *
+ * @route POST /devices/:id/revoke
+ * @returns JSON object with the revoked device or an error.
+ */
+router.post('/:id/revoke', requirePermission('devices:control'), (req, res) => {
+    const db = req.app.locals.db;
+    revokeDeviceCredential(db, req.params.id, (err, changes) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+
+        fetchDeviceById(db, req.params.id, (err, device) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            if (!device) return res.status(404).json({ error: 'Device not found' });
+            if (changes === 0) return res.status(409).json({ error: 'Device has already been revoked' });
+            recordAudit(req, 'device.revoke', { targetType: 'device', targetId: device.deviceID, after: { revokedAt: device.revokedAt } });
+            res.json(device);
+        });
+    });
+});
+
+/**
+ * API endpoint to fetch the last SensorData record of a device.
+ *
+ * @route GET /devices/:id/sensor-data
+ * @returns JSON object with the last record of the device or a 404 error.
+ */
+router.get('/:id/sensor-data', (req, res) => {
+    const db = req.app.locals.db;
+    fetchLastRecordForDevice(db, req.params.id, (err, row) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (row) {
+            res.json(row);
+        } else {
+            res.status(404).json({ error: 'No records found' });
+        }
+    });
+});
+
+/**
+ * API endpoint to fetch the telemetry history of a device.
+ *
+ * Without an interval, raw rows are returned oldest first, one page at a time: pass the
+ * returned `nextCursor` as `cursor` to fetch the next page. Raw rows older than
+ * `rawRetainedFrom` have been removed by the retention policy. With an interval, the rows are
+ * aggregated into buckets with the count and the min, max and average of each reading; older
+ * data is read from the hourly and daily rollups, so these buckets are at least an hour wide.
+ *
+ * @route GET /devices/:id/telemetry
+ * @param {string} [from] - Start of the time range (ISO 8601, UTC if no zone). Defaults to 24 hours before `to`.
+ * @param {string} [to] - End of the time range, exclusive. Defaults to now.
+ * @param {string} [interval] - Bucket size, e.g. '30s', '15m', '1h' or '1d'.
+ * @param {number} [limit] - Raw rows per page, 1 to 10000. Defaults to 1000.
+ * @param {string} [cursor] - The `nextCursor` of the previous page.
+ * @returns JSON object with the time range and either `rows`, `nextCursor` and `rawRetainedFrom`,
+ *          or `buckets`.
+ */
+router.get('/:id/telemetry', async (req, res) => {
+    const db = req.app.locals.db;
+    const { interval, cursor } = req.query;
+
+    const to = req.query.to === undefined ? endOfCurrentSecond() : parseTimeParam(req.query.to);
+    const from = req.query.from === undefined ? to - TELEMETRY_DEFAULT_WINDOW_MS : parseTimeParam(req.query.from);
+    if (to === null || from === null) {
+        return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+    }
+    if (from >= to) {
+        return res.status(400).json({ error: 'from must be earlier than to' });
+    }
+    const range = { from: toSqliteTimestamp(from), to: toSqliteTimestamp(to) };
+
+    if (interval !== undefined) {
+        const intervalSeconds = parseInterval(interval);
+        if (!intervalSeconds) {
+            return res.status(400).json({ error: "interval must be a number followed by s, m, h or d (e.g., '15m')" });
+        }
+        if ((to - from) / (intervalSeconds * 1000) > TELEMETRY_MAX_BUCKETS) {
+            return res.status(400).json({ error: `interval is too small for this time range (at most ${TELEMETRY_MAX_BUCKETS} buckets)` });
+        }
+
+        try {
+            const buckets = await fetchTelemetryHistory(db, req.params.id, { ...range, intervalSeconds });
+            return res.json({ deviceID: req.params.id, ...range, interval, intervalSeconds, buckets });
+        } catch (error) {
+            console.error('Error fetching telemetry history:', error);
+            return res.status(500).json({ error: 'Internal Server Error' });
+        }
+    }
+
+    const limit = req.query.limit === undefined ? TELEMETRY_DEFAULT_LIMIT : Number(req.query.limit);
+    const afterId = cursor === undefined ? null : Number(cursor);
+    if (!Number.isInteger(limit) || limit < 1 || limit > TELEMETRY_MAX_LIMIT) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${TELEMETRY_MAX_LIMIT}` });
+    }
+    if (afterId !== null && (!Number.isInteger(afterId) || afterId < 0)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    fetchRetentionBoundary(db, (err, rawRetainedFrom) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+
+        fetchTelemetry(db, req.params.id, { ...range, afterId, limit }, (err, rows) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            const nextCursor = rows.length === limit ? String(rows[rows.length - 1].id) : null;
+            res.json({ deviceID: req.params.id, ...range, rows, nextCursor, rawRetainedFrom });
+        });
+    });
+});
+
+/**
+ * API endpoint to search the serial log of a device.
+ *
+ * Messages are returned newest first, one page at a time: pass the returned `nextCursor` as
+ * `cursor` to fetch the next (older) page.
+ *
+ * @route GET /devices/:id/serial-messages
+ * @param {string} [q] - Full-text search; only messages containing every word are returned.
+ * @param {string} [level] - Comma-separated levels ('error', 'warn', 'info', 'debug', 'verbose').
+ * @param {string} [from] - Start of the time range (ISO 8601, UTC if no zone). Defaults to the oldest message.
+ * @param {string} [to] - End of the time range, exclusive. Defaults to now.
+ * @param {number} [limit] - Messages per page, 1 to 1000. Defaults to 100.
+ * @param {string} [cursor] - The `nextCursor` of the previous page.
+ * @returns JSON object with the time range, the `messages` and the `nextCursor`, or an error.
+ */
+router.get('/:id/serial-messages', (req, res) => {
+    const db = req.app.locals.db;
+    const { q, level, cursor } = req.query;
+
+    const to = req.query.to === undefined ? endOfCurrentSecond() : parseTimeParam(req.query.to);
+    const from = req.query.from === undefined ? 0 : parseTimeParam(req.query.from);
+    if (to === null || from === null) {
+        return res.status(400).json({ error: 'from and to must be ISO 8601 timestamps' });
+    }
+    if (from >= to) {
+        return res.status(400).json({ error: 'from must be earlier than to' });
+    }
+    const range = { from: toSqliteTimestamp(from), to: toSqliteTimestamp(to) };
+
+    const levels = level === undefined ? null : String(level).split(',').map((entry) => entry.trim());
+    if (levels && !levels.every((entry) => SERIAL_LOG_LEVELS.includes(entry))) {
+        return res.status(400).json({ error: `level must be a comma-separated list of: ${SERIAL_LOG_LEVELS.join(', ')}` });
+    }
+
+    const limit = req.query.limit === undefined ? SERIAL_MESSAGES_DEFAULT_LIMIT : Number(req.query.limit);
+    const beforeId = cursor === undefined ? null : Number(cursor);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SERIAL_MESSAGES_MAX_LIMIT) {
+        return res.status(400).json({ error: `limit must be an integer between 1 and ${SERIAL_MESSAGES_MAX_LIMIT}` });
+    }
+    if (beforeId !== null && (!Number.isInteger(beforeId) || beforeId < 1)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const match = typeof q === 'string' ? toFullTextQuery(q) : null;
+    searchSerialMessages(db, req.params.id, { ...range, match, levels, beforeId, limit }, (err, messages) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        const nextCursor = messages.length === limit ? String(messages[messages.length - 1].id) : null;
+        res.json({ deviceID: req.params.id, ...range, messages, nextCursor });
+    });
+});
+
+/**
+ * API endpoint to check whether a device is online.
+ *
+ * @route GET /devices/:id/status
+ * @returns JSON object with the device status and last seen timestamp or a 404 error.
+ */
+router.get('/:id/status', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDeviceById(db, req.params.id, (err, device) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (device) {
+            res.json({ deviceID: device.deviceID, status: device.status, lastSeen: device.lastSeen });
+        } else {
+            res.status(404).json({ error: 'Device not found' });
+        }
+    });
+});
+
+/**
+ * API endpoint to determine which firmware version a device should run.
+ *
+ * The answer depends on the rollout cohort of the device and falls back to the latest
+ * stable firmware version.
+ *
+ * @route GET /devices/:id/firmware
+ * @returns JSON object with the target firmware version, its source ('rollout', 'rollback' or 'stable'),
+ *          the rollout ID and whether it is a rollback, or a 404 error if no version is available.
+ */
+router.get('/:id/firmware', async (req, res) => {
+    try {
+        const target = await resolveTargetFirmware(req.app.locals.db, req.params.id);
+        if (!target) {
+            return res.status(404).json({ error: 'No firmware version available for this device' });
+        }
+        res.json({ deviceID: req.params.id, ...target });
+    } catch (error) {
+        console.error('Error resolving target firmware:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint for a device to check whether it should install a firmware update.
+ *
+ * The device's target version is reached step by step according to the upgrade rules of the
+ * releases in between (see `checkForUpdate`). Checking also marks the device as seen.
+ *
+ * The device authenticates with its device token (see `verifyDevice`); revoked devices are
+ * rejected.
+ *
+ * @route GET /devices/:id/update
+ * @param {string} current - The firmware version the device is running, e.g. 1.0.2.
+ * @param {string} [hw] - The hardware model of the device.
+ * @returns JSON object with `updateAvailable: false` and a reason, or the version to install with
+ *          its download URL, size, SHA-256 digest and signature.
+ */
+router.get('/:id/update', verifyDevice, async (req, res) => {
+    const db = req.app.locals.db;
+    const { current, hw } = req.query;
+
+    if (!validateFirmwareVersion(current)) {
+        return res.status(400).json({ error: 'current must be a version in major.minor.patch format (e.g., 1.0.2)' });
+    }
+
+    upsertDevice(db, req.params.id, current);
+
+    try {
+        const result = await checkForUpdate(db, req.params.id, current, hw || undefined);
+        res.json({ deviceID: req.params.id, ...result });
+    } catch (error) {
+        console.error('Error checking for firmware update:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to send a command to a device: switch one of its fans or heaters, or change its
+ * temperature and humidity setpoints.
+ *
+ * The command is published to the device's command topic with a correlation ID. Its status
+ * moves to 'acknowledged' or 'failed' when the device answers with an 'ack' message, or to
+ * 'timed-out' if no answer arrives within `timeoutSeconds`.
+ *
+ * @route POST /devices/:id/commands
+ * @param {string} command - 'set-fan', 'set-heater' or 'set-setpoint'.
+ * @param {number} [fan] - The fan to switch (1 or 2), for 'set-fan'.
+ * @param {number} [heater] - The heater to switch (1 to 4), for 'set-heater'.
+ * @param {boolean} [state] - true to switch the fan or heater on, false to switch it off.
+ * @param {number} [temperature] - The temperature setpoint in °C, for 'set-setpoint'.
+ * @param {number} [humidity] - The relative humidity setpoint in %, for 'set-setpoint'.
+ * @param {number} [timeoutSeconds] - Time the device has to acknowledge, 1 to 3600. Defaults to
+ *                                    `COMMAND_TIMEOUT_SECONDS` or 30.
+ * @returns JSON object with the stored command and its `correlationId`, or an error.
+ */
+router.post('/:id/commands', requirePermission('devices:control'), async (req, res) => {
+    const { timeoutSeconds = getDefaultCommandTimeout() } = req.body;
+    const { command, params, error } = validateDeviceCommand(req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (!Number.isInteger(timeoutSeconds) || timeoutSeconds < 1 || timeoutSeconds > 3600) {
+        return res.status(400).json({ error: 'timeoutSeconds must be an integer between 1 and 3600' });
+    }
+
+    try {
+        const stored = await sendDeviceCommand(
+            req.app.locals.db,
+            req.app.locals.mqttClient,
+            req.params.id,
+            command,
+            params,
+            timeoutSeconds
+        );
+        recordAudit(req, 'device.command', {
+            targetType: 'device',
+            targetId: req.params.id,
+            after: { command, params, timeoutSeconds, correlationId: stored.correlationId },
+        });
+        res.status(202).json(stored);
+    } catch (err) {
+        console.error('Error sending device command:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to list the most recent commands sent to a device.
+ *
+ * @route GET /devices/:id/commands
+ * @param {number} [limit] - The number of commands to return, 1 to 200. Defaults to 50.
+ * @returns JSON array with the commands, newest first, or an error.
+ */
+router.get('/:id/commands', (req, res) => {
+    const db = req.app.locals.db;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 200' });
+    }
+
+    fetchDeviceCommands(db, req.params.id, limit, (err, commands) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(commands);
+        }
+    });
+});
+
+/**
+ * API endpoint to fetch a single command sent to a device.
+ *
+ * @route GET /devices/:id/commands/:correlationId
+ * @returns JSON object with the command and its status or a 404 error.
+ */
+router.get('/:id/commands/:correlationId', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDeviceCommand(db, req.params.correlationId, (err, command) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (command && command.deviceID === req.params.id) {
+            res.json(command);
+        } else {
+            res.status(404).json({ error: 'Command not found' });
+        }
+    });
+});
+
+/**
+ * Returns the default end of a time range: the end of the current second, so rows stored with
+ * the current `CURRENT_TIMESTAMP` fall inside the range.
+ *
+ * @returns {number} The time in milliseconds since the epoch.
+ */
+function endOfCurrentSecond() {
+    return Math.floor(Date.now() / 1000) * 1000 + 1000;
+}
+
+export default router;
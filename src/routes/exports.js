@@ -0,0 +1,79 @@
+import express from 'express';
+import { pipeline } from 'stream';
+import {
+    SENSOR_DATA_EXPORT_COLUMNS,
+    SERIAL_MESSAGE_EXPORT_COLUMNS,
+    streamSensorData,
+    streamSerialMessages
+} from '../database/exportQueries.js';
+import { EXPORT_FORMATS } from '../telemetry/exportFormats.js';
+import { parseTimeParam, toSqliteTimestamp } from '../telemetry/timeRange.js';
+
+const router = express.Router();
+
+/**
+ * API endpoint to export sensor readings.
+ *
+ * @route GET /export/sensor-data
+ * @param {string} [deviceID] - Only export readings of this device.
+ * @param {string} [from] - Start of the time range (ISO 8601, UTC if no zone).
+ * @param {string} [to] - End of the time range, exclusive.
+ * @param {string} [format] - 'csv' (default) or 'ndjson'.
+ * @returns A streamed CSV or NDJSON file with one reading per line, oldest first, or an error.
+ */
+router.get('/sensor-data', (req, res) => {
+    sendExport(req, res, 'sensor-data', SENSOR_DATA_EXPORT_COLUMNS, streamSensorData);
+});
+
+/**
+ * API endpoint to export serial messages.
+ *
+ * @route GET /export/serial-messages
+ * @param {string} [deviceID] - Only export messages of this device.
+ * @param {string} [from] - Start of the time range (ISO 8601, UTC if no zone).
+ * @param {string} [to] - End of the time range, exclusive.
+ * @param {string} [format] - 'csv' (default) or 'ndjson'.
+ * @returns A streamed CSV or NDJSON file with one message per line, oldest first, or an error.
+ */
+router.get('/serial-messages', (req, res) => {
+    sendExport(req, res, 'serial-messages', SERIAL_MESSAGE_EXPORT_COLUMNS, streamSerialMessages);
+});
+
+/**
+ * Validates the export filters and streams the matching rows in the requested format.
+ *
+ * @param {express.Request} req - The request with the `deviceID`, `from`, `to` and `format` query.
+ * @param {express.Response} res - The response to stream to.
+ * @param {string} name - The base name of the exported file.
+ * @param {string[]} columns - The exported columns.
+ * @param {function} createStream - Creates the row stream from the database and the filters.
+ */
+function sendExport(req, res, name, columns, createStream) {
+    const { deviceID, format = 'csv' } = req.query;
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const filters = { deviceID };
+    for (const bound of ['from', 'to']) {
+        if (req.query[bound] !== undefined) {
+            const time = parseTimeParam(req.query[bound]);
+            if (time === null) {
+                return res.status(400).json({ error: `${bound} must be an ISO 8601 timestamp` });
+            }
+            filters[bound] = toSqliteTimestamp(time);
+        }
+    }
+
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${name}.${exportFormat.extension}"`);
+
+    pipeline(createStream(req.app.locals.db, filters), exportFormat.createSerializer(columns), res, (err) => {
+        if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            console.error(`Failed to export ${name}:`, err.message);
+        }
+    });
+}
+
+export default router;
@@ -0,0 +1,301 @@
+import express from 'express';
+import { promisify } from 'util';
+import { validateFirmwareVersion } from '../validators/validator.js';
+import {
+    RELEASE_STATUSES,
+    fetchFirmwareMetadata,
+    fetchFirmwareRelease,
+    updateFirmwareRelease,
+    recordFirmwareDownload,
+    fetchDownloadCounts,
+    fetchDeviceDownloads
+} from '../database/firmwareQueries.js';
+import { getFirmwarePath, getFirmwareDownloadUrl } from '../firmware/firmwareStore.js';
+import { getStorage } from '../storage/index.js';
+import { getSigningPublicKey, getKeyId } from '../firmware/integrity.js';
+import { parseRange } from '../firmware/byteRange.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+/**
+ * API endpoint to fetch the public key that firmware signatures can be verified against.
+ *
+ * @route GET /firmware/signing-key
+ * @returns JSON object with the PEM-encoded Ed25519 public key and its key ID, or a 404 error
+ *          if firmware signing is not configured.
+ */
+router.get('/signing-key', (req, res) => {
+    try {
+        const publicKey = getSigningPublicKey();
+        if (!publicKey) {
+            return res.status(404).json({ error: 'Firmware signing is not configured' });
+        }
+        res.json({
+            algorithm: 'ed25519',
+            keyId: getKeyId(publicKey),
+            publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+        });
+    } catch (error) {
+        console.error('Error loading firmware signing key:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to fetch the manifest of a firmware version.
+ *
+ * Devices fetch the manifest before flashing to verify the downloaded image: its size, its
+ * SHA-256 digest and, if the image is signed, the Ed25519 signature over the digest.
+ *
+ * @route GET /firmware/:version/manifest
+ * @returns JSON object with the manifest or a 404 error if the version is unknown.
+ */
+router.get('/:version/manifest', (req, res) => {
+    const db = req.app.locals.db;
+    const { version } = req.params;
+
+    if (!validateFirmwareVersion(version)) {
+        return res.status(400).json({ error: 'Invalid firmware version format. Use major.minor.patch (e.g., 1.0.2)' });
+    }
+
+    fetchFirmwareMetadata(db, version, (err, metadata) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        if (!metadata) return res.status(404).json({ error: 'Firmware version not found' });
+
+        res.json({
+            firmwareVersion: metadata.firmwareVersion,
+            url: getFirmwareDownloadUrl(metadata.firmwareVersion),
+            size: metadata.size,
+            sha256: metadata.sha256,
+            signature: metadata.signature
+                ? { algorithm: 'ed25519', keyId: metadata.signatureKeyId, value: metadata.signature, signedBy: metadata.signedBy }
+                : null,
+            uploadedAt: metadata.createdAt,
+        });
+    });
+});
+
+/**
+ * API endpoint for devices to download a firmware binary.
+ *
+ * Supports single-range `Range` requests (and `If-Range`) so a device can resume an interrupted
+ * download, and `If-None-Match` against an ETag derived from the image's SHA-256 digest. The
+ * digest is also sent in the `X-Checksum-SHA256` header. Every request is recorded for the
+ * download statistics.
+ *
+ * @route GET /firmware/:version/download
+ * @param {string} [deviceID] - The downloading device, as query parameter or `X-Device-ID` header.
+ * @returns The (partial) firmware binary, a 304 if the client's copy is current, or an error.
+ */
+router.get('/:version/download', async (req, res) => {
+    const db = req.app.locals.db;
+    const { version } = req.params;
+    const deviceID = req.query.deviceID || req.get('X-Device-ID') || null;
+
+    if (!validateFirmwareVersion(version)) {
+        return res.status(400).json({ error: 'Invalid firmware version format. Use major.minor.patch (e.g., 1.0.2)' });
+    }
+
+    try {
+        const storage = getStorage();
+        const key = getFirmwarePath(version);
+        if (!(await storage.exists(key))) {
+            return res.status(404).json({ error: 'Firmware version not found' });
+        }
+
+        const { size } = await storage.stat(key);
+        const metadata = await promisify(fetchFirmwareMetadata)(db, version);
+        const etag = metadata ? `"${metadata.sha256}"` : null;
+
+        res.set('Accept-Ranges', 'bytes');
+        res.set('Content-Type', 'application/octet-stream');
+        res.set('Content-Disposition', `attachment; filename="firmware-${version}.bin"`);
+        if (etag) {
+            res.set('ETag', etag);
+            res.set('X-Checksum-SHA256', metadata.sha256);
+        }
+
+        if (etag && matchesEtag(req.get('If-None-Match'), etag)) {
+            return res.status(304).end();
+        }
+
+        // Honour the Range header unless If-Range names another version of the image
+        let range = null;
+        const ifRange = req.get('If-Range');
+        if (req.get('Range') && (!ifRange || ifRange === etag)) {
+            range = parseRange(req.get('Range'), size);
+            if (range === 'unsatisfiable') {
+                res.set('Content-Range', `bytes */${size}`);
+                return res.status(416).json({ error: 'Requested range not satisfiable' });
+            }
+        }
+
+        const start = range ? range.start : 0;
+        const end = range ? range.end : size - 1;
+        if (range) {
+            res.status(206);
+            res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+        }
+        res.set('Content-Length', String(end - start + 1));
+
+        if (req.method === 'HEAD' || size === 0) {
+            return res.end();
+        }
+
+        const stream = await storage.stream(key, { start, end });
+        let bytesSent = 0;
+
+        stream.on('data', (chunk) => {
+            bytesSent += chunk.length;
+        });
+        stream.on('error', (error) => {
+            console.error('Error streaming firmware download:', error);
+            res.destroy(error);
+        });
+        res.on('close', () => {
+            recordFirmwareDownload(db, {
+                firmwareVersion: version,
+                deviceID,
+                rangeStart: start,
+                rangeEnd: end,
+                bytesSent,
+                completed: res.writableFinished && end === size - 1,
+                ip: req.ip,
+            });
+        });
+
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error handling firmware download:', error);
+        res.status(500).json({ error: 'Failed to download firmware' });
+    }
+});
+
+/**
+ * API endpoint to fetch download counts for every firmware version.
+ *
+ * @route GET /firmware/downloads
+ * @returns JSON array with the requests, completed downloads and distinct devices per version.
+ */
+router.get('/downloads', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDownloadCounts(db, (err, counts) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(counts);
+        }
+    });
+});
+
+/**
+ * API endpoint to fetch per-device download counts of a firmware version.
+ *
+ * @route GET /firmware/:version/downloads
+ * @returns JSON array with the requests, completed downloads and bytes sent per device.
+ */
+router.get('/:version/downloads', (req, res) => {
+    const db = req.app.locals.db;
+    fetchDeviceDownloads(db, req.params.version, (err, downloads) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(downloads);
+        }
+    });
+});
+
+/**
+ * API endpoint to fetch a firmware release from the catalog.
+ *
+ * @route GET /firmware/:version
+ * @returns JSON object with the release, its size, digest, signature and download URL, or a
+ *          404 error if the version is not in the catalog.
+ */
+router.get('/:version', (req, res) => {
+    sendRelease(req.app.locals.db, req.params.version, res);
+});
+
+/**
+ * API endpoint to edit a firmware release.
+ *
+ * @route PATCH /firmware/:version
+ * @param {string} [releaseNotes] - The release notes.
+ * @param {string|null} [hardwareModel] - The hardware model the image is built for, or null for any.
+ * @param {string} [status] - 'released', 'deprecated' or 'withdrawn'.
+ * @param {string|null} [minFromVersion] - The oldest version a device may upgrade from directly, or null for any.
+ * @param {boolean} [mandatory] - Whether devices on older versions must install this version before newer ones.
+ * @returns JSON object with the updated release or an error.
+ */
+router.patch('/:version', requirePermission('firmware:release'), (req, res) => {
+    const db = req.app.locals.db;
+    const { releaseNotes, hardwareModel, status, minFromVersion, mandatory } = req.body;
+
+    if (releaseNotes !== undefined && releaseNotes !== null && typeof releaseNotes !== 'string') {
+        return res.status(400).json({ error: 'releaseNotes must be a string or null' });
+    }
+    if (hardwareModel !== undefined && hardwareModel !== null && typeof hardwareModel !== 'string') {
+        return res.status(400).json({ error: 'hardwareModel must be a string or null' });
+    }
+    if (status !== undefined && !RELEASE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${RELEASE_STATUSES.join(', ')}` });
+    }
+    if (minFromVersion !== undefined && minFromVersion !== null && !validateFirmwareVersion(minFromVersion)) {
+        return res.status(400).json({ error: 'minFromVersion must be a version in major.minor.patch format or null' });
+    }
+    if (mandatory !== undefined && typeof mandatory !== 'boolean') {
+        return res.status(400).json({ error: 'mandatory must be a boolean' });
+    }
+
+    const fields = { releaseNotes, hardwareModel, status, minFromVersion, mandatory };
+    fetchFirmwareRelease(db, req.params.version, (err, before) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+
+        updateFirmwareRelease(db, req.params.version, fields, (err) => {
+            if (err) return res.status(500).json({ error: 'Internal Server Error' });
+            if (before) {
+                const after = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+                const changed = Object.fromEntries(Object.keys(after).map((field) => [field, before[field]]));
+                recordAudit(req, 'firmware.update', { targetType: 'firmware', targetId: req.params.version, before: changed, after });
+            }
+            sendRelease(db, req.params.version, res);
+        });
+    });
+});
+
+/**
+ * Sends a firmware release together with its download URL.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} version - The firmware version.
+ * @param {express.Response} res - The response to write to.
+ */
+function sendRelease(db, version, res) {
+    if (!validateFirmwareVersion(version)) {
+        return res.status(400).json({ error: 'Invalid firmware version format. Use major.minor.patch (e.g., 1.0.2)' });
+    }
+
+    fetchFirmwareRelease(db, version, (err, release) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        if (!release) return res.status(404).json({ error: 'Firmware version not found' });
+        res.json({ ...release, url: getFirmwareDownloadUrl(version) });
+    });
+}
+
+/**
+ * Checks whether an `If-None-Match` header matches an ETag.
+ *
+ * @param {string|undefined} header - The `If-None-Match` header.
+ * @param {string} etag - The current ETag, including quotes.
+ * @returns {boolean} True if the header lists the ETag or '*'.
+ */
+function matchesEtag(header, etag) {
+    if (!header) {
+        return false;
+    }
+    return header.split(',').map((tag) => tag.trim()).some((tag) => tag === '*' || tag.replace(/^W\//, '') === etag);
+}
+
+export default router;
@@ -1,8 +1,27 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
+import { promisify } from 'util';
 import authRoutes from './auth.js';
-import verifyToken from '../middleware/auth.js';
+import deviceRoutes from './devices.js';
+import deploymentRoutes from './deployments.js';
+import deviceGroupRoutes from './deviceGroups.js';
+import rolloutRoutes from './rollouts.js';
+import firmwareRoutes from './firmware.js';
+import exportRoutes from './exports.js';
+import retentionRoutes from './retention.js';
+import liveRoutes from './live.js';
+import alertRoutes from './alerts.js';
+import deadLetterRoutes from './deadLetters.js';
+import ingestRoutes from './ingest.js';
+import userRoutes from './users.js';
+import apiKeyRoutes from './apiKeys.js';
+import provisionRoutes from './provision.js';
+import claimCodeRoutes from './claimCodes.js';
+import auditRoutes from './audit.js';
+import verifyToken, { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+import { validateFirmwareVersion } from '../validators/validator.js';
 import {
     fetchLastRecord,
     checkDeviceStatus,
@@ -10,20 +29,101 @@ import {
     setLatestStableFirmwareVersion,
     fetchLatestStableFirmwareVersion
 } from '../database/queries.js';
+import { saveFirmware } from '../firmware/firmwareStore.js';
 import {
-    uploadFileToFirebaseStorage,
-    listFirmwareVersions
-} from '../database/firebaseStorage.js';
+    RELEASE_STATUSES,
+    upsertFirmwareMetadata,
+    fetchFirmwareMetadata,
+    upsertFirmwareRelease,
+    fetchFirmwareReleases
+} from '../database/firmwareQueries.js';
+import {
+    computeSha256,
+    getSigningPrivateKey,
+    getSigningPublicKey,
+    getKeyId,
+    signDigest,
+    verifyDigestSignature
+} from '../firmware/integrity.js';
 
 const router = express.Router();
 const storage = multer.memoryStorage();
 const upload = multer({ storage });
 
-// // Add authentication routes
-// router.use('/auth', authRoutes);
+/**
+ * Endpoints devices call to check for and download firmware updates.
+ */
+const DEVICE_ENDPOINTS = [
+    /^\/devices\/[^/]+\/update$/,
+    /^\/firmware\/signing-key$/,
+    /^\/firmware\/[^/]+\/(manifest|download)$/,
+    /^\/latest-stable-firmware$/,
+];
+
+/**
+ * Tells whether a request is a device's firmware update check or download.
+ *
+ * @param {express.Request} req - The request.
+ * @returns {boolean} True for GET requests to a device endpoint.
+ */
+function isDeviceEndpoint(req) {
+    return req.method === 'GET' && DEVICE_ENDPOINTS.some((pattern) => pattern.test(req.path));
+}
+
+// Add authentication routes
+router.use('/auth', authRoutes);
+
+// Device provisioning routes, which devices call before they have a credential
+router.use('/provision', provisionRoutes);
+
+// Live event stream routes, which authenticate themselves since browsers cannot send the
+// token in a header
+router.use('/live', liveRoutes);
+
+// Middleware to apply verifyToken (a JWT or an API key) to all routes below, except those
+// polled by devices, which have no user account and authenticate with their device token
+// where needed
+router.use((req, res, next) => isDeviceEndpoint(req) ? next() : verifyToken(req, res, next));
+
+// User and role management routes
+router.use('/users', userRoutes);
+
+// API key management routes
+router.use('/api-keys', apiKeyRoutes);
+
+// Per-device registry routes
+router.use('/devices', deviceRoutes);
+
+// Device claim code routes
+router.use('/claim-codes', claimCodeRoutes);
 
-// // Middleware to apply verifyToken to all routes below
-// router.use(verifyToken);
+// OTA deployment routes
+router.use('/deployments', deploymentRoutes);
+
+// Device group and staged rollout routes
+router.use('/device-groups', deviceGroupRoutes);
+router.use('/rollouts', rolloutRoutes);
+
+// Firmware catalog, manifest and download routes
+router.use('/firmware', firmwareRoutes);
+
+// Telemetry and serial log export routes
+router.use('/export', exportRoutes);
+
+// Sensor data retention routes
+router.use('/retention', retentionRoutes);
+
+// Alert rule and alert routes
+router.use('/alerts', alertRoutes);
+
+// Rejected MQTT message routes
+router.use('/dead-letters', deadLetterRoutes);
+
+// Sensor data ingest queue routes
+router.use('/ingest', ingestRoutes);
+
+// Audit log routes
+router.use('/audit', auditRoutes);
 
 /**
  * API endpoint to fetch the last record from the SensorData table.
@@ -78,29 +178,35 @@ router.get('/latest-serial-messages', (req, res) => {
     });
 });
 
-/**
- * Function to validate the format of the firmware version string.
- * 
- * @param {string} version - The firmware version string to validate.
- * @returns {boolean} True if the version format is valid, otherwise false.
- */
-function validateFirmwareVersion(version) {
-    const versionPattern = /^\d+\.\d+\.\d+$/; // Major.minor.patch format (e.g., 1.0.2)
-    return versionPattern.test(version);
-}
-
 /**
  * API endpoint to handle firmware file uploads.
  * 
  * @route POST /firmware-update
  * @param {file} file - The uploaded firmware file (should be a .bin file).
  * @param {string} firmwareVersion - The firmware version string in major.minor.patch format (e.g., 1.0.2).
- * @returns JSON object with a success message or an error if the upload fails.
+ * @param {string} [sha256] - The expected hex SHA-256 digest of the file; the upload is rejected if it differs.
+ * @param {string} [signature] - A base64 Ed25519 signature over the SHA-256 digest, e.g. created by CI.
+ *                               Without it the server signs the image if it holds a signing key.
+ * @param {string} [releaseNotes] - Release notes shown in the firmware catalog.
+ * @param {string} [hardwareModel] - The hardware model the image is built for.
+ * @param {string} [minFromVersion] - The oldest version a device may upgrade from directly.
+ * @param {string} [mandatory] - 'true' if devices on older versions must install this version
+ *                               before any newer one.
+ * @returns JSON object with a success message and the integrity metadata, or an error if the upload fails.
  */
-router.post('/firmware-update', upload.single('firmwareFile'), async (req, res) => {
+router.post('/firmware-update', requirePermission('firmware:upload'), upload.single('firmwareFile'), async (req, res) => {
     try {
+        const db = req.app.locals.db;
         const { file } = req;
-        const { firmwareVersion } = req.body;
+        const {
+            firmwareVersion,
+            sha256: declaredSha256,
+            signature: uploadedSignature,
+            releaseNotes,
+            hardwareModel,
+            minFromVersion,
+            mandatory,
+        } = req.body;
 
         console.log('Received file:', file);
         console.log('Received firmware version:', firmwareVersion);
@@ -112,11 +218,74 @@ router.post('/firmware-update', upload.single('firmwareFile'), async (req, res)
         if (!validateFirmwareVersion(firmwareVersion)) {
             return res.status(400).json({ error: 'Invalid firmware version format. Use major.minor.patch (e.g., 1.0.2)' });
         }
+        if (minFromVersion && !validateFirmwareVersion(minFromVersion)) {
+            return res.status(400).json({ error: 'minFromVersion must be a version in major.minor.patch format' });
+        }
+        if (mandatory !== undefined && mandatory !== 'true' && mandatory !== 'false') {
+            return res.status(400).json({ error: "mandatory must be 'true' or 'false'" });
+        }
 
-        // Upload the file to Firebase storage
-        await uploadFileToFirebaseStorage(file, firmwareVersion);
+        // Hash the file and compare it with the checksum declared by the uploader
+        const sha256 = computeSha256(file.buffer);
+        if (declaredSha256 && declaredSha256.toLowerCase() !== sha256) {
+            return res.status(400).json({ error: 'Checksum mismatch: the uploaded file does not match the declared SHA-256' });
+        }
+
+        // Verify the uploaded signature, or sign the image with the server-held key
+        let signature = null;
+        let signedBy = null;
+        const publicKey = getSigningPublicKey();
+        if (uploadedSignature) {
+            if (!publicKey) {
+                return res.status(400).json({ error: 'Firmware signature verification is not configured' });
+            }
+            if (!verifyDigestSignature(sha256, uploadedSignature, publicKey)) {
+                return res.status(400).json({ error: 'Invalid firmware signature' });
+            }
+            signature = uploadedSignature;
+            signedBy = 'uploader';
+        } else {
+            const privateKey = getSigningPrivateKey();
+            if (privateKey) {
+                signature = signDigest(sha256, privateKey);
+                signedBy = 'server';
+            }
+        }
+
+        // Save the file to the configured firmware storage, replacing an earlier upload of the
+        // same version
+        const previousMetadata = await promisify(fetchFirmwareMetadata)(db, firmwareVersion);
+        const { replacedFiles } = await saveFirmware(file, firmwareVersion);
 
-        res.json({ message: 'Firmware uploaded and saved successfully' });
+        // Record the integrity metadata served in the firmware manifest
+        const metadata = {
+            firmwareVersion,
+            size: file.size,
+            sha256,
+            signature,
+            signatureKeyId: signature ? getKeyId(publicKey) : null,
+            signedBy,
+        };
+        await promisify(upsertFirmwareMetadata)(db, metadata);
+
+        // Add the version to the release catalog
+        await promisify(upsertFirmwareRelease)(db, {
+            firmwareVersion,
+            uploadedBy: req.user ? req.user.username : null,
+            releaseNotes,
+            hardwareModel,
+            minFromVersion: minFromVersion || null,
+            mandatory: mandatory === 'true',
+        });
+
+        const overwritten = Boolean(previousMetadata) || replacedFiles.length > 0;
+        recordAudit(req, overwritten ? 'firmware.overwrite' : 'firmware.upload', {
+            targetType: 'firmware',
+            targetId: firmwareVersion,
+            before: overwritten ? { ...previousMetadata, replacedFiles } : undefined,
+            after: { ...metadata, releaseNotes, hardwareModel, minFromVersion: minFromVersion || null, mandatory: mandatory === 'true' },
+        });
+        res.json({ message: 'Firmware uploaded and saved successfully', ...metadata });
     } catch (error) {
         console.error('Error handling firmware upload:', error);
         res.status(500).json({ error: 'Failed to handle firmware upload' });
@@ -128,11 +297,13 @@ router.post('/firmware-update', upload.single('firmwareFile'), async (req, res)
  * 
  * @route GET /set-stable-latest-version
  * @param {string} firmwareVersion - The firmware version to set as the latest stable version.
+ * @param {string} [rollback] - 'true' to let devices on a newer version downgrade to this version.
  * @returns JSON object with a success message or an error.
  */
-router.get('/set-stable-latest-version', (req, res) => {
+router.get('/set-stable-latest-version', requirePermission('firmware:release'), (req, res) => {
     const db = req.app.locals.db;
     const firmwareVersion = req.query.firmwareVersion;
+    const rollback = req.query.rollback === 'true';
 
     console.log('Setting stable latest version:', firmwareVersion);
 
@@ -143,31 +314,67 @@ router.get('/set-stable-latest-version', (req, res) => {
         });
     }
 
-    setLatestStableFirmwareVersion(db, firmwareVersion, (err, result) => {
-        if (err) {
-            console.error("Error setting stable latest version:", err);
-            return res.status(500).json(err);
-        } else {
-            console.log("Stable latest version set successfully");
-            return res.json(result);
-        }
+    // Read the current stable version first so the audit log shows what was replaced
+    fetchLatestStableFirmwareVersion(db, (err, previous) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+
+        setLatestStableFirmwareVersion(db, firmwareVersion, rollback, (err, result) => {
+            if (err) {
+                console.error("Error setting stable latest version:", err);
+                return res.status(500).json(err);
+            } else {
+                console.log("Stable latest version set successfully");
+                recordAudit(req, 'firmware.promote', {
+                    targetType: 'firmware',
+                    targetId: firmwareVersion,
+                    before: previous ? { firmwareVersion: previous.firmwareVersion, rollback: previous.rollback === 1 } : null,
+                    after: { firmwareVersion, rollback },
+                });
+                return res.json(result);
+            }
+        });
     });
 });
 
 /**
- * API endpoint to fetch the list of firmware versions from Firebase storage.
+ * API endpoint to fetch the firmware release catalog, sorted by semantic version.
  * 
  * @route GET /firmware-versions
- * @returns JSON array with the list of firmware versions or an error.
+ * @param {string} [status] - Only return releases in this status ('released', 'deprecated' or 'withdrawn').
+ * @param {string} [hardwareModel] - Only return releases for this hardware model.
+ * @param {string} [order] - 'desc' for newest first (default) or 'asc'.
+ * @param {number} [limit] - Page size, 1 to 200. Defaults to 50.
+ * @param {number} [offset] - Number of releases to skip. Defaults to 0.
+ * @returns JSON object with the `total` number of matching releases and the requested page of
+ *          `releases`, or an error.
  */
-router.get('/firmware-versions', async (req, res) => {
-    try {
-        const versions = await listFirmwareVersions();
-        res.json(versions);
-    } catch (error) {
-        console.error('Error fetching firmware versions:', error);
-        res.status(500).json({ error: 'Failed to fetch firmware versions' });
+router.get('/firmware-versions', (req, res) => {
+    const db = req.app.locals.db;
+    const { status, hardwareModel, order = 'desc' } = req.query;
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (status !== undefined && !RELEASE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${RELEASE_STATUSES.join(', ')}` });
+    }
+    if (order !== 'asc' && order !== 'desc') {
+        return res.status(400).json({ error: "order must be 'asc' or 'desc'" });
     }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 200' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    fetchFirmwareReleases(db, { status, hardwareModel, order, limit, offset }, (err, result) => {
+        if (err) {
+            console.error('Error fetching firmware versions:', err);
+            res.status(500).json({ error: 'Failed to fetch firmware versions' });
+        } else {
+            res.json({ ...result, limit, offset });
+        }
+    });
 });
 
 /**
@@ -0,0 +1,18 @@
+import express from 'express';
+import { getIngestStats } from '../telemetry/ingestQueue.js';
+
+const router = express.Router();
+
+/**
+ * API endpoint to fetch the counters of the sensor data ingest queue.
+ *
+ * @route GET /ingest/stats
+ * @returns JSON object with the `queueDepth`, whether reading MQTT messages is `paused`, the
+ *          ingest settings, the number of readings `received`, `stored`, `dropped` and `failed`,
+ *          and the number and latency of the written `batches`.
+ */
+router.get('/stats', (req, res) => {
+    res.json(getIngestStats());
+});
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import { subscribeLiveEvents, getLiveEventsSince } from '../live/liveEvents.js';
+import { verifyStreamToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Interval between heartbeat comments, which keep idle connections open through proxies.
+ */
+const HEARTBEAT_INTERVAL_MS = Number(process.env.LIVE_HEARTBEAT_INTERVAL_MS) || 15000;
+
+/**
+ * Most bytes that may wait in a client's send buffer. A client that falls further behind is
+ * disconnected and catches up from the replay buffer when it reconnects.
+ */
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * API endpoint streaming the MQTT messages accepted by the backend as Server-Sent Events.
+ *
+ * Each event is named after its type ('data', 'serial', 'ota-status', ...) and carries
+ * `{ id, type, deviceID, timestamp, payload }`, where `payload` is the accepted message.
+ * A reconnecting client sends the `Last-Event-ID` header (browsers' `EventSource` does this
+ * automatically) and first receives the buffered events it missed; if some of them are no
+ * longer buffered, a 'replay-gap' event is sent before the replay. A heartbeat comment is
+ * sent periodically.
+ *
+ * @route GET /live/events
+ * @param {string} [deviceID] - Comma-separated device IDs to receive events for. Defaults to all.
+ * @param {string} [type] - Comma-separated event types to receive. Defaults to all.
+ * @param {number} [lastEventId] - Alternative to the `Last-Event-ID` header.
+ * @param {string} [access_token] - The access token, for clients that cannot set the
+ *                                  `Authorization` header.
+ * @returns An event stream.
+ */
+router.get('/events', verifyStreamToken, (req, res) => {
+    const deviceIDs = parseList(req.query.deviceID);
+    const types = parseList(req.query.type);
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+
+    if (lastEventId !== undefined && !/^\d+$/.test(lastEventId)) {
+        return res.status(400).json({ error: 'Last-Event-ID must be a non-negative integer' });
+    }
+
+    const matches = (event) => (!deviceIDs || deviceIDs.includes(event.deviceID)) && (!types || types.includes(event.type));
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (res.writableLength > MAX_BUFFERED_BYTES) {
+            console.warn('Disconnecting slow live event client');
+            res.end();
+        }
+    };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.write('retry: 3000\n\n');
+
+    if (lastEventId !== undefined) {
+        const { events, complete } = getLiveEventsSince(Number(lastEventId));
+        if (!complete) {
+            res.write(`event: replay-gap\ndata: ${JSON.stringify({ lastEventId: Number(lastEventId) })}\n\n`);
+        }
+        events.filter(matches).forEach(send);
+    }
+
+    const unsubscribe = subscribeLiveEvents((event) => {
+        if (matches(event)) {
+            send(event);
+        }
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+/**
+ * Parses a comma-separated query parameter.
+ *
+ * @param {string|undefined} value - The parameter.
+ * @returns {string[]|null} The non-empty entries, or null if the parameter is not set.
+ */
+function parseList(value) {
+    if (typeof value !== 'string' || value.length === 0) {
+        return null;
+    }
+    return value.split(',').map((entry) => entry.trim()).filter((entry) => entry.length > 0);
+}
+
+export default router;
@@ -0,0 +1,57 @@
+import express from 'express';
+import { provisionDevice } from '../auth/deviceCredentials.js';
+import { validateDeviceID, DEVICE_ID_REQUIREMENTS } from '../validators/validator.js';
+import rateLimit from '../middleware/rateLimit.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+// Limit claim code guessing per client IP address
+const provisionRateLimit = rateLimit({
+    windowMs: Number(process.env.PROVISION_RATE_LIMIT_WINDOW_MS) || 60000,
+    max: Number(process.env.PROVISION_RATE_LIMIT_MAX) || 10,
+});
+
+/**
+ * API endpoint for a device to obtain its credential. The device presents a claim code, or
+ * nothing if an operator pre-registered it and it has never been provisioned. It then sends
+ * the returned token as `deviceToken` in its MQTT messages and in the `X-Device-Token` header
+ * of its update checks. Provisioning again replaces the previous token.
+ *
+ * @route POST /provision
+ * @param {string} deviceID - The device ID.
+ * @param {string} [claimCode] - The claim code.
+ * @returns JSON object with the `deviceID` and the `deviceToken`, which is only returned once,
+ *          or an error.
+ */
+router.post('/', provisionRateLimit, async (req, res) => {
+    const db = req.app.locals.db;
+    const { deviceID, claimCode } = req.body;
+
+    if (!validateDeviceID(deviceID)) {
+        return res.status(400).json({ error: DEVICE_ID_REQUIREMENTS });
+    }
+    if (claimCode !== undefined && (typeof claimCode !== 'string' || claimCode.length === 0)) {
+        return res.status(400).json({ error: 'claimCode must be a non-empty string' });
+    }
+
+    try {
+        const { deviceToken, error } = await provisionDevice(db, deviceID, claimCode);
+        if (error) {
+            return res.status(403).json({ error });
+        }
+        console.log('Provisioned device:', deviceID);
+        recordAudit(req, 'device.provision', {
+            actor: `device:${deviceID}`,
+            targetType: 'device',
+            targetId: deviceID,
+            after: { withClaimCode: claimCode !== undefined },
+        });
+        res.status(201).json({ deviceID, deviceToken });
+    } catch (err) {
+        console.error('Error provisioning device:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+export default router;
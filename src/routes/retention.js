@@ -0,0 +1,55 @@
+import express from 'express';
+import { fetchRetentionRuns } from '../database/rollupQueries.js';
+import { getRetentionDays, runRetention } from '../telemetry/retention.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * API endpoint to list the most recent retention runs.
+ *
+ * @route GET /retention/runs
+ * @param {number} [limit] - The number of runs to return, 1 to 200. Defaults to 20.
+ * @returns JSON object with the configured `retentionDays` and the `runs`, newest first, or an error.
+ */
+router.get('/runs', (req, res) => {
+    const db = req.app.locals.db;
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return res.status(400).json({ error: 'limit must be an integer between 1 and 200' });
+    }
+
+    fetchRetentionRuns(db, limit, (err, runs) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json({ retentionDays: getRetentionDays(), runs });
+        }
+    });
+});
+
+/**
+ * API endpoint to apply the retention policy right away.
+ *
+ * @route POST /retention/run
+ * @param {number} [retentionDays] - Days of raw sensor data to keep. Defaults to `SENSOR_DATA_RETENTION_DAYS`.
+ * @returns JSON object with the recorded run or an error.
+ */
+router.post('/run', requirePermission('operations:manage'), async (req, res) => {
+    const { retentionDays = getRetentionDays() } = req.body;
+
+    if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+        return res.status(400).json({ error: 'retentionDays must be a positive integer (or set SENSOR_DATA_RETENTION_DAYS)' });
+    }
+
+    try {
+        const run = await runRetention(req.app.locals.db, retentionDays);
+        res.status(run.error ? 500 : 200).json(run);
+    } catch (error) {
+        console.error('Error applying retention policy:', error);
+        res.status(500).json({ error: 'Failed to apply retention policy' });
+    }
+});
+
+export default router;
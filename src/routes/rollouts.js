@@ -0,0 +1,250 @@
+import express from 'express';
+import { promisify } from 'util';
+import { validateFirmwareVersion } from '../validators/validator.js';
+import { fetchDeviceGroupById } from '../database/deviceQueries.js';
+import { fetchFirmwareRelease } from '../database/firmwareQueries.js';
+import { fetchRolloutPlans, fetchRolloutPlanById } from '../database/rolloutQueries.js';
+import {
+    createRollout,
+    advanceRollout,
+    pauseRollout,
+    resumeRollout,
+    abortRollout,
+    rollbackRollout,
+    getStageStats,
+    getRolloutHealth
+} from '../ota/rollouts.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+/**
+ * Validates the stages of a rollout plan.
+ * Stages must be strictly increasing whole percentages between 1 and 100, ending at 100.
+ *
+ * @param {number[]} stages - The stage percentages.
+ * @returns {boolean} True if the stages are valid, otherwise false.
+ */
+function validateStages(stages) {
+    return Array.isArray(stages)
+        && stages.length > 0
+        && stages.every((stage, index) => Number.isInteger(stage) && stage >= 1 && stage <= 100
+            && (index === 0 || stage > stages[index - 1]))
+        && stages[stages.length - 1] === 100;
+}
+
+/**
+ * Checks that a firmware version was uploaded and has not been withdrawn, so devices sent to it
+ * can download it.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} field - The request field holding the version, for the error message.
+ * @param {string} firmwareVersion - The firmware version.
+ * @returns {Promise<string|null>} - An error message, or null if the version can be rolled out.
+ */
+async function checkRolloutVersion(db, field, firmwareVersion) {
+    const release = await promisify(fetchFirmwareRelease)(db, firmwareVersion);
+    if (!release) {
+        return `${field} ${firmwareVersion} has not been uploaded`;
+    }
+    if (release.status === 'withdrawn') {
+        return `${field} ${firmwareVersion} has been withdrawn`;
+    }
+    return null;
+}
+
+/**
+ * API endpoint to create a rollout plan and start its first stage. The firmware version and
+ * rollback version must have been uploaded and not withdrawn.
+ *
+ * @route POST /rollouts
+ * @param {string} firmwareVersion - The firmware version in major.minor.patch format (e.g., 1.0.2).
+ * @param {number} [groupId] - Restrict the rollout to a device group. Defaults to the whole fleet.
+ * @param {number[]} [stages] - Cumulative device percentages per stage, e.g. [5, 25, 100]. Defaults to [100].
+ * @param {boolean} [autoAdvance] - Advance stages automatically. Defaults to false.
+ * @param {number} [failureThreshold] - Highest failure rate (0-1) at which a stage may advance. Defaults to 0.05.
+ * @param {number} [soakMinutes] - Minimum minutes a stage runs before advancing automatically. Defaults to 0.
+ * @param {boolean} [rollback] - Allow devices on a newer version to downgrade to this one. Defaults to false.
+ * @param {number|null} [rollbackThreshold] - Share (0-1) of unhealthy updated devices above which the
+ *                                            rollout is rolled back automatically. Defaults to null (off).
+ * @param {number} [healthTimeoutMinutes] - Minutes an updated device may stay silent or keep reporting
+ *                                          its old version before it counts as unhealthy. Defaults to 30.
+ * @param {string|null} [rollbackVersion] - The previous good version to roll back to. Defaults to the
+ *                                          latest stable firmware version.
+ * @returns JSON object with the new rollout plan or an error.
+ */
+router.post('/', requirePermission('firmware:release'), async (req, res) => {
+    const db = req.app.locals.db;
+    const {
+        firmwareVersion,
+        groupId = null,
+        stages = [100],
+        autoAdvance = false,
+        failureThreshold = 0.05,
+        soakMinutes = 0,
+        rollback = false,
+        rollbackThreshold = null,
+        healthTimeoutMinutes = 30,
+        rollbackVersion,
+    } = req.body;
+
+    if (!validateFirmwareVersion(firmwareVersion)) {
+        return res.status(400).json({ error: 'Invalid firmware version format. Use major.minor.patch (e.g., 1.0.2)' });
+    }
+    if (!validateStages(stages)) {
+        return res.status(400).json({ error: 'Stages must be increasing whole percentages between 1 and 100, ending at 100' });
+    }
+    if (typeof autoAdvance !== 'boolean') {
+        return res.status(400).json({ error: 'autoAdvance must be a boolean' });
+    }
+    if (typeof failureThreshold !== 'number' || failureThreshold < 0 || failureThreshold > 1) {
+        return res.status(400).json({ error: 'failureThreshold must be a number between 0 and 1' });
+    }
+    if (!Number.isInteger(soakMinutes) || soakMinutes < 0) {
+        return res.status(400).json({ error: 'soakMinutes must be a non-negative integer' });
+    }
+    if (typeof rollback !== 'boolean') {
+        return res.status(400).json({ error: 'rollback must be a boolean' });
+    }
+    if (rollbackThreshold !== null && (typeof rollbackThreshold !== 'number' || rollbackThreshold < 0 || rollbackThreshold > 1)) {
+        return res.status(400).json({ error: 'rollbackThreshold must be a number between 0 and 1 or null' });
+    }
+    if (!Number.isInteger(healthTimeoutMinutes) || healthTimeoutMinutes < 1) {
+        return res.status(400).json({ error: 'healthTimeoutMinutes must be a positive integer' });
+    }
+    if (rollbackVersion !== undefined && rollbackVersion !== null && !validateFirmwareVersion(rollbackVersion)) {
+        return res.status(400).json({ error: 'rollbackVersion must be a version in major.minor.patch format or null' });
+    }
+
+    try {
+        if (groupId !== null && !(await promisify(fetchDeviceGroupById)(db, groupId))) {
+            return res.status(400).json({ error: 'Device group not found' });
+        }
+        const versionError = await checkRolloutVersion(db, 'firmwareVersion', firmwareVersion)
+            ?? (rollbackVersion ? await checkRolloutVersion(db, 'rollbackVersion', rollbackVersion) : null);
+        if (versionError) {
+            return res.status(400).json({ error: versionError });
+        }
+
+        const planId = await createRollout(db, req.app.locals.mqttClient, {
+            firmwareVersion, groupId, stages, autoAdvance, failureThreshold, soakMinutes, rollback,
+            rollbackThreshold, healthTimeoutMinutes, rollbackVersion,
+        });
+        console.log(`Created rollout ${planId} of firmware ${firmwareVersion}`);
+        recordAudit(req, 'rollout.create', {
+            targetType: 'rollout',
+            targetId: planId,
+            after: await promisify(fetchRolloutPlanById)(db, planId),
+        });
+
+        await sendRollout(db, planId, res.status(201));
+    } catch (error) {
+        console.error('Error creating rollout:', error);
+        res.status(500).json({ error: 'Failed to create rollout' });
+    }
+});
+
+/**
+ * API endpoint to list all rollout plans.
+ *
+ * @route GET /rollouts
+ * @returns JSON array of rollout plans or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    fetchRolloutPlans(db, null, (err, plans) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else {
+            res.json(plans);
+        }
+    });
+});
+
+/**
+ * API endpoint to fetch a rollout plan with the progress of its current stage.
+ *
+ * @route GET /rollouts/:id
+ * @returns JSON object with the rollout plan, its stage statistics and the health of the devices
+ *          it updated, or an error.
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        await sendRollout(req.app.locals.db, req.params.id, res);
+    } catch (error) {
+        console.error('Error fetching rollout:', error);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * Operator actions on a rollout plan, with the statuses each action is allowed from.
+ */
+const rolloutActions = {
+    advance: { from: ['active'], run: (db, mqttClient, plan) => advanceRollout(db, mqttClient, plan) },
+    pause: { from: ['active'], run: (db, mqttClient, plan) => pauseRollout(db, plan) },
+    resume: { from: ['paused'], run: (db, mqttClient, plan) => resumeRollout(db, mqttClient, plan) },
+    abort: { from: ['active', 'paused'], run: (db, mqttClient, plan) => abortRollout(db, plan) },
+    rollback: { from: ['active', 'paused'], run: (db, mqttClient, plan) => rollbackRollout(db, mqttClient, plan) },
+};
+
+/**
+ * API endpoints to advance, pause, resume, abort or roll back a rollout plan.
+ *
+ * @route POST /rollouts/:id/advance
+ * @route POST /rollouts/:id/pause
+ * @route POST /rollouts/:id/resume
+ * @route POST /rollouts/:id/abort
+ * @route POST /rollouts/:id/rollback
+ * @returns JSON object with the updated rollout plan or an error.
+ */
+router.post('/:id/:action(advance|pause|resume|abort|rollback)', requirePermission('firmware:release'), async (req, res) => {
+    const db = req.app.locals.db;
+    const action = rolloutActions[req.params.action];
+
+    try {
+        const plan = await promisify(fetchRolloutPlanById)(db, req.params.id);
+        if (!plan) {
+            return res.status(404).json({ error: 'Rollout not found' });
+        }
+        if (!action.from.includes(plan.status)) {
+            return res.status(409).json({ error: `Cannot ${req.params.action} a rollout that is ${plan.status}` });
+        }
+
+        await action.run(db, req.app.locals.mqttClient, plan);
+        console.log(`Rollout ${plan.id}: ${req.params.action}`);
+        const updated = await promisify(fetchRolloutPlanById)(db, plan.id);
+        recordAudit(req, `rollout.${req.params.action}`, {
+            targetType: 'rollout',
+            targetId: plan.id,
+            before: { status: plan.status, currentStage: plan.currentStage },
+            after: { status: updated.status, currentStage: updated.currentStage },
+        });
+
+        await sendRollout(db, plan.id, res);
+    } catch (error) {
+        console.error(`Error during rollout ${req.params.action}:`, error);
+        res.status(500).json({ error: `Failed to ${req.params.action} rollout` });
+    }
+});
+
+/**
+ * Sends a rollout plan together with the statistics of its current stage and its health.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number|string} planId - The rollout plan ID.
+ * @param {express.Response} res - The response to write to.
+ */
+async function sendRollout(db, planId, res) {
+    const plan = await promisify(fetchRolloutPlanById)(db, planId);
+    if (!plan) {
+        return res.status(404).json({ error: 'Rollout not found' });
+    }
+
+    const stageStats = await getStageStats(db, plan);
+    const health = await getRolloutHealth(db, plan);
+    res.json({ ...plan, currentPercentage: plan.stages[plan.currentStage], stageStats, health });
+}
+
+export default router;
@@ -0,0 +1,199 @@
+import express from 'express';
+import { promisify } from 'util';
+import {
+    validateUsername,
+    validatePassword,
+    USERNAME_REQUIREMENTS,
+    PASSWORD_REQUIREMENTS
+} from '../validators/validator.js';
+import {
+    createUser,
+    fetchUsers,
+    fetchUserSummary,
+    countUsers,
+    updateUserRole,
+    updateUserPassword,
+    deleteUser
+} from '../database/userQueries.js';
+import { hashPassword } from '../auth/passwords.js';
+import { endUserSessions } from '../auth/sessions.js';
+import { ROLES } from '../auth/roles.js';
+import { requirePermission } from '../middleware/auth.js';
+import { recordAudit } from '../audit/auditLog.js';
+
+const router = express.Router();
+
+// Only admins manage users
+router.use(requirePermission('users:manage'));
+
+/**
+ * API endpoint to list the users and their roles.
+ *
+ * @route GET /users
+ * @returns JSON array of users, without password hashes, or an error.
+ */
+router.get('/', (req, res) => {
+    const db = req.app.locals.db;
+    fetchUsers(db, (err, users) => {
+        if (err) return res.status(500).json({ error: 'Internal Server Error' });
+        res.json(users);
+    });
+});
+
+/**
+ * API endpoint to create a user.
+ *
+ * @route POST /users
+ * @param {string} username - The username.
+ * @param {string} password - The initial password.
+ * @param {string} [role] - The role ('admin', 'release-manager', 'operator' or 'viewer').
+ *                          Defaults to 'viewer'.
+ * @returns JSON object with the new user or an error.
+ */
+router.post('/', async (req, res) => {
+    const db = req.app.locals.db;
+    const { username, password, role = 'viewer' } = req.body;
+
+    if (!validateUsername(username)) {
+        return res.status(400).json({ error: USERNAME_REQUIREMENTS });
+    }
+    if (!validatePassword(password)) {
+        return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    try {
+        const userId = await promisify(createUser)(db, username, await hashPassword(password), role);
+        const user = await promisify(fetchUserSummary)(db, userId);
+        recordAudit(req, 'user.create', { targetType: 'user', targetId: userId, after: user });
+        res.status(201).json(user);
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to fetch a single user.
+ *
+ * @route GET /users/:id
+ * @returns JSON object with the user or a 404 error.
+ */
+router.get('/:id', (req, res) => {
+    const db = req.app.locals.db;
+    fetchUserSummary(db, req.params.id, (err, user) => {
+        if (err) {
+            res.status(500).json({ error: 'Internal Server Error' });
+        } else if (user) {
+            res.json(user);
+        } else {
+            res.status(404).json({ error: 'User not found' });
+        }
+    });
+});
+
+/**
+ * API endpoint to change the role of a user or reset their password. Either ends all their
+ * sessions, so they log in again to get a token with their new role. The last admin cannot be
+ * demoted.
+ *
+ * @route PATCH /users/:id
+ * @param {string} [role] - The new role.
+ * @param {string} [password] - The new password.
+ * @returns JSON object with the updated user or an error.
+ */
+router.patch('/:id', async (req, res) => {
+    const db = req.app.locals.db;
+    const { role, password } = req.body;
+
+    if (role === undefined && password === undefined) {
+        return res.status(400).json({ error: 'Provide a role or password to update' });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (password !== undefined && !validatePassword(password)) {
+        return res.status(400).json({ error: PASSWORD_REQUIREMENTS });
+    }
+
+    try {
+        const user = await promisify(fetchUserSummary)(db, req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (role !== undefined && role !== 'admin' && await isLastAdmin(db, user)) {
+            return res.status(409).json({ error: 'Cannot demote the last admin' });
+        }
+
+        if (role !== undefined && role !== user.role) {
+            await promisify(updateUserRole)(db, user.id, role);
+            await endUserSessions(db, user.id, 'role-change');
+        }
+        if (password !== undefined) {
+            await promisify(updateUserPassword)(db, user.id, await hashPassword(password));
+            await endUserSessions(db, user.id, 'password-change');
+        }
+
+        // Passwords are never recorded, only that one was reset
+        const updated = await promisify(fetchUserSummary)(db, user.id);
+        recordAudit(req, 'user.update', {
+            targetType: 'user',
+            targetId: user.id,
+            before: { role: user.role },
+            after: { role: updated.role, passwordReset: password !== undefined },
+        });
+        res.json(updated);
+    } catch (err) {
+        console.error('Error updating user:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * API endpoint to delete a user and end their sessions. Admins cannot delete themselves, and
+ * the last admin cannot be deleted.
+ *
+ * @route DELETE /users/:id
+ * @returns 204 No Content or an error.
+ */
+router.delete('/:id', async (req, res) => {
+    const db = req.app.locals.db;
+
+    try {
+        const user = await promisify(fetchUserSummary)(db, req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.id === req.user.id) {
+            return res.status(409).json({ error: 'Cannot delete your own user' });
+        }
+        if (await isLastAdmin(db, user)) {
+            return res.status(409).json({ error: 'Cannot delete the last admin' });
+        }
+
+        await endUserSessions(db, user.id, 'user-deleted');
+        await promisify(deleteUser)(db, user.id);
+        recordAudit(req, 'user.delete', { targetType: 'user', targetId: user.id, before: user });
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error deleting user:', err);
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+/**
+ * Tells whether a user is the only admin.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} user - The user.
+ * @returns {Promise<boolean>} - True if the user is an admin and there is no other.
+ */
+async function isLastAdmin(db, user) {
+    return user.role === 'admin' && await promisify(countUsers)(db, 'admin') <= 1;
+}
+
+export default router;
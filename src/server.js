@@ -1,8 +1,29 @@
 import app from '../app.js';
+import { closeIngestQueue } from './telemetry/ingestQueue.js';
 
 /* Start the server */
 const port = process.env.PORT || 3002
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`App is listening on port ${port}`)
-  })
\ No newline at end of file
+  })
+
+/**
+ * Stops taking requests and MQTT messages, stores the queued sensor readings and exits.
+ *
+ * @param {string} signal - The signal that ended the process.
+ */
+async function shutDown(signal) {
+    console.log(`Received ${signal}, shutting down`);
+    server.close();
+    app.locals.mqttClient.end();
+    try {
+        await closeIngestQueue();
+    } catch (err) {
+        console.error('Failed to store queued sensor data:', err.message);
+    }
+    app.locals.db.close(() => process.exit(0));
+}
+
+process.once('SIGINT', shutDown);
+process.once('SIGTERM', shutDown);
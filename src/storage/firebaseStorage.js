@@ -0,0 +1,72 @@
+import firebaseAdmin from 'firebase-admin';
+
+/**
+ * Creates a firmware storage backend on a Firebase Storage bucket.
+ *
+ * The Firebase Admin SDK is initialized on first use rather than at import time, so the
+ * application can start without Firebase credentials when another backend is configured.
+ *
+ * @param {Object} options - The backend options.
+ * @param {string} options.serviceAccount - The base64-encoded service account JSON.
+ * @param {string} options.bucketName - The Firebase storage bucket ID.
+ * @returns {Object} The storage backend.
+ */
+export function createFirebaseStorage({ serviceAccount, bucketName }) {
+    let bucket = null;
+
+    function getBucket() {
+        if (!bucket) {
+            if (!serviceAccount) {
+                throw new Error('FIREBASE_SERVICE_ACCOUNT must be set to use Firebase storage');
+            }
+
+            const credentials = JSON.parse(Buffer.from(serviceAccount, 'base64').toString('utf-8'));
+            if (firebaseAdmin.apps.length === 0) {
+                firebaseAdmin.initializeApp({
+                    credential: firebaseAdmin.credential.cert(credentials),
+                    storageBucket: bucketName,
+                });
+            }
+            bucket = firebaseAdmin.storage().bucket(bucketName);
+        }
+        return bucket;
+    }
+
+    return {
+        name: 'firebase',
+
+        async put(key, buffer, { contentType } = {}) {
+            await getBucket().file(key).save(buffer, { metadata: { contentType } });
+        },
+
+        async get(key) {
+            const [buffer] = await getBucket().file(key).download();
+            return buffer;
+        },
+
+        async stream(key, { start, end } = {}) {
+            return getBucket().file(key).createReadStream({ start, end });
+        },
+
+        async list(prefix = '') {
+            const [files] = await getBucket().getFiles({ prefix });
+            return files.map((file) => file.name);
+        },
+
+        async delete(key) {
+            await getBucket().file(key).delete();
+        },
+
+        async stat(key) {
+            const [metadata] = await getBucket().file(key).getMetadata();
+            return { size: Number(metadata.size) };
+        },
+
+        async exists(key) {
+            const [exists] = await getBucket().file(key).exists();
+            return exists;
+        },
+    };
+}
+
+export default createFirebaseStorage;
@@ -0,0 +1,44 @@
+import { createFirebaseStorage } from './firebaseStorage.js';
+import { createLocalDiskStorage } from './localDiskStorage.js';
+
+let storage = null;
+
+/**
+ * Returns the configured firmware storage backend.
+ *
+ * The backend is chosen by `STORAGE_BACKEND` ('firebase' or 'local'). When it is unset,
+ * Firebase is used if `FIREBASE_SERVICE_ACCOUNT` is set and the local disk otherwise.
+ *
+ * Every backend implements the same asynchronous interface:
+ * - `put(key, buffer, { contentType })` stores an object.
+ * - `get(key)` resolves to the object's contents as a Buffer.
+ * - `stream(key, { start, end })` resolves to a readable stream of the (partial) object;
+ *   `end` is inclusive.
+ * - `list(prefix)` resolves to the keys of all objects starting with the prefix.
+ * - `stat(key)` resolves to `{ size }`, the object's size in bytes.
+ * - `delete(key)` removes an object.
+ * - `exists(key)` resolves to true if the object exists.
+ *
+ * @returns {Object} The storage backend.
+ */
+export function getStorage() {
+    if (!storage) {
+        const backend = process.env.STORAGE_BACKEND || (process.env.FIREBASE_SERVICE_ACCOUNT ? 'firebase' : 'local');
+
+        if (backend === 'firebase') {
+            storage = createFirebaseStorage({
+                serviceAccount: process.env.FIREBASE_SERVICE_ACCOUNT,
+                bucketName: process.env.FIREBASE_STORAGE_BUCKET || 'bee-encubator-ota-v1.appspot.com',
+            });
+        } else if (backend === 'local') {
+            storage = createLocalDiskStorage({ root: process.env.LOCAL_STORAGE_DIR || 'uploads' });
+        } else {
+            throw new Error(`Unknown storage backend: ${backend}`);
+        }
+
+        console.log(`Using ${storage.name} firmware storage`);
+    }
+    return storage;
+}
+
+export default getStorage;
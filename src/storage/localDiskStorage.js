@@ -0,0 +1,93 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+/**
+ * Creates a firmware storage backend on the local filesystem.
+ *
+ * Object keys such as 'firmware/1.0.0/firmware.bin' map to files below the root directory.
+ *
+ * @param {Object} options - The backend options.
+ * @param {string} options.root - The directory the files are stored in.
+ * @returns {Object} The storage backend.
+ */
+export function createLocalDiskStorage({ root }) {
+    const rootDir = path.resolve(root);
+
+    // Resolve a key to a path, refusing keys that would escape the root directory
+    function resolveKey(key) {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    // Recursively collect the keys of all files below a directory
+    async function walk(dir) {
+        let entries;
+        try {
+            entries = await fsPromises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const keys = [];
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                keys.push(...await walk(entryPath));
+            } else if (entry.isFile()) {
+                keys.push(path.relative(rootDir, entryPath).split(path.sep).join('/'));
+            }
+        }
+        return keys;
+    }
+
+    return {
+        name: 'local',
+
+        async put(key, buffer) {
+            const filePath = resolveKey(key);
+            await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+            await fsPromises.writeFile(filePath, buffer);
+        },
+
+        async get(key) {
+            return fsPromises.readFile(resolveKey(key));
+        },
+
+        async stream(key, { start, end } = {}) {
+            const filePath = resolveKey(key);
+            await fsPromises.access(filePath);
+            return fs.createReadStream(filePath, { start, end });
+        },
+
+        async list(prefix = '') {
+            const keys = await walk(rootDir);
+            return keys.filter((key) => key.startsWith(prefix)).sort();
+        },
+
+        async delete(key) {
+            await fsPromises.unlink(resolveKey(key));
+        },
+
+        async stat(key) {
+            const stats = await fsPromises.stat(resolveKey(key));
+            return { size: stats.size };
+        },
+
+        async exists(key) {
+            try {
+                const stats = await fsPromises.stat(resolveKey(key));
+                return stats.isFile();
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+    };
+}
+
+export default createLocalDiskStorage;
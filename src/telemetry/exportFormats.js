@@ -0,0 +1,64 @@
+import { Transform } from 'stream';
+
+/**
+ * Export formats with their content type, file extension and serializer factory.
+ */
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', createSerializer: createCsvSerializer },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson', createSerializer: createNdjsonSerializer },
+};
+
+/**
+ * Creates a stream that turns row objects into CSV lines, starting with a header line.
+ *
+ * @param {string[]} columns - The columns to write, in order.
+ * @returns {Transform} The serializer stream.
+ */
+function createCsvSerializer(columns) {
+    let headerWritten = false;
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+            let output = '';
+            if (!headerWritten) {
+                output += `${columns.map(escapeCsvField).join(',')}\r\n`;
+                headerWritten = true;
+            }
+            output += `${columns.map((column) => escapeCsvField(row[column])).join(',')}\r\n`;
+            callback(null, output);
+        },
+        flush(callback) {
+            callback(null, headerWritten ? '' : `${columns.map(escapeCsvField).join(',')}\r\n`);
+        },
+    });
+}
+
+/**
+ * Creates a stream that turns row objects into newline-delimited JSON.
+ *
+ * @param {string[]} columns - The columns to write, in order.
+ * @returns {Transform} The serializer stream.
+ */
+function createNdjsonSerializer(columns) {
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+            const record = Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
+            callback(null, `${JSON.stringify(record)}\n`);
+        },
+    });
+}
+
+/**
+ * Escapes a value for a CSV field (RFC 4180). Null values become empty fields.
+ *
+ * @param {*} value - The value.
+ * @returns {string} The field.
+ */
+function escapeCsvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,83 @@
+import { promisify } from 'util';
+import { TELEMETRY_FIELDS, fetchTelemetryBuckets } from '../database/telemetryQueries.js';
+import { fetchRollupBuckets, fetchRetentionBoundary } from '../database/rollupQueries.js';
+
+/**
+ * Aggregates the telemetry of a device within a time range into fixed-size buckets.
+ *
+ * The part of the range before the retention boundary is read from the rollups (daily ones if
+ * the interval is a whole number of days, hourly ones otherwise) and the rest from the raw
+ * `SensorData` rows. A bucket spanning the boundary combines both.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {string} deviceID - The device ID.
+ * @param {Object} options - The `from` and `to` SQLite timestamps and the `intervalSeconds`.
+ * @returns {Promise<Object[]>} - The buckets, oldest first, each with its `bucketStart`, the
+ *                                row `count` and `{ min, max, avg }` per reading.
+ */
+export async function fetchTelemetryHistory(db, deviceID, options) {
+    const boundary = await promisify(fetchRetentionBoundary)(db);
+    const parts = [];
+
+    if (boundary && options.from < boundary) {
+        const granularity = options.intervalSeconds % 86400 === 0 ? 'daily' : 'hourly';
+        const to = options.to < boundary ? options.to : boundary;
+        parts.push(await promisify(fetchRollupBuckets)(db, granularity, deviceID, { ...options, to }));
+    }
+    if (!boundary || options.to > boundary) {
+        const from = boundary && boundary > options.from ? boundary : options.from;
+        parts.push(await promisify(fetchTelemetryBuckets)(db, deviceID, { ...options, from }));
+    }
+
+    const buckets = new Map();
+    for (const row of parts.flat()) {
+        const existing = buckets.get(row.bucketStart);
+        buckets.set(row.bucketStart, existing ? mergeBucketRows(existing, row) : row);
+    }
+
+    return [...buckets.values()]
+        .sort((a, b) => (a.bucketStart < b.bucketStart ? -1 : 1))
+        .map(toBucket);
+}
+
+/**
+ * Merges two aggregated rows of the same bucket.
+ *
+ * @param {Object} a - The first row.
+ * @param {Object} b - The second row.
+ * @returns {Object} The combined row.
+ */
+function mergeBucketRows(a, b) {
+    const merged = { bucketStart: a.bucketStart, count: a.count + b.count };
+    for (const field of TELEMETRY_FIELDS) {
+        const min = [a[`${field}Min`], b[`${field}Min`]].filter((value) => value !== null);
+        const max = [a[`${field}Max`], b[`${field}Max`]].filter((value) => value !== null);
+        merged[`${field}Min`] = min.length > 0 ? Math.min(...min) : null;
+        merged[`${field}Max`] = max.length > 0 ? Math.max(...max) : null;
+        merged[`${field}Sum`] = (a[`${field}Sum`] ?? 0) + (b[`${field}Sum`] ?? 0);
+        merged[`${field}Count`] = a[`${field}Count`] + b[`${field}Count`];
+    }
+    return merged;
+}
+
+/**
+ * Converts an aggregated row into a bucket with one `{ min, max, avg }` object per reading.
+ *
+ * The averages of `fanState` and `heaterState` are the share of readings with the fan or
+ * heater on.
+ *
+ * @param {Object} row - The aggregated row.
+ * @returns {Object} The bucket.
+ */
+function toBucket(row) {
+    const bucket = { bucketStart: row.bucketStart, count: row.count };
+    for (const field of TELEMETRY_FIELDS) {
+        const count = row[`${field}Count`];
+        bucket[field] = {
+            min: row[`${field}Min`],
+            max: row[`${field}Max`],
+            avg: count > 0 ? row[`${field}Sum`] / count : null,
+        };
+    }
+    return bucket;
+}
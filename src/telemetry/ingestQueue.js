@@ -0,0 +1,212 @@
+import { insertSensorDataBatch } from '../database/telemetryQueries.js';
+import { toSqliteTimestamp } from './timeRange.js';
+
+/**
+ * Sensor readings waiting to be written, oldest first, with the connection to write them to
+ * and the callback to call once they are stored.
+ */
+const queue = [];
+
+/**
+ * The batch being written, if any. Batches are written one at a time.
+ */
+let activeFlush = null;
+
+/**
+ * The timer flushing a partial batch, if one is scheduled.
+ */
+let flushTimer = null;
+
+/**
+ * Callbacks waiting for the queue to have room again.
+ */
+let capacityWaiters = [];
+
+/**
+ * Whether the queue has been closed for shutdown.
+ */
+let closed = false;
+
+/**
+ * Ingest counters since the app started.
+ */
+const counters = {
+    received: 0,
+    stored: 0,
+    dropped: 0,
+    failed: 0,
+    batches: 0,
+    lastBatchSize: 0,
+    lastBatchLatencyMs: null,
+    maxBatchLatencyMs: null,
+    totalBatchLatencyMs: 0,
+};
+
+/**
+ * Returns the configured ingest settings.
+ *
+ * @returns {Object} `batchSize`, the number of readings that triggers a flush
+ *                   (`INGEST_BATCH_SIZE`, default 200), `flushIntervalMs`, the longest a reading
+ *                   waits for a batch to fill (`INGEST_FLUSH_INTERVAL_MS`, default 1000), and
+ *                   `maxQueueSize`, the number of queued readings at which new readings are
+ *                   dropped (`INGEST_MAX_QUEUE_SIZE`, default 10000).
+ */
+export function getIngestSettings() {
+    return {
+        batchSize: Number(process.env.INGEST_BATCH_SIZE) || 200,
+        flushIntervalMs: Number(process.env.INGEST_FLUSH_INTERVAL_MS) || 1000,
+        maxQueueSize: Number(process.env.INGEST_MAX_QUEUE_SIZE) || 10000,
+    };
+}
+
+/**
+ * Queues a sensor reading to be stored with the next batch.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {Object} reading - The `temperature`, `humidity`, `fanState`, `heaterState`,
+ *                           `deviceID` and `firmwareVersion` of the reading. It is stored with
+ *                           its SQLite `timestamp` if it has one, e.g. when a dead letter is
+ *                           replayed, otherwise with the time it was queued.
+ * @param {function} callback - Optional callback function receiving an error, if any, once
+ *                              the batch of the reading has been written.
+ * @returns {boolean} False if the reading was dropped because the queue is full or closed.
+ */
+export function enqueueSensorData(db, reading, callback = () => {}) {
+    const { batchSize, flushIntervalMs, maxQueueSize } = getIngestSettings();
+    if (closed || queue.length >= maxQueueSize) {
+        counters.dropped++;
+        return false;
+    }
+
+    counters.received++;
+    queue.push({ db, reading: { ...reading, timestamp: reading.timestamp ?? toSqliteTimestamp(Date.now()) }, callback });
+
+    // A flush in progress keeps writing until the queue is empty
+    if (activeFlush) {
+        return true;
+    }
+    if (queue.length >= batchSize) {
+        flushSensorData();
+    } else if (!flushTimer) {
+        flushTimer = setTimeout(flushSensorData, flushIntervalMs);
+    }
+    return true;
+}
+
+/**
+ * Waits until the queue has room for more readings, so the MQTT client can stop reading
+ * messages while the database catches up.
+ *
+ * @returns {Promise<void>} - Resolves right away unless the queue is full.
+ */
+export function waitForIngestCapacity() {
+    if (queue.length < getIngestSettings().maxQueueSize) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => capacityWaiters.push(resolve));
+}
+
+/**
+ * Writes the queued readings in batches until the queue is empty.
+ *
+ * @returns {Promise<void>} - Resolves once the readings queued so far have been written.
+ */
+export async function flushSensorData() {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+
+    while (activeFlush || queue.length > 0) {
+        if (!activeFlush) {
+            activeFlush = writeBatch().finally(() => {
+                activeFlush = null;
+            });
+        }
+        await activeFlush;
+    }
+}
+
+/**
+ * Stops accepting readings and writes the queued ones, e.g. before the app exits.
+ *
+ * @returns {Promise<void>} - Resolves once the queue is empty.
+ */
+export function closeIngestQueue() {
+    closed = true;
+    return flushSensorData();
+}
+
+/**
+ * Returns the ingest counters.
+ *
+ * @returns {Object} The current `queueDepth`, whether reading MQTT messages is `paused`, the
+ *                   ingest settings, the number of readings `received`, `stored`, `dropped`
+ *                   because the queue was full and `failed` to be written, and the number of
+ *                   `batches` with the size and write latency of the last batch and the
+ *                   average and maximum latency.
+ */
+export function getIngestStats() {
+    return {
+        queueDepth: queue.length,
+        paused: capacityWaiters.length > 0,
+        ...getIngestSettings(),
+        received: counters.received,
+        stored: counters.stored,
+        dropped: counters.dropped,
+        failed: counters.failed,
+        batches: counters.batches,
+        lastBatchSize: counters.lastBatchSize,
+        lastBatchLatencyMs: counters.lastBatchLatencyMs,
+        averageBatchLatencyMs: counters.batches > 0 ? Math.round(counters.totalBatchLatencyMs / counters.batches) : null,
+        maxBatchLatencyMs: counters.maxBatchLatencyMs,
+    };
+}
+
+/**
+ * Takes the next batch off the queue, writes it and calls the callbacks of its readings.
+ * Readings queued for a different connection than the first one wait for the next batch.
+ *
+ * @returns {Promise<void>} - Resolves once the batch has been written or has failed.
+ */
+function writeBatch() {
+    const { batchSize } = getIngestSettings();
+    const { db } = queue[0];
+    let size = 0;
+    while (size < Math.min(batchSize, queue.length) && queue[size].db === db) {
+        size++;
+    }
+    const batch = queue.splice(0, size);
+    releaseCapacityWaiters();
+
+    const startedAt = Date.now();
+    return new Promise((resolve) => {
+        insertSensorDataBatch(db, batch.map((entry) => entry.reading), (err) => {
+            const latencyMs = Date.now() - startedAt;
+            counters.batches++;
+            counters.lastBatchSize = batch.length;
+            counters.lastBatchLatencyMs = latencyMs;
+            counters.maxBatchLatencyMs = Math.max(counters.maxBatchLatencyMs ?? 0, latencyMs);
+            counters.totalBatchLatencyMs += latencyMs;
+            if (err) {
+                counters.failed += batch.length;
+            } else {
+                counters.stored += batch.length;
+            }
+
+            for (const entry of batch) {
+                entry.callback(err);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Lets the waiting MQTT client continue once the queue has room again.
+ */
+function releaseCapacityWaiters() {
+    if (queue.length < getIngestSettings().maxQueueSize) {
+        const waiters = capacityWaiters;
+        capacityWaiters = [];
+        waiters.forEach((resolve) => resolve());
+    }
+}
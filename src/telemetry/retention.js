@@ -0,0 +1,88 @@
+import { promisify } from 'util';
+import { rollUpSensorData, recordRetentionRun } from '../database/rollupQueries.js';
+import { toSqliteTimestamp } from './timeRange.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The retention run in progress, if any. Runs share the database connection and its
+ * transaction, so they never overlap.
+ */
+let activeRun = null;
+
+/**
+ * Returns the configured number of days raw `SensorData` rows are kept.
+ *
+ * @returns {number|null} The value of `SENSOR_DATA_RETENTION_DAYS`, or null if retention is
+ *                        not configured.
+ */
+export function getRetentionDays() {
+    const days = Number(process.env.SENSOR_DATA_RETENTION_DAYS);
+    return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+/**
+ * Applies the retention policy once: raw `SensorData` rows older than the retention period are
+ * rolled up into the hourly and daily rollups and deleted. The outcome is recorded in
+ * `RetentionRuns`.
+ *
+ * The cutoff is the start of the UTC day `retentionDays` ago, so rollups always cover whole
+ * days. If a run is already in progress, its result is returned instead.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} retentionDays - The number of days raw rows are kept.
+ * @returns {Promise<Object>} - The recorded run with its `id`, `retentionDays`, `cutoff`,
+ *                              `hourlyBuckets`, `dailyBuckets`, `deletedRows` and `error`.
+ */
+export function runRetention(db, retentionDays) {
+    if (!activeRun) {
+        activeRun = applyRetention(db, retentionDays).finally(() => {
+            activeRun = null;
+        });
+    }
+    return activeRun;
+}
+
+/**
+ * Applies the retention policy right away and then on a fixed interval, so restarting the app
+ * more often than the interval does not postpone expiry.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} retentionDays - The number of days raw rows are kept.
+ * @param {number} intervalMs - The interval between runs in milliseconds.
+ * @returns {NodeJS.Timeout} The interval timer.
+ */
+export function startRetentionScheduler(db, retentionDays, intervalMs) {
+    const applyPolicy = () => {
+        runRetention(db, retentionDays).catch((error) => {
+            console.error('Failed to apply retention policy:', error);
+        });
+    };
+    applyPolicy();
+    return setInterval(applyPolicy, intervalMs);
+}
+
+/**
+ * Rolls up and deletes the expired rows and records the run.
+ *
+ * @param {sqlite3.Database} db - The SQLite database connection.
+ * @param {number} retentionDays - The number of days raw rows are kept.
+ * @returns {Promise<Object>} - The recorded run.
+ */
+async function applyRetention(db, retentionDays) {
+    const startedAt = toSqliteTimestamp(Date.now());
+    const cutoff = toSqliteTimestamp(Math.floor((Date.now() - retentionDays * DAY_MS) / DAY_MS) * DAY_MS);
+
+    let run;
+    try {
+        const result = await promisify(rollUpSensorData)(db, cutoff);
+        run = { retentionDays, cutoff, ...result, error: null };
+        console.log(`Retention: rolled up sensor data before ${cutoff} into ${result.hourlyBuckets} hourly `
+            + `and ${result.dailyBuckets} daily buckets and deleted ${result.deletedRows} rows`);
+    } catch (error) {
+        run = { retentionDays, cutoff, hourlyBuckets: 0, dailyBuckets: 0, deletedRows: 0, error: error.message };
+    }
+
+    const id = await promisify(recordRetentionRun)(db, { ...run, startedAt });
+    return { id, ...run };
+}
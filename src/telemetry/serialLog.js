@@ -0,0 +1,38 @@
+/**
+ * Log levels of serial messages, most severe first, keyed by their ESP-IDF prefix letter.
+ */
+const LEVEL_PREFIXES = { E: 'error', W: 'warn', I: 'info', D: 'debug', V: 'verbose' };
+
+export const SERIAL_LOG_LEVELS = Object.values(LEVEL_PREFIXES);
+
+/**
+ * Matches the prefix of an ESP-IDF log line such as 'W (1234) wifi: ...', optionally wrapped
+ * in the ANSI color code the IDF adds when colored output is enabled.
+ */
+const ESP_IDF_PREFIX = /^(?:\x1b\[[0-9;]*m)?([EWIDV]) \((\d+)\)/;
+
+/**
+ * Parses the log level of a serial message from its ESP-IDF prefix.
+ *
+ * @param {string} message - The serial message.
+ * @returns {string|null} The level, e.g. 'warn', or null if the message has no ESP-IDF prefix.
+ */
+export function parseLogLevel(message) {
+    const match = typeof message === 'string' ? ESP_IDF_PREFIX.exec(message) : null;
+    return match ? LEVEL_PREFIXES[match[1]] : null;
+}
+
+/**
+ * Converts free-text search input into an FTS5 query that matches messages containing every
+ * word. Each word is quoted, so FTS5 operators and punctuation in the input are taken literally.
+ *
+ * @param {string} search - The search input.
+ * @returns {string|null} The FTS5 query, or null if the input has no words.
+ */
+export function toFullTextQuery(search) {
+    const words = search.split(/\s+/).filter((word) => word.length > 0);
+    if (words.length === 0) {
+        return null;
+    }
+    return words.map((word) => `"${word.replace(/"/g, '""')}"`).join(' ');
+}
@@ -0,0 +1,48 @@
+/**
+ * Seconds per unit of a bucket interval such as '15m'.
+ */
+const INTERVAL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Parses a timestamp given in a query string.
+ *
+ * Accepts ISO 8601 timestamps (e.g. '2024-05-01T12:00:00Z') as well as the SQLite format used
+ * in API responses (e.g. '2024-05-01 12:00:00'). Timestamps without a time zone are read as UTC.
+ *
+ * @param {string} value - The timestamp.
+ * @returns {number|null} The timestamp in milliseconds since the epoch, or null if it is invalid.
+ */
+export function parseTimeParam(value) {
+    if (typeof value !== 'string' || value.length === 0) {
+        return null;
+    }
+    const normalized = value.trim().replace(' ', 'T');
+    const hasZone = /(Z|[+-]\d{2}:?\d{2})$/i.test(normalized);
+    const time = Date.parse(normalized.includes('T') && !hasZone ? `${normalized}Z` : normalized);
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Formats a time the way SQLite's `CURRENT_TIMESTAMP` stores it, so it can be compared with
+ * stored timestamps.
+ *
+ * @param {number} time - The time in milliseconds since the epoch.
+ * @returns {string} The UTC timestamp, e.g. '2024-05-01 12:00:00'.
+ */
+export function toSqliteTimestamp(time) {
+    return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Parses a bucket interval such as '30s', '15m', '1h' or '1d'.
+ *
+ * @param {string} value - The interval.
+ * @returns {number|null} The interval in seconds, or null if it is invalid.
+ */
+export function parseInterval(value) {
+    const match = /^(\d+)([smhd])$/.exec(value ?? '');
+    if (!match || Number(match[1]) === 0) {
+        return null;
+    }
+    return Number(match[1]) * INTERVAL_UNITS[match[2]];
+}
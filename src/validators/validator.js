@@ -1,3 +1,13 @@
+/**
+ * Describes the usernames `validateUsername` accepts, for error messages.
+ */
+export const USERNAME_REQUIREMENTS = 'Username must be at least 3 characters long and contain only alphanumeric characters and underscores';
+
+/**
+ * Describes the passwords `validatePassword` accepts, for error messages.
+ */
+export const PASSWORD_REQUIREMENTS = 'Password must be at least 6 characters long and contain at least one uppercase letter, one lowercase letter, one number, and one special character';
+
 /**
  * Validates a username.
  * Username must be at least 3 characters long and contain only alphanumeric characters and underscores.
@@ -23,4 +33,32 @@ export function validatePassword(password) {
     return validPassword.test(password);
 }
 
+/**
+ * Validates a firmware version string.
+ * Version must use the major.minor.patch format (e.g., 1.0.2).
+ * 
+ * @param {string} version - The firmware version string to validate.
+ * @returns {boolean} True if the version format is valid, false otherwise.
+ */
+export function validateFirmwareVersion(version) {
+    const versionPattern = /^\d+\.\d+\.\d+$/;
+    return versionPattern.test(version);
+}
+
+/**
+ * Describes the device IDs `validateDeviceID` accepts, for error messages.
+ */
+export const DEVICE_ID_REQUIREMENTS = 'deviceID must be 1 to 64 characters long and contain only letters, numbers, dots, dashes and underscores';
 
+/**
+ * Validates a device ID.
+ * Device IDs are used as a level of the per-device MQTT topics, so they may only contain
+ * letters, numbers, dots, dashes and underscores.
+ * 
+ * @param {string} deviceID - The device ID to validate.
+ * @returns {boolean} True if the device ID is valid, false otherwise.
+ */
+export function validateDeviceID(deviceID) {
+    const deviceIDPattern = /^[A-Za-z0-9._-]{1,64}$/;
+    return typeof deviceID === 'string' && deviceIDPattern.test(deviceID);
+}
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRange } from '../src/firmware/byteRange.js';
+
+test('parses a closed range', () => {
+    assert.deepEqual(parseRange('bytes=0-499', 1000), { start: 0, end: 499 });
+});
+
+test('parses an open-ended range to the end of the image', () => {
+    assert.deepEqual(parseRange('bytes=1024-', 4096), { start: 1024, end: 4095 });
+});
+
+test('clamps the end of a range to the image size', () => {
+    assert.deepEqual(parseRange('bytes=900-5000', 1000), { start: 900, end: 999 });
+});
+
+test('parses a suffix range as the last bytes of the image', () => {
+    assert.deepEqual(parseRange('bytes=-500', 1000), { start: 500, end: 999 });
+    assert.deepEqual(parseRange('bytes=-5000', 1000), { start: 0, end: 999 });
+});
+
+test('rejects ranges that start past the end of the image', () => {
+    assert.equal(parseRange('bytes=1000-', 1000), 'unsatisfiable');
+    assert.equal(parseRange('bytes=-0', 1000), 'unsatisfiable');
+    assert.equal(parseRange('bytes=-10', 0), 'unsatisfiable');
+});
+
+test('ignores malformed, reversed and multi-range headers', () => {
+    assert.equal(parseRange('bytes=-', 1000), null);
+    assert.equal(parseRange('bytes=500-100', 1000), null);
+    assert.equal(parseRange('bytes=0-1,5-6', 1000), null);
+    assert.equal(parseRange('items=0-10', 1000), null);
+});
@@ -8,29 +8,49 @@ const MQTT_BROKER_PORT = process.env.MQTT_BROKER_PORT;
 const MQTT_USERNAME = process.env.MQTT_USERNAME;
 const MQTT_PASSWORD = process.env.MQTT_PASSWORD;
 
+const API_BASE_URL = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3002}`;
+
+const DEVICE_ID = 'device123';
+const VERSION = '1.0.0';
+
+// Exchange the claim code for a device token, unless one is given or the device was
+// pre-registered, in which case no claim code is needed
+let deviceToken = process.env.DEVICE_TOKEN;
+if (!deviceToken) {
+    const response = await fetch(`${API_BASE_URL}/provision`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ deviceID: DEVICE_ID, claimCode: process.env.CLAIM_CODE }),
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        console.error('Provisioning failed:', body.error);
+        process.exit(1);
+    }
+    deviceToken = body.deviceToken;
+    console.log('Provisioned, set DEVICE_TOKEN to reuse the token:', deviceToken);
+}
+
 const client = mqtt.connect(`mqtts://${MQTT_BROKER_URL}:${MQTT_BROKER_PORT}`, {
     username: MQTT_USERNAME,
     password: MQTT_PASSWORD,
 });
 
-const DEVICE_ID = 'device123';
-const VERSION = '1.0.0';
-
 client.on('connect', () => {
     console.log('Connected to MQTT Broker');
+    client.subscribe(`devices/${DEVICE_ID}/cmd`);
     setInterval(() => {
-        const temperature = (Math.random() * 30 + 15).toFixed(2);
-        const humidity = (Math.random() * 50 + 30).toFixed(2);
+        const temperature = Number((Math.random() * 30 + 15).toFixed(2));
+        const humidity = Number((Math.random() * 50 + 30).toFixed(2));
         const heaterState = Math.random() < 0.5 ? 'ON' : 'OFF';
         const message = JSON.stringify({
-            messageType: 'data',
             temperature,
             humidity,
             heaterState,
-            deviceID: DEVICE_ID,
             version: VERSION,
+            deviceToken,
         });
-        client.publish('your/topic', message, { qos: 1 }, (err) => {
+        client.publish(`devices/${DEVICE_ID}/telemetry`, message, { qos: 1 }, (err) => {
             if (err) {
                 console.error('Publish error:', err);
             }
@@ -38,6 +58,16 @@ client.on('connect', () => {
     }, 5000);
 });
 
+// Acknowledge every command received on the device command topic
+client.on('message', (topic, message) => {
+    const { command, correlationId } = JSON.parse(message.toString());
+    console.log('Received command:', command, correlationId);
+    if (correlationId) {
+        const ack = JSON.stringify({ correlationId, status: 'ok', deviceToken });
+        client.publish(`devices/${DEVICE_ID}/ack`, ack, { qos: 1 });
+    }
+});
+
 client.on('error', (error) => {
     console.error('MQTT Client Error:', error);
 });
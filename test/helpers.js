@@ -0,0 +1,23 @@
+import sqlite3 from 'sqlite3';
+import { runMigrations } from '../src/database/migrator.js';
+
+/**
+ * Opens an empty in-memory database with the current schema.
+ *
+ * @returns {Promise<sqlite3.Database>} - The database connection.
+ */
+export async function openTestDatabase() {
+    const db = new sqlite3.Database(':memory:');
+    await runMigrations(db);
+    return db;
+}
+
+/**
+ * Closes a database connection.
+ *
+ * @param {sqlite3.Database} db - The database connection.
+ * @returns {Promise<void>}
+ */
+export function closeTestDatabase(db) {
+    return new Promise((resolve, reject) => db.close((err) => err ? reject(err) : resolve()));
+}
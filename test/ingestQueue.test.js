@@ -0,0 +1,135 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { all } from '../src/database/schema.js';
+import {
+    enqueueSensorData,
+    waitForIngestCapacity,
+    flushSensorData,
+    closeIngestQueue,
+    getIngestStats
+} from '../src/telemetry/ingestQueue.js';
+import { openTestDatabase, closeTestDatabase } from './helpers.js';
+
+let db;
+
+before(async () => {
+    db = await openTestDatabase();
+});
+
+after(async () => {
+    await closeTestDatabase(db);
+});
+
+beforeEach(() => {
+    process.env.INGEST_BATCH_SIZE = '100';
+    process.env.INGEST_FLUSH_INTERVAL_MS = '60000';
+    process.env.INGEST_MAX_QUEUE_SIZE = '1000';
+});
+
+/**
+ * Queues a reading and resolves with the error its batch was written with.
+ */
+function enqueue(database, reading) {
+    return new Promise((resolve, reject) => {
+        const queued = enqueueSensorData(database, { temperature: 20, humidity: 40, deviceID: 'd1', ...reading }, resolve);
+        if (!queued) {
+            reject(new Error('Reading was dropped'));
+        }
+    });
+}
+
+test('writes a batch as soon as it is full', async () => {
+    process.env.INGEST_BATCH_SIZE = '3';
+    const { batches } = getIngestStats();
+
+    const errors = await Promise.all([1, 2, 3].map((temperature) => enqueue(db, { temperature, deviceID: 'full' })));
+
+    assert.deepEqual(errors, [null, null, null]);
+    assert.equal(getIngestStats().batches, batches + 1);
+    const rows = await all(db, `SELECT temperature FROM SensorData WHERE deviceID = 'full' ORDER BY id`);
+    assert.deepEqual(rows.map((row) => row.temperature), [1, 2, 3]);
+});
+
+test('writes a partial batch once the flush interval has passed', async () => {
+    process.env.INGEST_FLUSH_INTERVAL_MS = '20';
+
+    const startedAt = Date.now();
+    await enqueue(db, { deviceID: 'partial' });
+
+    assert.ok(Date.now() - startedAt >= 15);
+    const rows = await all(db, `SELECT COUNT(*) AS count FROM SensorData WHERE deviceID = 'partial'`);
+    assert.equal(rows[0].count, 1);
+});
+
+test('stores readings with their own timestamp if they have one', async () => {
+    const written = [
+        enqueue(db, { deviceID: 'stamped', timestamp: '2024-05-01 12:00:00' }),
+        enqueue(db, { deviceID: 'stamped' }),
+    ];
+    await flushSensorData();
+    await Promise.all(written);
+
+    const rows = await all(db, `SELECT timestamp FROM SensorData WHERE deviceID = 'stamped' ORDER BY id`);
+    assert.equal(rows[0].timestamp, '2024-05-01 12:00:00');
+    assert.notEqual(rows[1].timestamp, '2024-05-01 12:00:00');
+});
+
+test('registers the devices of a batch with the last firmware version they reported', async () => {
+    const written = [
+        enqueue(db, { deviceID: 'versioned', firmwareVersion: '1.0.0' }),
+        enqueue(db, { deviceID: 'versioned', firmwareVersion: '1.1.0' }),
+        enqueue(db, { deviceID: 'versioned' }),
+    ];
+    await flushSensorData();
+    await Promise.all(written);
+
+    const rows = await all(db, `SELECT firmwareVersion, lastSeen FROM Devices WHERE deviceID = 'versioned'`);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].firmwareVersion, '1.1.0');
+    assert.ok(rows[0].lastSeen);
+});
+
+test('drops readings while the queue is full and releases waiting readers once it drains', async () => {
+    process.env.INGEST_MAX_QUEUE_SIZE = '2';
+    const { dropped } = getIngestStats();
+
+    const written = [enqueue(db, { deviceID: 'full-queue' }), enqueue(db, { deviceID: 'full-queue' })];
+    assert.equal(enqueueSensorData(db, { temperature: 20, humidity: 40, deviceID: 'full-queue' }), false);
+    assert.equal(getIngestStats().dropped, dropped + 1);
+
+    let released = false;
+    const capacity = waitForIngestCapacity().then(() => {
+        released = true;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(released, false);
+    assert.equal(getIngestStats().paused, true);
+
+    await flushSensorData();
+    await capacity;
+    await Promise.all(written);
+    assert.equal(getIngestStats().paused, false);
+    assert.equal(getIngestStats().queueDepth, 0);
+});
+
+test('reports a failed write to every reading of the batch', async () => {
+    const broken = new sqlite3.Database(':memory:');
+    const { failed } = getIngestStats();
+
+    const written = [enqueue(broken, {}), enqueue(broken, {})];
+    await flushSensorData();
+    const errors = await Promise.all(written);
+
+    assert.ok(errors.every((err) => err && /no such table/.test(err.message)));
+    assert.equal(getIngestStats().failed, failed + 2);
+    await closeTestDatabase(broken);
+});
+
+test('stores the queued readings and refuses new ones once closed', async () => {
+    const written = enqueue(db, { deviceID: 'closing' });
+    await closeIngestQueue();
+
+    assert.equal(await written, null);
+    assert.equal(enqueueSensorData(db, { temperature: 20, humidity: 40, deviceID: 'closing' }), false);
+});
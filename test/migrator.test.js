@@ -0,0 +1,101 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import bcrypt from 'bcryptjs';
+import { loadMigrations, getMigrationStatus, runMigrations } from '../src/database/migrator.js';
+import { all, exec, run } from '../src/database/schema.js';
+import { closeTestDatabase } from './helpers.js';
+
+let db;
+
+beforeEach(() => {
+    db = new sqlite3.Database(':memory:');
+});
+
+afterEach(async () => {
+    await closeTestDatabase(db);
+});
+
+function fetchTables() {
+    return all(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`);
+}
+
+/**
+ * Creates the schema of a database from before migrations existed.
+ */
+function createLegacySchema() {
+    return exec(db, `
+        CREATE TABLE SensorData (id INTEGER PRIMARY KEY AUTOINCREMENT, temperature REAL, humidity REAL, fanState INTEGER, heaterState INTEGER, deviceID TEXT, firmwareVersion TEXT, timestamp DATETIME DEFAULT CURRENT_TIMESTAMP);
+        CREATE TABLE SerialMessages (id INTEGER PRIMARY KEY AUTOINCREMENT, message TEXT NOT NULL);
+        CREATE TABLE LatestStableFirmware (id INTEGER PRIMARY KEY AUTOINCREMENT, firmwareVersion TEXT, timestamp DATETIME DEFAULT CURRENT_TIMESTAMP);
+        CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE, password TEXT);
+        INSERT INTO SerialMessages (message) VALUES ('I (123) wifi: connected to ap');
+        INSERT INTO users (username, password) VALUES ('alice', 'secret'), ('bob', 'hunter2');
+    `);
+}
+
+test('loads the migrations ordered by version', async () => {
+    const versions = (await loadMigrations()).map((migration) => migration.version);
+
+    assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+    assert.equal(new Set(versions).size, versions.length);
+});
+
+test('applies every migration to a new database, and nothing the second time', async () => {
+    const migrations = await loadMigrations();
+
+    const first = await runMigrations(db);
+    assert.equal(first.currentVersion, 0);
+    assert.deepEqual(first.applied.map((migration) => migration.version), migrations.map((migration) => migration.version));
+
+    const status = await getMigrationStatus(db);
+    assert.equal(status.currentVersion, status.latestVersion);
+    assert.deepEqual(status.pending, []);
+
+    const second = await runMigrations(db);
+    assert.deepEqual(second.applied, []);
+});
+
+test('leaves the database unchanged on a dry run', async () => {
+    const result = await runMigrations(db, { dryRun: true });
+
+    assert.ok(result.applied.length > 0);
+    assert.deepEqual(await fetchTables(), []);
+});
+
+test('upgrades a database from before migrations existed and keeps its data', async () => {
+    await createLegacySchema();
+
+    await runMigrations(db);
+
+    const users = await all(db, `SELECT username, password, role FROM users ORDER BY id`);
+    assert.deepEqual(users.map((user) => [user.username, user.role]), [['alice', 'admin'], ['bob', 'viewer']]);
+    assert.ok(await bcrypt.compare('secret', users[0].password));
+    const messages = await all(db, `SELECT message FROM SerialMessages`);
+    assert.deepEqual(messages, [{ message: 'I (123) wifi: connected to ap' }]);
+});
+
+test('hashes no passwords on a dry run against a legacy database', async () => {
+    await createLegacySchema();
+
+    await runMigrations(db, { dryRun: true });
+
+    const users = await all(db, `SELECT password FROM users ORDER BY id`);
+    assert.deepEqual(users, [{ password: 'secret' }, { password: 'hunter2' }]);
+    assert.equal((await fetchTables()).some((table) => table.name === 'SchemaMigrations'), false);
+});
+
+test('refuses a database migrated by a newer version of the app', async () => {
+    await runMigrations(db);
+    await run(db, `INSERT INTO SchemaMigrations (version, name) VALUES (999, '999_from_the_future')`);
+
+    await assert.rejects(runMigrations(db), /unknown migrations: 999_from_the_future\. Refusing to downgrade/);
+});
+
+test('refuses a pending migration older than the current version', async () => {
+    await runMigrations(db);
+    const [first] = await loadMigrations();
+    await run(db, `DELETE FROM SchemaMigrations WHERE version = ?`, [first.version]);
+
+    await assert.rejects(runMigrations(db), new RegExp(`Migration ${first.name} is pending`));
+});
@@ -0,0 +1,175 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promisify } from 'util';
+import {
+    getRolloutBucket,
+    isDeviceInCohort,
+    createRollout,
+    evaluateRollouts
+} from '../src/ota/rollouts.js';
+import { upsertDevice } from '../src/database/deviceQueries.js';
+import { recordOtaStatus } from '../src/database/deploymentQueries.js';
+import { fetchRolloutPlanById } from '../src/database/rolloutQueries.js';
+import { setLatestStableFirmwareVersion } from '../src/database/queries.js';
+import { all } from '../src/database/schema.js';
+import { openTestDatabase, closeTestDatabase } from './helpers.js';
+
+let db;
+let mqttClient;
+
+beforeEach(async () => {
+    db = await openTestDatabase();
+    mqttClient = {
+        commands: [],
+        publish(topic, payload, options, callback) {
+            this.commands.push({ topic, ...JSON.parse(payload) });
+            callback(null);
+        },
+    };
+});
+
+afterEach(async () => {
+    await closeTestDatabase(db);
+});
+
+/**
+ * Returns device IDs whose rollout bucket matches a condition.
+ */
+function findDevices(count, matches) {
+    const deviceIDs = [];
+    for (let i = 0; deviceIDs.length < count; i++) {
+        if (matches(getRolloutBucket(`device-${i}`))) {
+            deviceIDs.push(`device-${i}`);
+        }
+    }
+    return deviceIDs;
+}
+
+async function addDevices(deviceIDs, firmwareVersion = '1.0.0') {
+    for (const deviceID of deviceIDs) {
+        await promisify(upsertDevice)(db, deviceID, firmwareVersion);
+    }
+}
+
+/**
+ * Waits for the writes started in the background, e.g. marking jobs as sent, to finish.
+ */
+async function settle() {
+    await new Promise((resolve) => setImmediate(resolve));
+    await all(db, 'SELECT 1');
+}
+
+async function reportStatus(plan, deviceIDs, status, errorCode = null) {
+    for (const deviceID of deviceIDs) {
+        await promisify(recordOtaStatus)(db, deviceID, plan.deploymentId, status, errorCode);
+    }
+}
+
+test('puts a device in the same bucket every time', () => {
+    assert.equal(getRolloutBucket('device-42'), getRolloutBucket('device-42'));
+    for (let i = 0; i < 200; i++) {
+        const bucket = getRolloutBucket(`device-${i}`);
+        assert.ok(Number.isInteger(bucket) && bucket >= 0 && bucket < 100);
+    }
+});
+
+test('spreads devices evenly over the buckets', () => {
+    const inFirstTenPercent = Array.from({ length: 2000 }, (_, i) => getRolloutBucket(`device-${i}`))
+        .filter((bucket) => bucket < 10).length;
+
+    assert.ok(inFirstTenPercent > 140 && inFirstTenPercent < 260, `${inFirstTenPercent} of 2000 devices in 10%`);
+});
+
+test('includes devices whose bucket is below the percentage of the current stage', () => {
+    const [low] = findDevices(1, (bucket) => bucket < 10);
+    const [high] = findDevices(1, (bucket) => bucket >= 50);
+    const plan = { groupId: null, stages: [10, 50, 100], currentStage: 0 };
+
+    assert.equal(isDeviceInCohort(plan, low, []), true);
+    assert.equal(isDeviceInCohort(plan, high, []), false);
+    assert.equal(isDeviceInCohort({ ...plan, currentStage: 2 }, high, []), true);
+});
+
+test('only includes members of the target group', () => {
+    const plan = { groupId: 7, stages: [100], currentStage: 0 };
+
+    assert.equal(isDeviceInCohort(plan, 'device-1', [3, 7]), true);
+    assert.equal(isDeviceInCohort(plan, 'device-1', [3]), false);
+});
+
+test('sends the update to the devices of the first stage only', async () => {
+    const early = findDevices(3, (bucket) => bucket < 25);
+    const late = findDevices(3, (bucket) => bucket >= 25);
+    await addDevices([...early, ...late]);
+
+    await createRollout(db, mqttClient, { firmwareVersion: '1.1.0', stages: [25, 100], failureThreshold: 0.1, soakMinutes: 0 });
+    await settle();
+
+    assert.deepEqual(mqttClient.commands.map((command) => command.topic.split('/')[1]).sort(), [...early].sort());
+    assert.ok(mqttClient.commands.every((command) => command.firmwareVersion === '1.1.0' && command.rollback === false));
+});
+
+test('advances to the next stage once every job of the stage succeeded', async () => {
+    const early = findDevices(2, (bucket) => bucket < 25);
+    const late = findDevices(2, (bucket) => bucket >= 25);
+    await addDevices([...early, ...late]);
+    const planId = await createRollout(db, mqttClient, {
+        firmwareVersion: '1.1.0', stages: [25, 100], autoAdvance: true, failureThreshold: 0.1, soakMinutes: 0,
+    });
+    const plan = await promisify(fetchRolloutPlanById)(db, planId);
+    await settle();
+
+    await evaluateRollouts(db, mqttClient);
+    assert.equal((await promisify(fetchRolloutPlanById)(db, planId)).currentStage, 0);
+
+    await reportStatus(plan, early, 'success');
+    await evaluateRollouts(db, mqttClient);
+    await settle();
+
+    assert.equal((await promisify(fetchRolloutPlanById)(db, planId)).currentStage, 1);
+    assert.equal(mqttClient.commands.length, 4);
+    const audit = await all(db, `SELECT actor, action FROM AuditLog`);
+    assert.deepEqual(audit, [{ actor: 'system', action: 'rollout.advance' }]);
+});
+
+test('pauses a stage whose failure rate exceeds the threshold', async () => {
+    const devices = findDevices(4, () => true);
+    await addDevices(devices);
+    const planId = await createRollout(db, mqttClient, {
+        firmwareVersion: '1.1.0', stages: [100], autoAdvance: true, failureThreshold: 0.1, soakMinutes: 0,
+    });
+    const plan = await promisify(fetchRolloutPlanById)(db, planId);
+    await settle();
+
+    await reportStatus(plan, devices.slice(0, 1), 'failed', 'FLASH_ERROR');
+    await evaluateRollouts(db, mqttClient);
+
+    const paused = await promisify(fetchRolloutPlanById)(db, planId);
+    assert.equal(paused.status, 'paused');
+    assert.match(paused.statusReason, /Failure rate 25\.0% exceeded threshold of 10\.0%/);
+});
+
+test('rolls back the updated devices once too many of them are unhealthy', async () => {
+    const devices = findDevices(4, () => true);
+    await addDevices(devices);
+    await promisify(setLatestStableFirmwareVersion)(db, '1.0.0', false);
+    const planId = await createRollout(db, mqttClient, {
+        firmwareVersion: '1.1.0', stages: [100], failureThreshold: 1, soakMinutes: 0, rollbackThreshold: 0.25,
+    });
+    const plan = await promisify(fetchRolloutPlanById)(db, planId);
+    await settle();
+
+    await reportStatus(plan, devices.slice(0, 2), 'failed', 'FLASH_ERROR');
+    mqttClient.commands = [];
+    await evaluateRollouts(db, mqttClient);
+    await settle();
+
+    const rolledBack = await promisify(fetchRolloutPlanById)(db, planId);
+    assert.equal(rolledBack.status, 'rolled-back');
+    assert.ok(rolledBack.rollbackDeploymentId);
+    // The devices whose update failed still run the rollback version
+    assert.deepEqual(mqttClient.commands.map((command) => command.topic.split('/')[1]).sort(), devices.slice(2).sort());
+    assert.ok(mqttClient.commands.every((command) => command.firmwareVersion === '1.0.0' && command.rollback === true));
+    const audit = await all(db, `SELECT action FROM AuditLog`);
+    assert.deepEqual(audit, [{ action: 'rollout.rollback' }]);
+});
@@ -0,0 +1,104 @@
+import { test, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { promisify } from 'util';
+import { createSession, rotateSession, endSession, endUserSessions } from '../src/auth/sessions.js';
+import { createUser, updateUserRole } from '../src/database/userQueries.js';
+import { all, run } from '../src/database/schema.js';
+import { openTestDatabase, closeTestDatabase } from './helpers.js';
+
+let db;
+let user;
+
+before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+});
+
+beforeEach(async () => {
+    db = await openTestDatabase();
+    const id = await promisify(createUser)(db, 'alice', 'not-a-real-hash', 'viewer');
+    user = { id, username: 'alice', role: 'viewer' };
+});
+
+afterEach(async () => {
+    await closeTestDatabase(db);
+});
+
+function fetchRevocations() {
+    return all(db, `SELECT revokedReason FROM RefreshTokens ORDER BY id`);
+}
+
+test('issues an access token for the user and a refresh token', async () => {
+    const session = await createSession(db, user);
+
+    const claims = jwt.verify(session.token, process.env.JWT_SECRET);
+    assert.equal(claims.id, user.id);
+    assert.equal(claims.role, 'viewer');
+    assert.ok(session.refreshToken.length >= 43);
+    assert.ok(new Date(session.refreshTokenExpiresAt) > new Date());
+});
+
+test('rotates a refresh token into new tokens of the same session', async () => {
+    const session = await createSession(db, user);
+
+    const { session: rotated, error } = await rotateSession(db, session.refreshToken);
+
+    assert.equal(error, undefined);
+    assert.notEqual(rotated.refreshToken, session.refreshToken);
+    const tokens = await all(db, `SELECT familyId, revokedReason FROM RefreshTokens ORDER BY id`);
+    assert.equal(tokens.length, 2);
+    assert.equal(tokens[0].familyId, tokens[1].familyId);
+    assert.deepEqual(tokens.map((token) => token.revokedReason), ['rotated', null]);
+});
+
+test('gives the rotated access token the current role of the user', async () => {
+    const session = await createSession(db, user);
+    await promisify(updateUserRole)(db, user.id, 'operator');
+
+    const { session: rotated } = await rotateSession(db, session.refreshToken);
+
+    assert.equal(jwt.decode(rotated.token).role, 'operator');
+});
+
+test('revokes the whole session when a rotated refresh token is used again', async () => {
+    const session = await createSession(db, user);
+    const { session: rotated } = await rotateSession(db, session.refreshToken);
+    const other = await createSession(db, user);
+
+    const replay = await rotateSession(db, session.refreshToken);
+
+    assert.deepEqual(replay, { error: 'Invalid refresh token' });
+    assert.deepEqual(await rotateSession(db, rotated.refreshToken), { error: 'Invalid refresh token' });
+    const reasons = (await fetchRevocations()).map((token) => token.revokedReason);
+    assert.deepEqual(reasons, ['rotated', 'reuse', null]);
+    assert.ok((await rotateSession(db, other.refreshToken)).session);
+});
+
+test('refuses unknown and expired refresh tokens', async () => {
+    assert.deepEqual(await rotateSession(db, 'unknown'), { error: 'Invalid refresh token' });
+
+    const session = await createSession(db, user);
+    await run(db, `UPDATE RefreshTokens SET expiresAt = '2000-01-01 00:00:00'`);
+
+    assert.deepEqual(await rotateSession(db, session.refreshToken), { error: 'Refresh token has expired' });
+});
+
+test('refuses refresh tokens of a session that was ended', async () => {
+    const session = await createSession(db, user);
+    const { session: rotated } = await rotateSession(db, session.refreshToken);
+
+    assert.equal(await endSession(db, rotated.refreshToken), true);
+
+    assert.deepEqual(await rotateSession(db, rotated.refreshToken), { error: 'Invalid refresh token' });
+    assert.deepEqual((await fetchRevocations()).map((token) => token.revokedReason), ['rotated', 'logout']);
+});
+
+test('ends every session of a user', async () => {
+    const first = await createSession(db, user);
+    const second = await createSession(db, user);
+
+    assert.equal(await endUserSessions(db, user.id, 'password-change'), 2);
+
+    assert.deepEqual(await rotateSession(db, first.refreshToken), { error: 'Invalid refresh token' });
+    assert.deepEqual(await rotateSession(db, second.refreshToken), { error: 'Invalid refresh token' });
+});
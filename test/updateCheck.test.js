@@ -0,0 +1,160 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promisify } from 'util';
+import { checkForUpdate } from '../src/ota/updateCheck.js';
+import { setLatestStableFirmwareVersion } from '../src/database/queries.js';
+import { upsertFirmwareMetadata, upsertFirmwareRelease, updateFirmwareRelease } from '../src/database/firmwareQueries.js';
+import { openTestDatabase, closeTestDatabase } from './helpers.js';
+
+let db;
+
+beforeEach(async () => {
+    db = await openTestDatabase();
+});
+
+afterEach(async () => {
+    await closeTestDatabase(db);
+});
+
+/**
+ * Records an uploaded firmware release with its image metadata.
+ */
+async function addRelease(firmwareVersion, rules = {}) {
+    await promisify(upsertFirmwareRelease)(db, { firmwareVersion, ...rules });
+    await promisify(upsertFirmwareMetadata)(db, { firmwareVersion, size: 1024, sha256: 'ab'.repeat(32) });
+}
+
+function setStable(firmwareVersion, rollback = false) {
+    return promisify(setLatestStableFirmwareVersion)(db, firmwareVersion, rollback);
+}
+
+test('offers nothing without a stable version or rollout', async () => {
+    const result = await checkForUpdate(db, 'd1', '1.0.0');
+
+    assert.equal(result.updateAvailable, false);
+    assert.equal(result.reason, 'No firmware version available for this device');
+});
+
+test('offers nothing to a device already on the target version', async () => {
+    await addRelease('1.2.0');
+    await setStable('1.2.0');
+
+    const result = await checkForUpdate(db, 'd1', '1.2.0');
+
+    assert.equal(result.updateAvailable, false);
+    assert.equal(result.reason, 'Device is up to date');
+});
+
+test('offers a newer stable version with its download details', async () => {
+    await addRelease('1.2.0');
+    await setStable('1.2.0');
+
+    const result = await checkForUpdate(db, 'd1', '1.1.0');
+
+    assert.equal(result.updateAvailable, true);
+    assert.equal(result.firmwareVersion, '1.2.0');
+    assert.equal(result.targetVersion, '1.2.0');
+    assert.equal(result.rollback, false);
+    assert.equal(result.source, 'stable');
+    assert.equal(result.url, '/firmware/1.2.0/download');
+    assert.equal(result.size, 1024);
+});
+
+test('compares versions numerically rather than as text', async () => {
+    await addRelease('1.10.0');
+    await setStable('1.10.0');
+
+    const result = await checkForUpdate(db, 'd1', '1.9.3');
+
+    assert.equal(result.updateAvailable, true);
+    assert.equal(result.firmwareVersion, '1.10.0');
+});
+
+test('blocks a downgrade unless the target is a rollback', async () => {
+    await addRelease('1.0.0');
+    await setStable('1.0.0');
+
+    const blocked = await checkForUpdate(db, 'd1', '1.1.0');
+    assert.equal(blocked.updateAvailable, false);
+    assert.match(blocked.reason, /Downgrade to 1\.0\.0 is blocked/);
+
+    await setStable('1.0.0', true);
+    const allowed = await checkForUpdate(db, 'd1', '1.1.0');
+    assert.equal(allowed.updateAvailable, true);
+    assert.equal(allowed.firmwareVersion, '1.0.0');
+    assert.equal(allowed.rollback, true);
+});
+
+test('does not offer a withdrawn target', async () => {
+    await addRelease('1.2.0');
+    await setStable('1.2.0');
+    await promisify(updateFirmwareRelease)(db, '1.2.0', { status: 'withdrawn' });
+
+    const result = await checkForUpdate(db, 'd1', '1.1.0');
+
+    assert.equal(result.updateAvailable, false);
+    assert.equal(result.reason, 'Firmware 1.2.0 is not available for download');
+});
+
+test('only offers a model-specific release to devices of that model', async () => {
+    await addRelease('1.2.0', { hardwareModel: 'rev-b' });
+    await setStable('1.2.0');
+
+    const mismatch = await checkForUpdate(db, 'd1', '1.1.0', 'rev-a');
+    assert.equal(mismatch.updateAvailable, false);
+    assert.match(mismatch.reason, /does not support hardware model 'rev-a'/);
+
+    const match = await checkForUpdate(db, 'd1', '1.1.0', 'rev-b');
+    assert.equal(match.updateAvailable, true);
+});
+
+test('installs the oldest mandatory release on the way first', async () => {
+    await addRelease('1.1.0', { mandatory: true });
+    await addRelease('1.2.0', { mandatory: true });
+    await addRelease('1.3.0');
+    await setStable('1.3.0');
+
+    const first = await checkForUpdate(db, 'd1', '1.0.0');
+    assert.equal(first.firmwareVersion, '1.1.0');
+    assert.equal(first.targetVersion, '1.3.0');
+
+    const second = await checkForUpdate(db, 'd1', '1.1.0');
+    assert.equal(second.firmwareVersion, '1.2.0');
+
+    const last = await checkForUpdate(db, 'd1', '1.2.0');
+    assert.equal(last.firmwareVersion, '1.3.0');
+});
+
+test('skips mandatory releases built for another hardware model', async () => {
+    await addRelease('1.1.0', { mandatory: true, hardwareModel: 'rev-b' });
+    await addRelease('1.2.0');
+    await setStable('1.2.0');
+
+    const result = await checkForUpdate(db, 'd1', '1.0.0', 'rev-a');
+
+    assert.equal(result.firmwareVersion, '1.2.0');
+});
+
+test('reaches a release with a minimum version through the newest release that satisfies it', async () => {
+    await addRelease('1.5.0');
+    await addRelease('1.6.0');
+    await addRelease('2.0.0', { minFromVersion: '1.5.0' });
+    await setStable('2.0.0');
+
+    const bridged = await checkForUpdate(db, 'd1', '1.0.0');
+    assert.equal(bridged.firmwareVersion, '1.6.0');
+    assert.equal(bridged.targetVersion, '2.0.0');
+
+    const direct = await checkForUpdate(db, 'd1', '1.6.0');
+    assert.equal(direct.firmwareVersion, '2.0.0');
+});
+
+test('offers nothing when no release satisfies the minimum version', async () => {
+    await addRelease('2.0.0', { minFromVersion: '1.5.0' });
+    await setStable('2.0.0');
+
+    const result = await checkForUpdate(db, 'd1', '1.0.0');
+
+    assert.equal(result.updateAvailable, false);
+    assert.equal(result.reason, 'No release leads from 1.0.0 to 2.0.0, which requires at least 1.5.0');
+});